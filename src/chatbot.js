@@ -7,7 +7,7 @@ const { ApiService } = require('./services/api');
 const { ChatService } = require('./services/chat');
 const { storage } = require('./services/storage');
 const { DiscourseScraper } = require('./services/scraper');
-const { LLMProviderFactory } = require('./providers/factory');
+const { providerRegistry } = require('./providers/factory');
 const cors = require('cors');
 
 // Load environment variables
@@ -18,6 +18,9 @@ if (!fs.existsSync(envPath)) {
 }
 require('dotenv').config({ path: envPath });
 
+// Register any provider plugins before the API accepts provider names
+providerRegistry.loadPlugins((process.env.LLM_PROVIDER_PLUGINS || '').split(',').map(p => p.trim()).filter(Boolean));
+
 // Initialize Express app
 const app = express();
 const port = config.get('server.port', 3000);
@@ -76,18 +79,8 @@ async function autoInitialize() {
   try {
     console.log('Starting server auto-initialization...');
     
-    // Initialize OpenAI provider by default
-    const openaiConfig = {
-      apiKey: config.get('openai.apiKey'),
-      model: config.get('openai.model')
-    };
-    
-    global.llmProvider = LLMProviderFactory.createProvider(
-      'openai',
-      openaiConfig
-    );
+    apiService.initializeDefaultProvider();
     llmInitialized = true;
-    apiService.setLLMInitialized(true);
 
     // Initialize storage and data
     const latestData = await storage.getLatestScrape();
@@ -1,4 +1,17 @@
-const { BaseLLMProvider } = require('../base');
+const { BaseLLMProvider, pickGenerationOptions } = require('../base');
+const { validateSchema } = require('../../utils/schema');
+
+// Number of recent operations kept in the operation history
+const OPERATION_HISTORY_SIZE = 100;
+
+// Sent back to the model when its structured output fails validation
+const REPAIR_PROMPT = `Your previous response did not match the required JSON schema:
+{{errors}}
+
+Schema:
+{{schema}}
+
+Respond again with ONLY the corrected JSON.`;
 
 /**
  * Base Agent Provider
@@ -23,9 +36,19 @@ class BaseAgentProvider {
     this.config = config;
     this.systemPrompt = config.systemPrompt || 'You are a helpful AI assistant.';
     this.debug = config.debug || false;
+
+    // Token usage is attributed to this agent and, when running in one, its session
+    this.agentType = config.agentType || 'agent';
+    this.sessionId = config.sessionId || null;
     
     // Default temperature for agent operations
     this.temperature = config.temperature !== undefined ? config.temperature : 0.7;
+
+    // Re-prompts allowed when structured output fails schema validation
+    this.maxRepairAttempts = config.maxRepairAttempts !== undefined ? config.maxRepairAttempts : 2;
+
+    // Generation options applied to every call this agent makes unless the call overrides them
+    this.generationOptions = { ...pickGenerationOptions(config), temperature: this.temperature };
     
     // Track operation history for debugging and analysis
     this.operationHistory = [];
@@ -38,6 +61,15 @@ class BaseAgentProvider {
    * @private
    */
   _logOperation(operation, data = {}) {
+    this.operationHistory.push({
+      operation,
+      details: data,
+      timestamp: new Date().toISOString()
+    });
+    if (this.operationHistory.length > OPERATION_HISTORY_SIZE) {
+      this.operationHistory.shift();
+    }
+    
     if (this.debug) {
       console.log(`[AGENT] ${operation}:`, JSON.stringify(data, null, 2));
     }
@@ -69,22 +101,62 @@ class BaseAgentProvider {
   }
 
   /**
-   * Forward a chat request to the underlying LLM provider
+   * Forward a chat request to the underlying LLM provider, prepending the
+   * agent's system prompt
    * @param {Array} messages - The chat messages
    * @param {Object} options - Additional options for the chat
    * @returns {Promise<string>} - The chat response
    */
   async chat(messages, options = {}) {
-    return this.llmProvider.chat(messages, options);
+    return this.llmProvider.chat(this._withSystemPrompt(messages), this._withCallOptions(options));
+  }
+
+  /**
+   * Forward a streaming chat request to the underlying LLM provider
+   * @param {Array} messages - The chat messages
+   * @param {Object} options - Additional options for the chat
+   * @returns {AsyncGenerator<string>} - Text deltas of the response
+   */
+  async *chatStream(messages, options = {}) {
+    yield* this.llmProvider.chatStream(this._withSystemPrompt(messages), this._withCallOptions(options));
+  }
+
+  /**
+   * Prepend the agent's system prompt unless the messages already start with one
+   * @param {Array} messages - The chat messages
+   * @returns {Array} - The messages to send
+   * @private
+   */
+  _withSystemPrompt(messages) {
+    const hasSystemMessage = messages.length > 0 && messages[0].role === 'system';
+    return hasSystemMessage
+      ? messages
+      : [{ role: 'system', content: this.getSystemPrompt() }, ...messages];
+  }
+
+  /**
+   * Apply the agent's generation options and tag the call so the provider
+   * reports token usage against this agent
+   * @param {Object} options - The call options
+   * @returns {Object} - The options to pass to the provider
+   * @private
+   */
+  _withCallOptions(options = {}) {
+    return {
+      ...this.generationOptions,
+      ...options,
+      usage: { agent: this.agentType, sessionId: this.sessionId, ...(options.usage || {}) }
+    };
   }
 
   /**
    * Delegate the complete method to the underlying LLM provider
    * @param {string} prompt - The prompt to complete
+   * @param {Object} options - Additional options for the completion
    * @returns {Promise<string>} - The completion
    */
-  async complete(prompt) {
-    return this.llmProvider.complete(prompt);
+  async complete(prompt, options = {}) {
+    return this.llmProvider.complete(prompt, this._withCallOptions(options));
   }
 
   /**
@@ -97,7 +169,8 @@ class BaseAgentProvider {
     let result = template;
     for (const [key, value] of Object.entries(variables)) {
       const placeholder = `{{${key}}}`;
-      result = result.replace(new RegExp(placeholder, 'g'), value);
+      // A replacer function, so `$&` and the like in the value are inserted as written
+      result = result.replace(new RegExp(placeholder, 'g'), () => value);
     }
     return result;
   }
@@ -112,16 +185,7 @@ class BaseAgentProvider {
     switch (format.toLowerCase()) {
       case 'json':
         try {
-          // Extract JSON if it's wrapped in markdown code blocks
-          if (response.includes('```json')) {
-            const jsonMatch = response.match(/```json\n([\s\S]*?)\n```/);
-            if (jsonMatch && jsonMatch[1]) {
-              return JSON.parse(jsonMatch[1]);
-            }
-          }
-          
-          // Try to parse the whole response as JSON
-          return JSON.parse(response);
+          return this._extractJSON(response);
         } catch (error) {
           console.error('Failed to parse JSON response:', error);
           return { error: 'Failed to parse response', raw: response };
@@ -138,6 +202,86 @@ class BaseAgentProvider {
     }
   }
 
+  /**
+   * Ask for JSON matching a schema and validate what comes back. If the response
+   * isn't valid JSON or doesn't match the schema, the errors are sent back to the
+   * model and it is asked to correct its answer, up to maxRepairAttempts times.
+   * The provider's native JSON or tool mode is requested where it has one.
+   * @param {Array} messages - The chat messages
+   * @param {Object} schema - JSON schema the response must match
+   * @param {Object} options - Additional options for the chat
+   * @param {string} options.schemaName - Name for the schema, sent to the provider
+   * @param {number} options.maxRepairAttempts - Re-prompts allowed after an invalid response
+   * @returns {Promise<Object>} - The validated object
+   * @throws {Error} - With validationErrors and raw set when no valid response was produced
+   */
+  async chatJSON(messages, schema, options = {}) {
+    const { schemaName = 'structured_response', maxRepairAttempts = this.maxRepairAttempts, ...chatOptions } = options;
+    const responseFormat = { type: 'json', name: schemaName, schema };
+    let conversation = messages;
+    let response = '';
+    let errors = [];
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      response = await this.chat(conversation, { ...chatOptions, responseFormat });
+
+      let parsed;
+      try {
+        parsed = this._extractJSON(response);
+        errors = validateSchema(parsed, schema);
+      } catch (error) {
+        errors = [`Response is not valid JSON: ${error.message}`];
+      }
+
+      if (errors.length === 0) {
+        return parsed;
+      }
+
+      this._logOperation('invalidStructuredOutput', { schemaName, attempt: attempt + 1, errors });
+      console.warn(`[AGENT] ${schemaName} response failed validation (attempt ${attempt + 1}): ${errors.slice(0, 3).join('; ')}`);
+
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content: response },
+        { role: 'user', content: this.formatPrompt(REPAIR_PROMPT, {
+          errors: errors.map(error => `- ${error}`).join('\n'),
+          schema: JSON.stringify(schema, null, 2)
+        }) }
+      ];
+    }
+
+    const error = new Error(`${schemaName} response did not match its schema: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    error.raw = response;
+    throw error;
+  }
+
+  /**
+   * Parse JSON from a response, unwrapping a markdown code block if there is one
+   * @param {string} response - The raw response
+   * @returns {any} - The parsed value
+   * @throws {SyntaxError} - If no JSON could be parsed
+   * @private
+   */
+  _extractJSON(response) {
+    const fenced = response.match(/```(?:json)?\s*\n([\s\S]*?)\n\s*```/);
+    if (fenced) {
+      return JSON.parse(fenced[1]);
+    }
+
+    try {
+      return JSON.parse(response);
+    } catch (error) {
+      // Models sometimes wrap the object in prose; fall back to the outermost braces
+      const start = response.indexOf('{');
+      const end = response.lastIndexOf('}');
+      if (start === -1 || end <= start) {
+        throw error;
+      }
+      return JSON.parse(response.substring(start, end + 1));
+    }
+  }
+
   /**
    * Get the operation history for this agent
    * @param {number} limit - Maximum number of entries to return
@@ -1,4 +1,159 @@
 const { BaseAgentProvider } = require('./base');
+const { providerRegistry } = require('../registry');
+
+// Default SIP template, matching the sections requested by "Enforce Section Headers" in the chat UI
+const DEFAULT_SIP_TEMPLATE = {
+  name: 'SIP',
+  sections: ['Title', 'Summary', 'Motivation', 'Specification', 'Benefits', 'Drawbacks', 'Implementation']
+};
+
+// Community personas used to simulate critique when none are configured
+const DEFAULT_CRITIQUE_PERSONAS = [
+  {
+    id: 'treasury-hawk',
+    name: 'Treasury Hawk',
+    perspective: 'A DAO member focused on protecting the treasury. Scrutinises costs, budgets, ' +
+      'runway, accountability for spending and whether the benefits justify the expense.'
+  },
+  {
+    id: 'council-member',
+    name: 'RareDAO Council Member',
+    perspective: 'A member of the RareDAO Council responsible for executing passed proposals. ' +
+      'Checks governance process, precedent, feasibility of the administrative actions and clarity of mandate.'
+  },
+  {
+    id: 'artist',
+    name: 'Artist',
+    perspective: 'An artist who mints and sells work on SuperRare. Cares about creator earnings, ' +
+      'fairness, visibility and how the proposal affects the artist community.'
+  },
+  {
+    id: 'collector',
+    name: 'Collector',
+    perspective: 'A collector who buys and holds SuperRare artworks. Cares about market health, ' +
+      'provenance, the value of existing collections and the collector experience.'
+  }
+];
+
+const SEVERITY_LEVELS = ['high', 'medium', 'low'];
+
+// Structure each persona's critique must return. Severity wording is normalized afterwards.
+const CRITIQUE_SCHEMA = {
+  type: 'object',
+  properties: {
+    objections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          section: { type: 'string' },
+          objection: { type: 'string', minLength: 1 },
+          severity: { type: 'string' },
+          suggestedRewrite: { type: 'string' }
+        },
+        required: ['section', 'objection', 'severity']
+      }
+    }
+  },
+  required: ['objections']
+};
+
+const CRITIQUE_PROMPT = `
+You are {{personaName}} reviewing a draft governance proposal.
+Your perspective: {{perspective}}
+
+The draft has these sections: {{sectionNames}}
+
+Draft:
+---
+{{draft}}
+---
+
+Raise the objections this persona would raise in a community discussion of the proposal.
+For each objection, name the section it applies to, rate its severity (high, medium or low)
+and suggest a concrete rewrite of the relevant text that would address it.
+Only raise objections this persona would genuinely care about; return an empty list if there are none.
+
+Respond ONLY with JSON in this format:
+\`\`\`json
+{
+  "objections": [
+    {
+      "section": "...",
+      "objection": "...",
+      "severity": "high",
+      "suggestedRewrite": "..."
+    }
+  ]
+}
+\`\`\`
+`;
+
+const REVISION_PROMPT = `
+Revise the governance proposal draft below to address the community objections.
+
+Draft sections (JSON):
+{{sections}}
+
+Numbered sources from the governance forum:
+{{sources}}
+
+Objections raised in simulated community critique:
+{{objections}}
+
+Guidelines:
+- Address every high-severity objection; address medium and low ones where it does not weaken the proposal.
+- Use the suggested rewrites where they help, but keep the author's intent.
+- Keep the same sections and keep inline source citations such as [1] where they still apply.
+- For each change you make, record the section, a short summary of the change and the objection it addresses.
+
+Respond ONLY with JSON in this format:
+\`\`\`json
+{
+  "sections": {
+{{sectionKeys}}
+  },
+  "changes": [
+    {
+      "section": "...",
+      "summary": "...",
+      "reason": "..."
+    }
+  ]
+}
+\`\`\`
+`;
+
+const DRAFT_PROMPT = `
+Draft a governance proposal using the {{templateName}} template.
+
+The proposal must contain exactly these sections, in this order:
+{{sections}}
+
+Numbered sources from the governance forum:
+{{sources}}
+
+Research findings:
+{{research}}
+
+Insights from the interview with the proposal author:
+{{insights}}
+
+Guidelines:
+- Write each section in markdown, without repeating the section heading.
+- The Title section should be a single line.
+- When a statement relies on a source, cite it inline with its number, e.g. [1] or [2][3]. Only cite the numbered sources above.
+- The Implementation section should list the specific administrative actions needed immediately upon passage, not roadmaps or timelines.
+
+Respond ONLY with JSON in this format:
+\`\`\`json
+{
+  "sections": {
+{{sectionKeys}}
+  }
+}
+\`\`\`
+`;
 
 /**
  * Drafting Agent Provider
@@ -15,32 +170,620 @@ class DraftingAgentProvider extends BaseAgentProvider {
     
     super(llmProvider, {
       ...config,
-      systemPrompt: draftingSystemPrompt
+      systemPrompt: draftingSystemPrompt,
+      agentType: 'drafting'
     });
+
+    this.critiquePersonas = config.personas || DEFAULT_CRITIQUE_PERSONAS;
+    this.maxRevisionRounds = config.maxRevisionRounds !== undefined ? config.maxRevisionRounds : 3;
   }
 
   /**
    * Drafting capability - generates structured content
-   * @param {Object} research - Research findings to incorporate
-   * @param {Array} insights - Insights from interviews
-   * @param {Object} template - Template to follow
+   * @param {Array|Object} research - Retrieval results, or research findings with a documents list
+   * @param {Array|Object} insights - Insights from interviews, as a list or grouped by category
+   * @param {Object} template - Template to follow (defaults to the SIP sections)
    * @param {Object} options - Additional options for drafting
-   * @returns {Promise<Object>} - The generated draft
+   * @param {boolean} options.includeCitations - Whether to keep inline citations (default true)
+   * @returns {Promise<Object>} - The draft with per-section content, citations and markdown
    */
   async draft(research, insights, template, options = {}) {
-    // This will be implemented in Sprint 7
-    throw new Error('Drafting capability will be implemented in Sprint 7');
+    const activeTemplate = this._normalizeTemplate(template);
+    const includeCitations = options.includeCitations !== false;
+    const sources = this._collectSources(research);
+
+    this._logOperation('draft', {
+      template: activeTemplate.name,
+      sourceCount: sources.length,
+      options
+    });
+
+    try {
+      const prompt = this.formatPrompt(DRAFT_PROMPT, {
+        templateName: activeTemplate.name,
+        sections: activeTemplate.sections.map(section => `- ${section}`).join('\n'),
+        sources: this._formatSources(sources),
+        research: this._formatResearch(research),
+        insights: this._formatInsights(insights),
+        sectionKeys: activeTemplate.sections.map(section => `    "${section}": "..."`).join(',\n')
+      });
+
+      let sectionContent;
+      try {
+        const parsed = await this.chatJSON([{ role: 'user', content: prompt }], this._draftSchema(activeTemplate.sections), {
+          schemaName: 'draft',
+          temperature: this.temperature
+        });
+        sectionContent = parsed.sections;
+      } catch (error) {
+        if (!error.validationErrors) {
+          throw error;
+        }
+        // Keep whatever sections came back; missing ones are reported on the draft
+        const parsed = this.parseResponse(error.raw, 'json');
+        sectionContent = parsed.error || !parsed.sections
+          ? this._parseMarkdownSections(error.raw, activeTemplate.sections)
+          : parsed.sections;
+      }
+
+      return this._buildDraft(sectionContent, activeTemplate, sources, includeCitations);
+    } catch (error) {
+      console.error('Error in draft operation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the schema for a draft response
+   * @param {Array<string>} sectionNames - The template sections
+   * @returns {Object} - JSON schema for the drafted sections
+   * @private
+   */
+  _draftSchema(sectionNames) {
+    return {
+      type: 'object',
+      properties: { sections: this._sectionsSchema(sectionNames) },
+      required: ['sections']
+    };
   }
 
   /**
-   * Simulates critique of a draft to improve it
-   * @param {Object} draft - The draft to critique
+   * Build the schema for a revision response
+   * @param {Array<string>} sectionNames - The template sections
+   * @returns {Object} - JSON schema for the revised sections and the changes made
+   * @private
+   */
+  _revisionSchema(sectionNames) {
+    return {
+      type: 'object',
+      properties: {
+        sections: this._sectionsSchema(sectionNames),
+        changes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              section: { type: 'string' },
+              summary: { type: 'string', minLength: 1 },
+              reason: { type: 'string' }
+            },
+            required: ['section', 'summary']
+          }
+        }
+      },
+      required: ['sections']
+    };
+  }
+
+  /**
+   * @param {Array<string>} sectionNames - The template sections
+   * @returns {Object} - JSON schema for a section name to markdown map. Sections the
+   *   model leaves out are reported as missing on the draft rather than re-prompted.
+   * @private
+   */
+  _sectionsSchema(sectionNames) {
+    return {
+      type: 'object',
+      properties: sectionNames.reduce((properties, name) => {
+        properties[name] = { type: 'string' };
+        return properties;
+      }, {}),
+      additionalProperties: { type: 'string' }
+    };
+  }
+
+  /**
+   * Assemble the structured draft and its markdown rendering
+   * @param {Object} sectionContent - Section name to content map
+   * @param {Object} template - The normalized template
+   * @param {Array} sources - The numbered sources available for citation
+   * @param {boolean} includeCitations - Whether to keep citation markers and add a references list
+   * @returns {Object} - The draft
+   * @private
+   */
+  _buildDraft(sectionContent, template, sources, includeCitations) {
+    const sections = template.sections.map(name => {
+      const raw = this._findSectionContent(sectionContent, name);
+      const content = includeCitations ? raw : raw.replace(/\s?\[\d+\]/g, '');
+      return {
+        name,
+        content,
+        citations: includeCitations ? this._extractCitationMarkers(content, sources.length) : []
+      };
+    });
+
+    const cited = new Set(sections.flatMap(section => section.citations));
+    const citations = sources.filter(source => cited.has(source.marker));
+    const titleSection = sections.find(section => section.name.toLowerCase() === 'title');
+    const title = titleSection ? titleSection.content.split('\n')[0].replace(/^#+\s*/, '') : '';
+
+    return {
+      title,
+      template: template.name,
+      sections,
+      citations,
+      missingSections: sections.filter(section => !section.content).map(section => section.name),
+      markdown: this.renderMarkdown(title, sections, citations)
+    };
+  }
+
+  /**
+   * Render draft sections as a markdown document
+   * @param {string} title - The proposal title
+   * @param {Array<{name: string, content: string}>} sections - The draft sections
+   * @param {Array} citations - The cited sources to list under References
+   * @returns {string} - The markdown document
+   */
+  renderMarkdown(title, sections, citations = []) {
+    const parts = [];
+
+    if (title) {
+      parts.push(`# ${title}`);
+    }
+
+    for (const section of sections) {
+      if (section.name.toLowerCase() === 'title') continue;
+      parts.push(`## ${section.name}\n\n${section.content}`);
+    }
+
+    if (citations.length > 0) {
+      const references = citations.map(source =>
+        `[${source.marker}] ${source.citation}`
+      ).join('\n');
+      parts.push(`## References\n\n${references}`);
+    }
+
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Normalize a template argument, falling back to the default SIP template
+   * @param {Object|Array|undefined} template - The template to follow
+   * @returns {{name: string, sections: Array<string>}} - The normalized template
+   * @private
+   */
+  _normalizeTemplate(template) {
+    if (Array.isArray(template) && template.length > 0) {
+      return { name: DEFAULT_SIP_TEMPLATE.name, sections: template };
+    }
+
+    if (template && Array.isArray(template.sections) && template.sections.length > 0) {
+      return { name: template.name || DEFAULT_SIP_TEMPLATE.name, sections: template.sections };
+    }
+
+    return DEFAULT_SIP_TEMPLATE;
+  }
+
+  /**
+   * Collect the documents from research results and number them for citation
+   * @param {Array|Object} research - Retrieval results, or an object with a documents list
+   * @returns {Array<Object>} - Numbered sources
+   * @private
+   */
+  _collectSources(research) {
+    let documents = [];
+    if (Array.isArray(research)) {
+      documents = research;
+    } else if (research && Array.isArray(research.documents)) {
+      documents = research.documents;
+    } else if (research && Array.isArray(research.results)) {
+      documents = research.results;
+    }
+
+    return documents
+      .filter(doc => doc && typeof doc === 'object')
+      .map((doc, index) => {
+        const metadata = doc.metadata || {};
+        return {
+          marker: index + 1,
+          id: doc.id || metadata.id || null,
+          title: metadata.title || doc.title || 'Untitled',
+          url: metadata.url || doc.url || null,
+          date: metadata.date || doc.date || null,
+          citation: doc.citation || metadata.title || doc.title || 'Unknown source',
+          text: doc.text || doc.excerpt || ''
+        };
+      });
+  }
+
+  /**
+   * Format numbered sources for the prompt
+   * @param {Array} sources - The numbered sources
+   * @returns {string} - The formatted sources
+   * @private
+   */
+  _formatSources(sources) {
+    if (sources.length === 0) {
+      return 'None provided.';
+    }
+
+    return sources.map(source => {
+      const excerpt = source.text.length > 500 ? source.text.substring(0, 500) + '...' : source.text;
+      return `[${source.marker}] ${source.citation}\n${excerpt}`;
+    }).join('\n\n');
+  }
+
+  /**
+   * Format research findings other than the source documents
+   * @param {Array|Object} research - The research findings
+   * @returns {string} - The formatted findings
+   * @private
+   */
+  _formatResearch(research) {
+    if (!research || Array.isArray(research)) {
+      return 'See numbered sources.';
+    }
+
+    const { documents, results, ...findings } = research;
+    return Object.keys(findings).length > 0
+      ? JSON.stringify(findings, null, 2)
+      : 'See numbered sources.';
+  }
+
+  /**
+   * Format interview insights for the prompt
+   * @param {Array|Object} insights - Insights as a list or grouped by category
+   * @returns {string} - The formatted insights
+   * @private
+   */
+  _formatInsights(insights) {
+    if (!insights) {
+      return 'None provided.';
+    }
+
+    if (Array.isArray(insights)) {
+      return insights.length > 0 ? insights.map(insight => `- ${insight}`).join('\n') : 'None provided.';
+    }
+
+    const lines = [];
+    for (const [category, items] of Object.entries(insights)) {
+      if (!Array.isArray(items) || items.length === 0) continue;
+      lines.push(`${category}:`);
+      lines.push(...items.map(item => `- ${item}`));
+    }
+
+    return lines.length > 0 ? lines.join('\n') : 'None provided.';
+  }
+
+  /**
+   * Look up a section's content, ignoring case
+   * @param {Object} sectionContent - Section name to content map
+   * @param {string} name - The section name
+   * @returns {string} - The trimmed content, or an empty string
+   * @private
+   */
+  _findSectionContent(sectionContent, name) {
+    const key = Object.keys(sectionContent || {}).find(k => k.toLowerCase() === name.toLowerCase());
+    const value = key ? sectionContent[key] : '';
+    return typeof value === 'string' ? value.trim() : '';
+  }
+
+  /**
+   * Split a markdown response into sections by heading, used when the LLM
+   * ignores the JSON format
+   * @param {string} markdown - The markdown response
+   * @param {Array<string>} sectionNames - The expected section names
+   * @returns {Object} - Section name to content map
+   * @private
+   */
+  _parseMarkdownSections(markdown, sectionNames) {
+    const sections = {};
+    const names = sectionNames.map(name => name.toLowerCase());
+    let current = null;
+
+    for (const line of markdown.split('\n')) {
+      const heading = line.match(/^#{1,6}\s+(.*?)\s*:?\s*$/);
+      const headingName = heading ? heading[1].replace(/\*/g, '').toLowerCase() : null;
+
+      if (headingName && names.includes(headingName)) {
+        current = sectionNames[names.indexOf(headingName)];
+        sections[current] = '';
+      } else if (current) {
+        sections[current] += line + '\n';
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Extract the source numbers cited in a piece of text
+   * @param {string} text - The text to scan
+   * @param {number} sourceCount - The number of available sources
+   * @returns {Array<number>} - Unique, valid source numbers in order of first use
+   * @private
+   */
+  _extractCitationMarkers(text, sourceCount) {
+    const markers = [];
+    for (const match of text.matchAll(/\[(\d+)\]/g)) {
+      const marker = parseInt(match[1], 10);
+      if (marker >= 1 && marker <= sourceCount && !markers.includes(marker)) {
+        markers.push(marker);
+      }
+    }
+    return markers;
+  }
+
+  /**
+   * Simulates critique of a draft by running it past community personas
+   * @param {Object|string} draft - The draft returned by draft(), or its markdown
    * @param {Object} options - Options for the critique
-   * @returns {Promise<Object>} - Critique results
+   * @param {Array<string|Object>} options.personas - Personas to consult (defaults to the configured personas)
+   * @returns {Promise<Object>} - Objections per persona, tied to sections with a severity and suggested rewrite,
+   *   and the personas whose critique failed (failedPersonas, failedCount), whose objections are left empty
    */
   async simulateCritique(draft, options = {}) {
-    // This will be implemented in Sprint 7
-    throw new Error('Critique simulation will be implemented in Sprint 7');
+    const personas = this._normalizePersonas(options.personas || options.perspectives || this.critiquePersonas);
+    const markdown = typeof draft === 'string' ? draft : (draft && draft.markdown) || '';
+    const sectionNames = draft && Array.isArray(draft.sections)
+      ? draft.sections.map(section => section.name)
+      : DEFAULT_SIP_TEMPLATE.sections;
+
+    if (!markdown.trim()) {
+      throw new Error('Draft content is required for critique');
+    }
+
+    this._logOperation('simulateCritique', {
+      personas: personas.map(persona => persona.id),
+      sectionCount: sectionNames.length
+    });
+
+    const critiques = [];
+    for (const persona of personas) {
+      const prompt = this.formatPrompt(CRITIQUE_PROMPT, {
+        personaName: persona.name,
+        perspective: persona.perspective,
+        sectionNames: sectionNames.join(', '),
+        draft: markdown
+      });
+
+      try {
+        const parsed = await this.chatJSON([
+          { role: 'system', content: `You are role-playing ${persona.name}, a member of the SuperRare community.` },
+          { role: 'user', content: prompt }
+        ], CRITIQUE_SCHEMA, { schemaName: 'critique', temperature: this.temperature });
+
+        const objections = parsed.objections;
+
+        critiques.push({
+          persona: { id: persona.id, name: persona.name },
+          objections: objections
+            .filter(objection => objection && objection.objection)
+            .map(objection => this._normalizeObjection(objection, persona, sectionNames))
+        });
+      } catch (error) {
+        console.error(`Error simulating critique for persona ${persona.name}:`, error);
+        critiques.push({
+          persona: { id: persona.id, name: persona.name },
+          objections: [],
+          error: error.message
+        });
+      }
+    }
+
+    const objections = critiques.flatMap(critique => critique.objections);
+    const severityCounts = SEVERITY_LEVELS.reduce((counts, level) => {
+      counts[level] = objections.filter(objection => objection.severity === level).length;
+      return counts;
+    }, {});
+    const failedPersonas = critiques
+      .filter(critique => critique.error)
+      .map(critique => ({ ...critique.persona, error: critique.error }));
+
+    return {
+      critiques,
+      objections,
+      severityCounts,
+      hasHighSeverity: severityCounts.high > 0,
+      failedPersonas,
+      failedCount: failedPersonas.length
+    };
+  }
+
+  /**
+   * Normalize persona definitions. Strings are treated as persona names and
+   * matched against the default personas where possible.
+   * @param {Array<string|Object>} personas - The personas to use
+   * @returns {Array<{id: string, name: string, perspective: string}>} - The normalized personas
+   * @private
+   */
+  _normalizePersonas(personas) {
+    return personas.map(persona => {
+      if (typeof persona === 'string') {
+        const id = persona.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const known = DEFAULT_CRITIQUE_PERSONAS.find(p => p.id === id || p.name.toLowerCase() === persona.toLowerCase());
+        return known || {
+          id,
+          name: persona,
+          perspective: `A community member reviewing the proposal from a ${persona} perspective.`
+        };
+      }
+
+      return {
+        id: persona.id || persona.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+        name: persona.name,
+        perspective: persona.perspective || `A community member reviewing the proposal as ${persona.name}.`
+      };
+    });
+  }
+
+  /**
+   * Normalize an objection returned by the LLM
+   * @param {Object} objection - The raw objection
+   * @param {Object} persona - The persona that raised it
+   * @param {Array<string>} sectionNames - The sections in the draft
+   * @returns {Object} - The normalized objection
+   * @private
+   */
+  _normalizeObjection(objection, persona, sectionNames) {
+    const rawSection = typeof objection.section === 'string' ? objection.section.trim() : '';
+    const section = sectionNames.find(name => name.toLowerCase() === rawSection.toLowerCase()) || rawSection || 'General';
+    const severity = typeof objection.severity === 'string' ? objection.severity.toLowerCase() : '';
+
+    return {
+      persona: persona.id,
+      section,
+      objection: objection.objection,
+      severity: SEVERITY_LEVELS.includes(severity) ? severity : 'medium',
+      suggestedRewrite: objection.suggestedRewrite || null
+    };
+  }
+
+  /**
+   * Revise a draft to address critique objections
+   * @param {Object} draft - The draft returned by draft()
+   * @param {Object} critique - The critique returned by simulateCritique()
+   * @param {Array|Object} research - The research the draft was based on, so citations can be kept
+   * @param {Object} options - Additional options for the revision
+   * @returns {Promise<{draft: Object, changes: Array<Object>}>} - The revised draft and the changes made
+   */
+  async revise(draft, critique, research, options = {}) {
+    const template = {
+      name: draft.template || DEFAULT_SIP_TEMPLATE.name,
+      sections: draft.sections.map(section => section.name)
+    };
+    const sources = this._collectSources(research);
+    const includeCitations = options.includeCitations !== false;
+
+    this._logOperation('revise', {
+      template: template.name,
+      objectionCount: critique.objections.length
+    });
+
+    const currentSections = draft.sections.reduce((content, section) => {
+      content[section.name] = section.content;
+      return content;
+    }, {});
+
+    const objections = critique.objections.map(objection =>
+      `- [${objection.severity}] ${objection.section} (${objection.persona}): ${objection.objection}` +
+      (objection.suggestedRewrite ? `\n  Suggested rewrite: ${objection.suggestedRewrite}` : '')
+    ).join('\n');
+
+    try {
+      const prompt = this.formatPrompt(REVISION_PROMPT, {
+        sections: JSON.stringify(currentSections, null, 2),
+        sources: this._formatSources(sources),
+        objections: objections || 'None.',
+        sectionKeys: template.sections.map(section => `    "${section}": "..."`).join(',\n')
+      });
+
+      let parsed;
+      try {
+        parsed = await this.chatJSON([{ role: 'user', content: prompt }], this._revisionSchema(template.sections), {
+          schemaName: 'revision',
+          temperature: this.temperature
+        });
+      } catch (error) {
+        if (!error.validationErrors) {
+          throw error;
+        }
+        // A revision that covers only some sections is still usable
+        parsed = this.parseResponse(error.raw, 'json');
+        if (parsed.error || !parsed.sections || typeof parsed.sections !== 'object') {
+          throw new Error('Revision response did not contain draft sections');
+        }
+      }
+
+      // Keep the current content for any section the revision left out
+      const revisedSections = { ...currentSections };
+      for (const name of template.sections) {
+        const content = this._findSectionContent(parsed.sections, name);
+        if (content) {
+          revisedSections[name] = content;
+        }
+      }
+
+      const revisedDraft = this._buildDraft(revisedSections, template, sources, includeCitations);
+      const changes = Array.isArray(parsed.changes)
+        ? parsed.changes.filter(change => change && change.summary).map(change => ({
+          section: change.section || 'General',
+          summary: change.summary,
+          reason: change.reason || null
+        }))
+        : [];
+
+      return { draft: revisedDraft, changes };
+    } catch (error) {
+      console.error('Error in revise operation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Draft a proposal, then alternate critique and revision until no
+   * high-severity objections remain or the round limit is reached
+   * @param {Array|Object} research - Research findings to incorporate
+   * @param {Array|Object} insights - Insights from interviews
+   * @param {Object} template - Template to follow
+   * @param {Object} options - Options for drafting and critique
+   * @param {number} options.maxRounds - Maximum number of revision rounds
+   * @param {Array<string|Object>} options.personas - Personas to consult in each critique
+   * @returns {Promise<Object>} - The final draft and critique, with a log of each revision round. stoppedReason is
+   *   'no-high-severity', 'max-rounds', or 'critique-failed' when no persona could critique the draft
+   */
+  async draftIteratively(research, insights, template, options = {}) {
+    const maxRounds = options.maxRounds !== undefined ? options.maxRounds : this.maxRevisionRounds;
+    const critiqueOptions = { personas: options.personas };
+
+    let draft = await this.draft(research, insights, template, options);
+    let critique = await this.simulateCritique(draft, critiqueOptions);
+    const revisionLog = [];
+    let round = 0;
+
+    // A critique every persona failed to give has no objections, but that is an outage, not approval
+    const critiqueFailed = () => critique.critiques.length > 0 && critique.failedCount === critique.critiques.length;
+
+    while (critique.hasHighSeverity && !critiqueFailed() && round < maxRounds) {
+      round++;
+      this._logOperation('revisionRound', { round, severityCounts: critique.severityCounts });
+
+      const revision = await this.revise(draft, critique, research, options);
+      const changedSections = revision.draft.sections
+        .filter((section, index) => section.content !== draft.sections[index].content)
+        .map(section => section.name);
+
+      const severityBefore = critique.severityCounts;
+
+      draft = revision.draft;
+      critique = await this.simulateCritique(draft, critiqueOptions);
+
+      revisionLog.push({
+        round,
+        severityBefore,
+        severityAfter: critique.severityCounts,
+        changedSections,
+        changes: revision.changes
+      });
+    }
+
+    return {
+      draft,
+      critique,
+      revisionLog,
+      rounds: round,
+      stoppedReason: critiqueFailed() ? 'critique-failed' : (critique.hasHighSeverity ? 'max-rounds' : 'no-high-severity')
+    };
   }
 
   /**
@@ -53,4 +796,18 @@ class DraftingAgentProvider extends BaseAgentProvider {
   }
 }
 
-module.exports = { DraftingAgentProvider }; 
\ No newline at end of file
+providerRegistry.registerAgent('drafting', {
+  description: 'Drafts a SIP from research and interview insights, then revises it against persona critique',
+  capabilities: ['draft'],
+  aliases: ['draftingAgent'],
+  configSchema: {
+    type: 'object',
+    properties: {
+      personas: { type: 'array', description: 'Community personas that critique the draft' },
+      maxRevisionRounds: { type: 'integer', description: 'Critique and revision rounds' }
+    }
+  },
+  create: (llmProvider, config) => new DraftingAgentProvider(llmProvider, config)
+});
+
+module.exports = { DraftingAgentProvider, DEFAULT_SIP_TEMPLATE, DEFAULT_CRITIQUE_PERSONAS }; 
\ No newline at end of file
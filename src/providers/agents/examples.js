@@ -50,11 +50,17 @@ async function interviewAgentExample() {
     { role: 'user', content: 'It\'s a DeFi protocol DAO with about 500 token holders.' }
   ];
   
-  // Additional context for the interview
+  // Additional context for the interview, including precedents from the retrieval agent
   const context = {
     topic: 'DAO Governance',
     userBackground: 'DeFi protocol founder',
-    previousProposals: ['Treasury allocation', 'Protocol upgrade']
+    previousProposals: ['Treasury allocation', 'Protocol upgrade'],
+    precedents: [
+      {
+        text: 'This proposal outlines the governance framework for the DAO...',
+        citation: '"SIP-15: Governance Framework" from Forum Post (2022-05-12)'
+      }
+    ]
   };
   
   // Use the interview capability
@@ -64,7 +70,8 @@ async function interviewAgentExample() {
       focusArea: 'proposal structure'
     });
     
-    console.log('Interview response:', response);
+    console.log('Next question:', response.question);
+    console.log('Extracted insights:', response.insights);
   } catch (error) {
     console.error('Interview not yet implemented:', error.message);
   }
@@ -106,12 +113,17 @@ async function draftingAgentExample() {
     
     console.log('Generated draft:', draft);
     
-    // Simulate critique to improve the draft
+    // Simulate critique to improve the draft. Personas can be names, or objects
+    // with a perspective; the defaults are a treasury hawk, a RareDAO Council
+    // member, an artist and a collector.
     const critique = await draftingAgent.simulateCritique(draft, {
-      perspectives: ['Technical', 'Governance', 'Community']
+      personas: [
+        'Treasury Hawk',
+        { name: 'Protocol Engineer', perspective: 'Reviews the technical feasibility of the proposal.' }
+      ]
     });
     
-    console.log('Critique results:', critique);
+    console.log('Critique results:', critique.objections);
   } catch (error) {
     console.error('Drafting not yet implemented:', error.message);
   }
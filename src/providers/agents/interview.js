@@ -1,4 +1,61 @@
 const { BaseAgentProvider } = require('./base');
+const { providerRegistry } = require('../registry');
+
+// Categories of insight the interview keeps track of for the drafting step
+const INSIGHT_CATEGORIES = ['goals', 'constraints', 'stakeholders', 'openQuestions'];
+
+const STRING_LIST_SCHEMA = { type: 'array', items: { type: 'string' } };
+
+// Structure each interview turn must return. Insight categories with nothing new may be left out.
+const INTERVIEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    insights: {
+      type: 'object',
+      properties: INSIGHT_CATEGORIES.reduce((properties, category) => {
+        properties[category] = STRING_LIST_SCHEMA;
+        return properties;
+      }, {})
+    },
+    questionPlan: STRING_LIST_SCHEMA,
+    nextQuestion: { type: 'string', minLength: 1 }
+  },
+  required: ['nextQuestion']
+};
+
+const INTERVIEW_PROMPT = `
+You are interviewing a governance facilitator who is preparing a SuperRare Improvement Proposal (SIP).
+Current focus area: {{focusArea}}
+
+Relevant precedents from the governance forum:
+{{precedents}}
+
+Insights gathered so far:
+{{insights}}
+
+Conversation so far:
+{{conversation}}
+
+Based on the latest answers:
+1. Extract any new goals, constraints and stakeholders the user has mentioned.
+2. Update the list of open questions, dropping any that have now been answered.
+3. Plan the next {{questionCount}} questions that would best draw out missing knowledge about the focus area, using the precedents where they help.
+4. Choose the single best question to ask next.
+
+Respond ONLY with JSON in this format:
+\`\`\`json
+{
+  "insights": {
+    "goals": ["..."],
+    "constraints": ["..."],
+    "stakeholders": ["..."],
+    "openQuestions": ["..."]
+  },
+  "questionPlan": ["..."],
+  "nextQuestion": "..."
+}
+\`\`\`
+`;
 
 /**
  * Interview Agent Provider
@@ -7,28 +64,195 @@ const { BaseAgentProvider } = require('./base');
 class InterviewAgentProvider extends BaseAgentProvider {
   constructor(llmProvider, config = {}) {
     // Set up a specialized system prompt for interviewing
-    const interviewSystemPrompt = config.systemPrompt || 
+    const interviewSystemPrompt = config.systemPrompt ||
       'You are a specialized interview agent. Your purpose is to conduct dynamic, ' +
       'insightful conversations that draw out knowledge and ideas from the user. ' +
       'You excel at asking thoughtful follow-up questions, exploring topics deeply, ' +
       'and helping users articulate their thoughts clearly.';
-    
+
     super(llmProvider, {
       ...config,
-      systemPrompt: interviewSystemPrompt
+      systemPrompt: interviewSystemPrompt,
+      agentType: 'interview'
     });
+
+    this.defaultFocusArea = config.focusArea || 'the overall proposal';
+    this.questionCount = config.questionCount || 3;
+
+    // Running list of insights extracted across interview turns
+    this.insights = this.createEmptyInsights();
   }
 
   /**
    * Interview capability - conducts interactive dialogues
    * @param {Array} messages - The conversation history
    * @param {Object} context - Additional context for the interview
+   * @param {Array} context.precedents - Retrieved documents to ground the questions in
+   * @param {Object} context.insights - Insights from a previous session to resume from
    * @param {Object} options - Additional options for the interview
-   * @returns {Promise<string>} - The agent's response
+   * @param {string} options.focusArea - The area of the proposal to explore
+   * @param {number} options.questionCount - How many upcoming questions to plan
+   * @returns {Promise<{question: string, questionPlan: Array<string>, insights: Object, focusArea: string}>} - The next question and the updated insights
    */
   async interview(messages, context = {}, options = {}) {
-    // This will be implemented in Sprint 6
-    throw new Error('Interview capability will be implemented in Sprint 6');
+    const focusArea = options.focusArea || context.focusArea || this.defaultFocusArea;
+    const questionCount = options.questionCount || this.questionCount;
+    const precedents = context.precedents || [];
+
+    this._logOperation('interview', {
+      messageCount: messages.length,
+      precedentCount: precedents.length,
+      focusArea
+    });
+
+    if (context.insights) {
+      this.insights = this.mergeInsights(this.insights, context.insights);
+    }
+
+    try {
+      const prompt = this.formatPrompt(INTERVIEW_PROMPT, {
+        focusArea,
+        questionCount,
+        precedents: this._formatPrecedents(precedents),
+        insights: JSON.stringify(this.insights, null, 2),
+        conversation: this._formatConversation(messages)
+      });
+
+      let parsed;
+      try {
+        parsed = await this.chatJSON([{ role: 'user', content: prompt }], INTERVIEW_SCHEMA, {
+          schemaName: 'interview_turn',
+          temperature: this.temperature
+        });
+      } catch (error) {
+        if (!error.validationErrors) {
+          throw error;
+        }
+        // Fall back to treating the whole response as the question if it never matched the schema
+        return {
+          question: error.raw.trim(),
+          questionPlan: [],
+          insights: this.getInsights(),
+          focusArea
+        };
+      }
+
+      this.insights = this.mergeInsights(this.insights, parsed.insights);
+
+      const questionPlan = Array.isArray(parsed.questionPlan) ? parsed.questionPlan : [];
+
+      return {
+        question: parsed.nextQuestion || questionPlan[0] || '',
+        questionPlan,
+        insights: this.getInsights(),
+        focusArea
+      };
+    } catch (error) {
+      console.error('Error in interview operation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an empty insights object
+   * @returns {Object} - Insights with an empty list for each category
+   */
+  createEmptyInsights() {
+    return INSIGHT_CATEGORIES.reduce((insights, category) => {
+      insights[category] = [];
+      return insights;
+    }, {});
+  }
+
+  /**
+   * Merge newly extracted insights into an existing set.
+   * Goals, constraints and stakeholders accumulate; open questions are
+   * replaced by the latest list so answered questions drop out.
+   * @param {Object} current - The existing insights
+   * @param {Object} incoming - The newly extracted insights
+   * @returns {Object} - The merged insights
+   */
+  mergeInsights(current, incoming) {
+    const merged = this.createEmptyInsights();
+
+    for (const category of INSIGHT_CATEGORIES) {
+      const existing = (current && current[category]) || [];
+      const additions = incoming && Array.isArray(incoming[category]) ? incoming[category] : null;
+
+      if (category === 'openQuestions' && additions) {
+        merged[category] = this._dedupe(additions);
+      } else {
+        merged[category] = this._dedupe([...existing, ...(additions || [])]);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Get a copy of the insights gathered so far
+   * @returns {Object} - The current insights
+   */
+  getInsights() {
+    return this.mergeInsights(this.insights, null);
+  }
+
+  /**
+   * Discard the insights gathered so far
+   */
+  resetInsights() {
+    this.insights = this.createEmptyInsights();
+  }
+
+  /**
+   * Format retrieved precedents for inclusion in the prompt
+   * @param {Array} precedents - Documents returned by the retrieval agent
+   * @returns {string} - The formatted precedents
+   * @private
+   */
+  _formatPrecedents(precedents) {
+    if (!precedents || precedents.length === 0) {
+      return 'None provided.';
+    }
+
+    return precedents.map((doc, index) => {
+      const source = doc.citation || (doc.metadata && doc.metadata.title) || 'Unknown source';
+      const text = doc.text || '';
+      const excerpt = text.length > 300 ? text.substring(0, 300) + '...' : text;
+      return `[${index + 1}] ${source}\n${excerpt}`;
+    }).join('\n\n');
+  }
+
+  /**
+   * Format the conversation history as a transcript
+   * @param {Array} messages - The conversation history
+   * @returns {string} - The formatted transcript
+   * @private
+   */
+  _formatConversation(messages) {
+    const transcript = messages
+      .filter(m => m.role !== 'system')
+      .map(m => `${m.role === 'user' ? 'User' : 'Interviewer'}: ${m.content}`)
+      .join('\n');
+
+    return transcript || 'No conversation yet.';
+  }
+
+  /**
+   * Remove empty and duplicate entries from a list, ignoring case and whitespace
+   * @param {Array<string>} items - The items to deduplicate
+   * @returns {Array<string>} - The deduplicated items
+   * @private
+   */
+  _dedupe(items) {
+    const seen = new Set();
+    return items.filter(item => {
+      if (typeof item !== 'string' || item.trim() === '') return false;
+      const key = item.trim().toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
   }
 
   /**
@@ -41,4 +265,18 @@ class InterviewAgentProvider extends BaseAgentProvider {
   }
 }
 
-module.exports = { InterviewAgentProvider }; 
\ No newline at end of file
+providerRegistry.registerAgent('interview', {
+  description: 'Interviews the author to draw out goals, constraints and stakeholders',
+  capabilities: ['interview'],
+  aliases: ['interviewAgent'],
+  configSchema: {
+    type: 'object',
+    properties: {
+      focusArea: { type: 'string', description: 'What the interview concentrates on' },
+      questionCount: { type: 'integer', description: 'Questions to ask before wrapping up' }
+    }
+  },
+  create: (llmProvider, config) => new InterviewAgentProvider(llmProvider, config)
+});
+
+module.exports = { InterviewAgentProvider, INSIGHT_CATEGORIES };
@@ -1,4 +1,5 @@
 const { BaseAgentProvider } = require('./base');
+const { providerRegistry } = require('../registry');
 const VectorService = require('../../services/vector');
 const { documentService } = require('../../services/document');
 
@@ -16,7 +17,8 @@ class RetrievalAgentProvider extends BaseAgentProvider {
     
     super(llmProvider, {
       ...config,
-      systemPrompt: retrievalSystemPrompt
+      systemPrompt: retrievalSystemPrompt,
+      agentType: 'retrieval'
     });
     
     // Initialize vector service
@@ -26,7 +28,9 @@ class RetrievalAgentProvider extends BaseAgentProvider {
     // Default search options
     this.defaultSearchOptions = {
       limit: config.limit || 5,
-      threshold: config.threshold || 0.7
+      // Unset, the embedding backend's own threshold and the vector service's search mode apply
+      threshold: config.threshold,
+      mode: config.mode
     };
   }
 
@@ -84,7 +88,7 @@ class RetrievalAgentProvider extends BaseAgentProvider {
         { role: 'user', content: `Enhance this search query for semantic search: "${query}"` }
       ];
       
-      const enhancedQuery = await this.llmProvider.chat(messages);
+      const enhancedQuery = await this.llmProvider.chat(messages, this._withCallOptions());
       return enhancedQuery.trim();
     } catch (error) {
       console.error('Error enhancing query:', error);
@@ -114,7 +118,7 @@ class RetrievalAgentProvider extends BaseAgentProvider {
         { role: 'user', content: `Original Query: ${originalQuery}\n\nDocuments to summarize:\n${documentTexts}\n\nPlease provide a concise summary of these documents in relation to the query.` }
       ];
       
-      const summary = await this.llmProvider.chat(messages);
+      const summary = await this.llmProvider.chat(messages, this._withCallOptions());
       return summary;
     } catch (error) {
       console.error('Error summarizing results:', error);
@@ -132,4 +136,19 @@ class RetrievalAgentProvider extends BaseAgentProvider {
   }
 }
 
+providerRegistry.registerAgent('retrieval', {
+  description: 'Finds forum documents relevant to a query',
+  capabilities: ['retrieve', 'summarize'],
+  aliases: ['retrievalAgent'],
+  configSchema: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', description: 'Most documents to return' },
+      threshold: { type: 'number', description: 'Similarity threshold (0-1)' },
+      mode: { type: 'string', enum: VectorService.SEARCH_MODES, description: 'Search mode' }
+    }
+  },
+  create: (llmProvider, config) => new RetrievalAgentProvider(llmProvider, config)
+});
+
 module.exports = { RetrievalAgentProvider }; 
\ No newline at end of file
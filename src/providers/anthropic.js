@@ -1,46 +1,59 @@
 const { BaseLLMProvider } = require('./base');
 const Anthropic = require('@anthropic-ai/sdk');
+const { toAnthropicMessages } = require('./messages');
+const { providerRegistry } = require('./registry');
 const debug = require('debug')('forum-scraper:anthropic');
 
+// The Messages API requires max_tokens on every request
+const DEFAULT_MAX_TOKENS = 4096;
+
+// How long a request may take before it is abandoned, in ms (the SDK default is 10 minutes)
+const DEFAULT_TIMEOUT = 120000;
+
+// Neutral tool choices mapped to tool_choice types
+const TOOL_CHOICES = { auto: 'auto', none: 'none', required: 'any' };
+
 class AnthropicProvider extends BaseLLMProvider {
   constructor(config = {}) {
     super();
     if (!config.apiKey) {
       throw new Error('Anthropic API key is required');
     }
-    this.client = new Anthropic({ apiKey: config.apiKey });
+    this.client = new Anthropic({
+      apiKey: config.apiKey,
+      timeout: config.timeout || DEFAULT_TIMEOUT,
+      maxRetries: config.maxRetries
+    });
     this.model = config.model || 'claude-3-opus-latest';
+    this.config = config;
     debug('Initialized AnthropicProvider with model:', this.model);
   }
 
-  async complete(prompt) {
+  async complete(prompt, options = {}) {
     debug('Sending completion request');
     try {
       const response = await this.client.messages.create({
         model: this.model,
         messages: [{ role: 'user', content: prompt }],
-        max_tokens: 4096
-      });
+        ...this.toRequestParams(options)
+      }, this.getRequestOptions(options));
       
       debug('Received completion response');
-      return response.content[0].text;
+      this.reportUsage(this.extractUsage(response), options);
+      return this.extractText(response);
     } catch (error) {
       debug('Error in completion request:', error.message);
       throw error;
     }
   }
 
-  async chat(messages) {
+  async chat(messages, options = {}) {
     debug('Sending chat request');
     console.log(`[ANTHROPIC] Making chat request with ${messages.length} messages`);
     
     try {
-      // Extract system message if present
-      const systemMessage = messages.find(m => m.role === 'system')?.content;
-      const userMessages = messages.filter(m => m.role !== 'system').map(m => ({
-        role: m.role,
-        content: m.content
-      }));
+      // Every system segment goes in the top-level system parameter; turns must alternate roles
+      const { system: systemMessage, messages: userMessages } = toAnthropicMessages(messages);
       
       console.log(`[ANTHROPIC] Using model: ${this.model}`);
       console.log(`[ANTHROPIC] System message:`, systemMessage ? systemMessage.substring(0, 100) + (systemMessage.length > 100 ? '...' : '') : 'None');
@@ -51,24 +64,249 @@ class AnthropicProvider extends BaseLLMProvider {
         model: this.model,
         messages: userMessages,
         system: systemMessage, // Pass system message as top-level parameter
-        max_tokens: 4096
-      });
+        ...this.toRequestParams(options)
+      }, this.getRequestOptions(options));
       
       debug('Received chat response');
       console.log(`[ANTHROPIC] Received response from Anthropic API`);
+      const text = this.extractText(response);
       console.log(`[ANTHROPIC] Response:`, JSON.stringify({
         id: response.id,
         model: response.model,
-        content: response.content[0].text.substring(0, 100) + (response.content[0].text.length > 100 ? '...' : '')
+        usage: response.usage,
+        content: text.substring(0, 100) + (text.length > 100 ? '...' : '')
       }, null, 2));
       
-      return response.content[0].text;
+      this.reportUsage(this.extractUsage(response), options);
+      return text;
     } catch (error) {
       debug('Error in chat request:', error.message);
       console.error(`[ANTHROPIC] Error in chat request:`, error);
       throw error;
     }
   }
+
+  supportsTools() {
+    return true;
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    console.log(`[ANTHROPIC] Making tool-calling chat request with ${messages.length} messages and ${tools.length} tools`);
+    
+    try {
+      const { system: systemMessage, messages: turns } = toAnthropicMessages(messages);
+      const response = await this.client.messages.create({
+        model: this.model,
+        messages: turns,
+        system: systemMessage,
+        ...this.toRequestParams(options),
+        tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters })),
+        tool_choice: { type: TOOL_CHOICES[options.toolChoice || 'auto'] }
+      }, this.getRequestOptions(options));
+      
+      this.reportUsage(this.extractUsage(response), options);
+      return {
+        content: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        toolCalls: response.content
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+      };
+    } catch (error) {
+      debug('Error in tool-calling chat request:', error.message);
+      console.error(`[ANTHROPIC] Error in tool-calling chat request:`, error);
+      throw error;
+    }
+  }
+
+  async *chatWithToolsStream(messages, tools, options = {}) {
+    console.log(`[ANTHROPIC] Making streaming tool-calling chat request with ${messages.length} messages and ${tools.length} tools`);
+    
+    try {
+      const { system: systemMessage, messages: turns } = toAnthropicMessages(messages);
+      const stream = await this.client.messages.create({
+        model: this.model,
+        messages: turns,
+        system: systemMessage,
+        ...this.toRequestParams(options),
+        tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters })),
+        tool_choice: { type: TOOL_CHOICES[options.toolChoice || 'auto'] },
+        stream: true
+      }, this.getRequestOptions(options));
+      
+      // A tool_use block's input arrives as pieces of JSON, keyed here by the block's index
+      let content = '';
+      const toolUses = new Map();
+      let usage = null;
+      for await (const event of stream) {
+        if (event.type === 'message_start') {
+          usage = this.extractUsage(event.message);
+        } else if (event.type === 'message_delta' && event.usage && usage) {
+          usage.outputTokens = event.usage.output_tokens;
+        } else if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+          toolUses.set(event.index, { id: event.content_block.id, name: event.content_block.name, json: '' });
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          content += event.delta.text;
+          yield event.delta.text;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+          toolUses.get(event.index).json += event.delta.partial_json;
+        }
+      }
+      
+      this.reportUsage(usage, options);
+      return {
+        content,
+        toolCalls: [...toolUses.values()].map(({ id, name, json }) => ({ id, name, arguments: json ? JSON.parse(json) : {} }))
+      };
+    } catch (error) {
+      debug('Error in streaming tool-calling chat request:', error.message);
+      console.error(`[ANTHROPIC] Error in streaming tool-calling chat request:`, error);
+      throw error;
+    }
+  }
+
+  async *chatStream(messages, options = {}) {
+    debug('Sending streaming chat request');
+    console.log(`[ANTHROPIC] Making streaming chat request with ${messages.length} messages`);
+    
+    try {
+      // Every system segment goes in the top-level system parameter; turns must alternate roles
+      const { system: systemMessage, messages: userMessages } = toAnthropicMessages(messages);
+      
+      const stream = await this.client.messages.create({
+        model: this.model,
+        messages: userMessages,
+        system: systemMessage,
+        ...this.toRequestParams(options),
+        stream: true
+      }, this.getRequestOptions(options));
+      
+      // Input tokens arrive with message_start, the running output count with each message_delta
+      let usage = null;
+      for await (const event of stream) {
+        if (event.type === 'message_start') {
+          usage = this.extractUsage(event.message);
+        } else if (event.type === 'message_delta' && event.usage && usage) {
+          usage.outputTokens = event.usage.output_tokens;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield event.delta.text;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+          // Structured output arrives as the input of the forced tool call
+          yield event.delta.partial_json;
+        }
+      }
+      
+      this.reportUsage(usage, options);
+      debug('Streaming chat response complete');
+    } catch (error) {
+      debug('Error in streaming chat request:', error.message);
+      console.error(`[ANTHROPIC] Error in streaming chat request:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the models the API key can use, newest first
+   * @returns {Promise<Array<string>>} - The model IDs
+   */
+  async listModels() {
+    const page = await this.client.models.list({ limit: 100 });
+    return page.data.map(model => model.id);
+  }
+
+  /**
+   * Map the generation options to Messages API parameters
+   * @param {Object} options - The call options
+   * @returns {Object} - The request parameters
+   */
+  toRequestParams(options = {}) {
+    const { temperature, maxTokens, stop, topP, seed } = this.getGenerationOptions(options);
+    if (seed !== undefined) {
+      debug('Ignoring seed: not supported by the Messages API');
+    }
+
+    return {
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+      temperature,
+      top_p: topP,
+      stop_sequences: stop === undefined ? undefined : [].concat(stop),
+      ...this.toStructuredOutputParams(options.responseFormat)
+    };
+  }
+
+  /**
+   * Request structured output by forcing a call to a tool whose input schema is the
+   * requested schema. The Messages API has no separate JSON mode.
+   * @param {Object} responseFormat - { type: 'json', name, schema } from the call options
+   * @returns {Object} - The tools and tool_choice parameters, or nothing without a schema
+   */
+  toStructuredOutputParams(responseFormat) {
+    if (!responseFormat || responseFormat.type !== 'json' || !responseFormat.schema) {
+      return {};
+    }
+
+    const name = responseFormat.name || 'structured_response';
+    return {
+      tools: [{
+        name,
+        description: 'Record the response in the required structure.',
+        input_schema: responseFormat.schema
+      }],
+      tool_choice: { type: 'tool', name }
+    };
+  }
+
+  /**
+   * Get the text of a response; a forced structured-output tool call is returned as its JSON input
+   * @param {Object} response - The message response
+   * @returns {string} - The response text
+   */
+  extractText(response) {
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+    return response.content.filter(block => block.text !== undefined).map(block => block.text).join('');
+  }
+
+  /**
+   * Read the token usage from a message
+   * @param {Object} message - A message response, or the message in a message_start event
+   * @returns {Object|null} - The usage to report, or null if the message has none
+   */
+  extractUsage(message) {
+    if (!message || !message.usage) {
+      return null;
+    }
+    return {
+      provider: 'anthropic',
+      model: message.model || this.model,
+      inputTokens: message.usage.input_tokens,
+      outputTokens: message.usage.output_tokens
+    };
+  }
 }
 
+providerRegistry.register('anthropic', {
+  label: 'Anthropic',
+  description: 'Claude models through the Anthropic Messages API',
+  capabilities: ['chat', 'stream', 'tools', 'json'],
+  configSchema: {
+    type: 'object',
+    properties: {
+      apiKey: { type: 'string', env: 'ANTHROPIC_API_KEY', secret: true, description: 'API key' },
+      model: { type: 'string', env: 'ANTHROPIC_MODEL', description: 'Model name' },
+      timeout: { type: 'integer', env: 'ANTHROPIC_TIMEOUT_MS', description: 'Request timeout in ms' },
+      maxRetries: { type: 'integer', description: 'Retries the SDK makes on transient errors (default 2)' }
+    }
+  },
+  defaultModels: ['claude-3-7-sonnet-latest', 'claude-3-5-sonnet-latest', 'claude-3-5-haiku-latest', 'claude-3-opus-latest'],
+  validate(config) {
+    if (!config.apiKey) {
+      throw new Error('apiKey is required for Anthropic provider (set in config or ANTHROPIC_API_KEY env var)');
+    }
+  },
+  create: config => new AnthropicProvider(config),
+  listModels: config => new AnthropicProvider(config).listModels()
+});
+
 module.exports = { AnthropicProvider }; 
\ No newline at end of file
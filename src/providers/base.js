@@ -1,12 +1,164 @@
+const { usageService } = require('../services/usage');
+
+/**
+ * Generation options every provider accepts, in provider-neutral form.
+ * Each provider maps them to its own API parameters.
+ * - temperature {number} - Sampling temperature
+ * - maxTokens {number} - Most tokens to generate
+ * - stop {string|Array<string>} - Sequences that end generation
+ * - topP {number} - Nucleus sampling probability mass
+ * - seed {number} - Seed for repeatable sampling, where supported
+ */
+const GENERATION_OPTIONS = ['temperature', 'maxTokens', 'stop', 'topP', 'seed'];
+
+/**
+ * Pick the generation options out of a config or options object
+ * @param {Object} source - Provider config, agent config or call options
+ * @returns {Object} - Only the generation options that are set
+ */
+function pickGenerationOptions(source = {}) {
+  const picked = {};
+  for (const name of GENERATION_OPTIONS) {
+    if (source[name] !== undefined && source[name] !== null) {
+      picked[name] = source[name];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Check whether an error means the call was cancelled through its AbortSignal,
+ * as thrown by fetch, the OpenAI and Anthropic SDKs and axios
+ * @param {Error} error - The error thrown by a provider
+ * @returns {boolean} - Whether the call was aborted
+ */
+function isAbortError(error) {
+  if (!error) {
+    return false;
+  }
+  return error.name === 'AbortError' ||
+    error.name === 'APIUserAbortError' ||
+    error.name === 'CanceledError' ||
+    error.code === 'ERR_CANCELED';
+}
+
 class BaseLLMProvider {
-  async complete(prompt) {
+  /**
+   * Complete a prompt
+   * @param {string} prompt - The prompt
+   * @param {Object} options - Generation options (see GENERATION_OPTIONS) and usage context
+   * @returns {Promise<string>} - The completion
+   */
+  async complete(prompt, options = {}) {
     throw new Error('Method not implemented');
   }
 
-  async chat(messages) {
+  /**
+   * Send a chat request
+   * @param {Array} messages - The chat messages
+   * @param {Object} options - Generation options (see GENERATION_OPTIONS) and usage context
+   * @param {AbortSignal} options.signal - Cancels the request when aborted; every method accepts it
+   * @param {Object} options.responseFormat - { type: 'json', name, schema } to request JSON output,
+   *   using the vendor's native JSON or tool mode where it has one
+   * @returns {Promise<string>} - The response
+   */
+  async chat(messages, options = {}) {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Stream a chat response as it is generated. Providers without native
+   * streaming support yield the complete response as a single chunk.
+   * @param {Array} messages - The chat messages
+   * @param {Object} options - Additional options for the chat
+   * @returns {AsyncGenerator<string>} - Text deltas of the response
+   */
+  async *chatStream(messages, options = {}) {
+    yield await this.chat(messages, options);
+  }
+
+  /**
+   * List the models this provider can use
+   * @returns {Promise<Array<string>>} - The model IDs
+   */
+  async listModels() {
+    return this.model ? [this.model] : [];
+  }
+
+  /**
+   * Check whether the provider can call tools
+   * @returns {boolean} - Whether chatWithTools is available
+   */
+  supportsTools() {
+    return false;
+  }
+
+  /**
+   * Send a chat request the model may answer by calling tools. Tool results are
+   * passed back in later calls as { role: 'tool', toolCallId, name, content } turns,
+   * after the { role: 'assistant', content, toolCalls } turn that asked for them.
+   * @param {Array} messages - The chat messages, including earlier tool turns
+   * @param {Array<{name: string, description: string, parameters: Object}>} tools - The tools,
+   *   with their parameters as a JSON schema
+   * @param {Object} options - Generation options and usage context
+   * @param {string} options.toolChoice - 'auto' (default), 'none' or 'required'
+   * @returns {Promise<{content: string, toolCalls: Array<{id: string, name: string, arguments: Object}>}>} -
+   *   The response text and the tools the model called, if any
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    throw new Error('Tool calling not implemented');
+  }
+
+  /**
+   * Stream a tool-calling chat response: text deltas are yielded as they are
+   * generated and the full response is the generator's return value. Providers
+   * without native streaming yield the complete text as a single chunk.
+   * @param {Array} messages - The chat messages, including earlier tool turns
+   * @param {Array<{name: string, description: string, parameters: Object}>} tools - The tools
+   * @param {Object} options - Generation options and usage context, as for chatWithTools
+   * @returns {AsyncGenerator<string, {content: string, toolCalls: Array<{id: string, name: string, arguments: Object}>}>} -
+   *   Text deltas, then the response text and the tools the model called
+   */
+  async *chatWithToolsStream(messages, tools, options = {}) {
+    const response = await this.chatWithTools(messages, tools, options);
+    if (response.content) {
+      yield response.content;
+    }
+    return response;
+  }
+
+  /**
+   * Resolve the generation options for a call: the call's options override the
+   * defaults the provider was configured with
+   * @param {Object} options - The call options
+   * @returns {Object} - The generation options that are set
+   */
+  getGenerationOptions(options = {}) {
+    return { ...pickGenerationOptions(this.config), ...pickGenerationOptions(options) };
+  }
+
+  /**
+   * Per-request options for the vendor SDK or HTTP client, so an aborted signal cancels the request
+   * @param {Object} options - The call options
+   * @returns {Object|undefined} - { signal }, or undefined when the call can't be cancelled
+   */
+  getRequestOptions(options = {}) {
+    return options.signal ? { signal: options.signal } : undefined;
+  }
+
+  /**
+   * Report the tokens a call used so they are counted per session, agent and day
+   * @param {Object} usage - { provider, model, inputTokens, outputTokens } as reported by the API
+   * @param {Object} options - The call options; options.usage carries { sessionId, agent }
+   * @returns {Promise<Object|null>} - The recorded entry, or null if nothing was reported
+   */
+  reportUsage(usage, options = {}) {
+    if (!usage) {
+      return Promise.resolve(null);
+    }
+    return usageService.record({ ...(options.usage || {}), ...usage });
+  }
+
   // Agent capability methods with default implementations
   
   /**
@@ -24,7 +176,7 @@ class BaseLLMProvider {
    * @param {Array} messages - The conversation history
    * @param {Object} context - Additional context for the interview
    * @param {Object} options - Additional options for the interview
-   * @returns {Promise<string>} - The agent's response
+   * @returns {Promise<Object>} - The next question and the insights extracted so far
    */
   async interview(messages, context = {}, options = {}) {
     throw new Error('Interview capability not implemented');
@@ -52,4 +204,4 @@ class BaseLLMProvider {
   }
 }
 
-module.exports = { BaseLLMProvider }; 
\ No newline at end of file
+module.exports = { BaseLLMProvider, GENERATION_OPTIONS, pickGenerationOptions, isAbortError }; 
\ No newline at end of file
@@ -1,12 +1,34 @@
-const { OpenAIProvider } = require('./openai');
-const { AnthropicProvider } = require('./anthropic');
+// Each provider and agent module registers itself with the registry when loaded
+require('./openai');
+require('./anthropic');
+require('./local');
+require('./replay');
+require('./fallback');
+require('./agents/retrieval');
+require('./agents/interview');
+require('./agents/drafting');
 
-// Import agent providers
-const { RetrievalAgentProvider } = require('./agents/retrieval');
-const { InterviewAgentProvider } = require('./agents/interview');
-const { DraftingAgentProvider } = require('./agents/drafting');
+const { providerRegistry } = require('./registry');
 
 class LLMProviderFactory {
+  /**
+   * Register a provider so it can be created by name (see ProviderRegistry.register)
+   * @param {string} name - The provider name
+   * @param {Object} definition - Its capabilities, config schema, create and listModels functions
+   */
+  static registerProvider(name, definition) {
+    providerRegistry.register(name, definition);
+  }
+
+  /**
+   * Register an agent so it can be created by type (see ProviderRegistry.registerAgent)
+   * @param {string} name - The agent type
+   * @param {Object} definition - Its capabilities, aliases and create function
+   */
+  static registerAgent(name, definition) {
+    providerRegistry.registerAgent(name, definition);
+  }
+
   static validateConfig(type, config) {
     // Check if this is an agent provider type
     if (type.toLowerCase().includes('agent')) {
@@ -19,56 +41,34 @@ class LLMProviderFactory {
       return;
     }
     
-    // Basic provider validation
-    switch (type.toLowerCase()) {
-      case 'openai':
-        if (!config.apiKey && !process.env.OPENAI_API_KEY) {
-          throw new Error('apiKey is required for OpenAI provider (set in config or OPENAI_API_KEY env var)');
-        }
-        break;
-      case 'anthropic':
-        if (!config.apiKey && !process.env.ANTHROPIC_API_KEY) {
-          throw new Error('apiKey is required for Anthropic provider (set in config or ANTHROPIC_API_KEY env var)');
-        }
-        break;
-      // Agent provider validation will be added here as we implement each agent
-      default:
-        throw new Error(`Unknown provider type: ${type}`);
+    if (!providerRegistry.has(type)) {
+      throw new Error(`Unknown provider type: ${type}`);
     }
+    providerRegistry.validateConfig(type, providerRegistry.resolveConfig(type, config), this);
   }
 
   static createProvider(type, config = {}) {
     console.log(`[PROVIDER] Creating provider of type: ${type}`);
-    console.log(`[PROVIDER] Provider config:`, JSON.stringify(config, (key, value) => 
-      key === 'apiKey' ? '[REDACTED]' : value, 2));
+    console.log(`[PROVIDER] Provider config:`, JSON.stringify(config, (key, value) => {
+      if (key === 'apiKey') return '[REDACTED]';
+      // Wrapped provider instances are logged by class name
+      if (key === 'llmProvider' && value && typeof value === 'object') return value.constructor.name;
+      return value;
+    }, 2));
     
     this.validateConfig(type, config);
-    const finalConfig = { ...config };
 
     // Check if this is an agent provider request
     if (type.toLowerCase().includes('agent')) {
       console.log(`[PROVIDER] Creating agent provider: ${type}`);
-      return this.createAgentProvider(type, finalConfig);
+      return this.createAgentProvider(type, { ...config });
     }
 
-    // Standard provider creation
-    switch (type.toLowerCase()) {
-      case 'openai':
-        finalConfig.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
-        finalConfig.model = config.model || process.env.OPENAI_MODEL;
-        console.log(`[PROVIDER] Created OpenAIProvider with model: ${finalConfig.model}`);
-        return new OpenAIProvider(finalConfig);
-        
-      case 'anthropic':
-        finalConfig.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
-        finalConfig.model = config.model || process.env.ANTHROPIC_MODEL;
-        console.log(`[PROVIDER] Created AnthropicProvider with model: ${finalConfig.model}`);
-        return new AnthropicProvider(finalConfig);
-        
-      default:
-        console.error(`[PROVIDER] Unknown provider type: ${type}`);
-        throw new Error(`Unknown provider type: ${type}`);
-    }
+    // Environment defaults fill in whatever the config leaves out
+    const definition = providerRegistry.get(type);
+    const provider = definition.create(providerRegistry.resolveConfig(type, config), this);
+    console.log(`[PROVIDER] Created ${provider.constructor.name}${provider.model ? ` with model: ${provider.model}` : ''}`);
+    return provider;
   }
 
   /**
@@ -89,27 +89,15 @@ class LLMProviderFactory {
       llmProvider = this.createProvider(llmType, llmConfig);
     }
     
-    // Create the appropriate agent provider
-    switch (type.toLowerCase()) {
-      case 'retrieval':
-      case 'retrievalagent':
-        console.log(`[PROVIDER] Created RetrievalAgentProvider`);
-        return new RetrievalAgentProvider(llmProvider, config);
-        
-      case 'interview':
-      case 'interviewagent':
-        console.log(`[PROVIDER] Created InterviewAgentProvider`);
-        return new InterviewAgentProvider(llmProvider, config);
-        
-      case 'drafting':
-      case 'draftingagent':
-        console.log(`[PROVIDER] Created DraftingAgentProvider`);
-        return new DraftingAgentProvider(llmProvider, config);
-        
-      default:
-        console.error(`[PROVIDER] Unknown agent type: ${type}`);
-        throw new Error(`Unknown agent type: ${type}`);
+    const definition = providerRegistry.getAgent(type);
+    if (!definition) {
+      console.error(`[PROVIDER] Unknown agent type: ${type}`);
+      throw new Error(`Unknown agent type: ${type}`);
     }
+    
+    const agent = definition.create(llmProvider, config);
+    console.log(`[PROVIDER] Created ${agent.constructor.name}`);
+    return agent;
   }
 
   /**
@@ -120,21 +108,14 @@ class LLMProviderFactory {
    * @returns {BaseLLMProvider} - A provider that supports the requested capability
    */
   static getProviderWithCapability(capability, llmProvider, config = {}) {
-    // Map capabilities to appropriate agent types
-    const capabilityMap = {
-      'retrieve': 'retrieval',
-      'interview': 'interview',
-      'draft': 'drafting'
-    };
-    
-    const agentType = capabilityMap[capability];
-    if (!agentType) {
+    const definition = providerRegistry.findAgentWithCapability(capability);
+    if (!definition) {
       console.error(`[PROVIDER] Unknown capability: ${capability}`);
       throw new Error(`Unknown capability: ${capability}`);
     }
     
-    return this.createAgentProvider(agentType, llmProvider, config);
+    return this.createAgentProvider(definition.name, llmProvider, config);
   }
 }
 
-module.exports = { LLMProviderFactory }; 
\ No newline at end of file
+module.exports = { LLMProviderFactory, providerRegistry };
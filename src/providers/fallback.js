@@ -0,0 +1,420 @@
+const { BaseLLMProvider, isAbortError } = require('./base');
+const { providerRegistry } = require('./registry');
+const debug = require('debug')('chatbot:fallback');
+
+// HTTP statuses worth retrying: rate limits, timeouts and server errors
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// Number of recent calls kept in the call log
+const CALL_LOG_SIZE = 50;
+
+/**
+ * Fallback chain provider
+ * Tries an ordered list of providers. Each is retried with exponential backoff
+ * on transient errors before the chain falls through to the next one. A
+ * provider that keeps failing has its circuit opened and is skipped until the
+ * reset timeout passes, after which a single trial call is let through.
+ */
+class FallbackChainProvider extends BaseLLMProvider {
+  /**
+   * @param {Array<{name: string, provider: BaseLLMProvider}>} providers - The providers, in order of preference
+   * @param {Object} config - Configuration
+   * @param {number} config.maxRetries - Retries per provider on transient errors
+   * @param {number} config.baseDelay - Delay before the first retry in ms, doubled on each retry
+   * @param {number} config.maxDelay - Longest delay between retries in ms
+   * @param {number} config.failureThreshold - Consecutive failed calls that open a provider's circuit
+   * @param {number} config.resetTimeout - How long a circuit stays open in ms
+   */
+  constructor(providers, config = {}) {
+    super();
+    if (!providers || providers.length === 0) {
+      throw new Error('At least one provider is required for the fallback chain');
+    }
+
+    this.providers = providers;
+    this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : 2;
+    this.baseDelay = config.baseDelay !== undefined ? config.baseDelay : 500;
+    this.maxDelay = config.maxDelay || 8000;
+    this.failureThreshold = config.failureThreshold || 3;
+    this.resetTimeout = config.resetTimeout || 30000;
+
+    // The first provider's model drives the token budget
+    this.model = providers[0].provider.model;
+
+    this.circuits = {};
+    for (const { name } of providers) {
+      this.circuits[name] = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+    }
+
+    // Which provider answered recent calls
+    this.lastProvider = null;
+    this.callLog = [];
+
+    debug(`Initialized fallback chain: ${providers.map(p => p.name).join(' -> ')}`);
+  }
+
+  async complete(prompt, options = {}) {
+    return this._callChain('complete', ({ provider }) => provider.complete(prompt, options), options.signal);
+  }
+
+  async chat(messages, options = {}) {
+    return this._callChain('chat', ({ provider }) => provider.chat(messages, options), options.signal);
+  }
+
+  /**
+   * Tools are only offered when every provider in the chain can call them, so a
+   * fallback never lands on a provider that can't continue the tool loop
+   * @returns {boolean} - Whether the chain supports tool calling
+   */
+  supportsTools() {
+    return this.providers.every(({ provider }) => provider.supportsTools());
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    return this._callChain('chatWithTools', ({ provider }) => provider.chatWithTools(messages, tools, options), options.signal);
+  }
+
+  async *chatStream(messages, options = {}) {
+    yield* this._streamChain('chatStream', ({ provider }) => provider.chatStream(messages, options), options.signal);
+  }
+
+  async *chatWithToolsStream(messages, tools, options = {}) {
+    return yield* this._streamChain('chatWithToolsStream',
+      ({ provider }) => provider.chatWithToolsStream(messages, tools, options), options.signal);
+  }
+
+  /**
+   * Check whether an error is transient and worth retrying
+   * @param {Error} error - The error thrown by a provider
+   * @returns {boolean} - Whether to retry
+   */
+  isRetryable(error) {
+    const status = error.status || (error.response && error.response.status);
+    if (status) {
+      return RETRYABLE_STATUSES.includes(status);
+    }
+    if (error.code && RETRYABLE_CODES.includes(error.code)) {
+      return true;
+    }
+    return /timed? ?out|network|socket hang up/i.test(error.message || '');
+  }
+
+  /**
+   * Get the circuit state of every provider in the chain
+   * @returns {Object} - Provider name to { state, failures, openedAt, trialInFlight }
+   */
+  getCircuitStates() {
+    const states = {};
+    for (const { name } of this.providers) {
+      states[name] = { ...this.circuits[name], state: this._currentState(name) };
+    }
+    return states;
+  }
+
+  /**
+   * Call each available provider in turn until one succeeds
+   * @param {string} method - The method being called, for the call log
+   * @param {Function} call - Makes the call against a chain entry
+   * @param {AbortSignal} signal - The call's signal, if it can be cancelled
+   * @returns {Promise<string>} - The first successful response
+   * @private
+   */
+  async _callChain(method, call, signal) {
+    const errors = [];
+
+    for (const entry of this.providers) {
+      if (!this._isAvailable(entry.name)) {
+        debug(`Skipping ${entry.name}: circuit open`);
+        errors.push(`${entry.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        for (let attempt = 0; ; attempt++) {
+          try {
+            const response = await call(entry);
+            this._recordSuccess(entry.name, method, attempt + 1, errors);
+            return response;
+          } catch (error) {
+            // A cancelled request is the caller's choice, not a provider failure
+            if (isAbortError(error)) {
+              throw error;
+            }
+            if (attempt < this.maxRetries && this.isRetryable(error)) {
+              await this._backoff(entry.name, attempt, error, signal);
+              continue;
+            }
+            console.error(`[FALLBACK] ${entry.name} failed after ${attempt + 1} attempt(s): ${error.message}`);
+            this._recordFailure(entry.name);
+            errors.push(`${entry.name}: ${error.message}`);
+            break;
+          }
+        }
+      } finally {
+        // A cancelled trial settles nothing, so the next caller gets to try
+        this._endTrial(entry.name);
+      }
+    }
+
+    throw this._chainError(errors);
+  }
+
+  /**
+   * Stream from each available provider in turn until one answers. A provider is
+   * only retried or skipped before it has streamed anything.
+   * @param {string} method - The method being called, for the call log
+   * @param {Function} stream - Starts the stream against a chain entry
+   * @param {AbortSignal} signal - The call's signal, if it can be cancelled
+   * @returns {AsyncGenerator} - The chunks of the first provider that answers, and its return value
+   * @private
+   */
+  async *_streamChain(method, stream, signal) {
+    const errors = [];
+
+    for (const entry of this.providers) {
+      if (!this._isAvailable(entry.name)) {
+        errors.push(`${entry.name}: circuit open`);
+        continue;
+      }
+
+      let attempt = 0;
+      try {
+        while (true) {
+          let yielded = false;
+          try {
+            const chunks = stream(entry);
+            let next;
+            try {
+              while (!(next = await chunks.next()).done) {
+                yielded = true;
+                yield next.value;
+              }
+            } finally {
+              // Let the provider close its request when the caller stops reading early
+              if (next && !next.done) {
+                await chunks.return();
+              }
+            }
+            this._recordSuccess(entry.name, method, attempt + 1, errors);
+            return next.value;
+          } catch (error) {
+            // A cancelled request is the caller's choice, not a provider failure
+            if (isAbortError(error)) {
+              throw error;
+            }
+            // Once text has reached the caller the response can't be restarted elsewhere
+            if (yielded) {
+              this._recordFailure(entry.name);
+              throw error;
+            }
+            if (attempt < this.maxRetries && this.isRetryable(error)) {
+              await this._backoff(entry.name, attempt++, error, signal);
+              continue;
+            }
+            this._recordFailure(entry.name);
+            errors.push(`${entry.name}: ${error.message}`);
+            break;
+          }
+        }
+      } finally {
+        // A cancelled or abandoned trial settles nothing, so the next caller gets to try
+        this._endTrial(entry.name);
+      }
+    }
+
+    throw this._chainError(errors);
+  }
+
+  /**
+   * Wait before retrying a provider, giving up early if the call is cancelled
+   * @param {string} name - The provider name
+   * @param {number} attempt - The zero-based attempt that just failed
+   * @param {Error} error - The error that triggered the retry
+   * @param {AbortSignal} signal - The call's signal, if it can be cancelled
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _backoff(name, attempt, error, signal) {
+    const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+    console.log(`[FALLBACK] ${name} failed (${error.message}); retrying in ${delay}ms`);
+    await new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Get the circuit state, moving an open circuit to half-open once its timeout has passed
+   * @param {string} name - The provider name
+   * @returns {string} - 'closed', 'open' or 'half-open'
+   * @private
+   */
+  _currentState(name) {
+    const circuit = this.circuits[name];
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.resetTimeout) {
+      return 'half-open';
+    }
+    return circuit.state;
+  }
+
+  /**
+   * Check whether a provider's circuit lets calls through
+   * @param {string} name - The provider name
+   * @returns {boolean} - Whether the provider can be called
+   * @private
+   */
+  _isAvailable(name) {
+    const state = this._currentState(name);
+    if (state === 'half-open') {
+      // Let a single trial call through and hold the others back until it settles;
+      // a failure re-opens the circuit
+      const circuit = this.circuits[name];
+      if (circuit.trialInFlight) {
+        return false;
+      }
+      circuit.state = 'half-open';
+      circuit.trialInFlight = true;
+      return true;
+    }
+    return state === 'closed';
+  }
+
+  /**
+   * Let the next caller make the trial call if this one ended without settling the circuit
+   * @param {string} name - The provider name
+   * @private
+   */
+  _endTrial(name) {
+    this.circuits[name].trialInFlight = false;
+  }
+
+  /**
+   * Close the provider's circuit and log which provider answered
+   * @param {string} name - The provider that answered
+   * @param {string} method - The method called
+   * @param {number} attempts - Attempts made against this provider
+   * @param {Array<string>} skipped - Failures of the providers tried before it
+   * @private
+   */
+  _recordSuccess(name, method, attempts, skipped) {
+    this.circuits[name] = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+    this.lastProvider = name;
+    this.callLog.push({
+      provider: name,
+      method,
+      attempts,
+      fallbacks: [...skipped],
+      timestamp: new Date().toISOString()
+    });
+    if (this.callLog.length > CALL_LOG_SIZE) {
+      this.callLog.shift();
+    }
+
+    if (skipped.length > 0) {
+      console.log(`[FALLBACK] ${method} answered by ${name} after: ${skipped.join('; ')}`);
+    }
+  }
+
+  /**
+   * Count a failed call against a provider, opening its circuit at the threshold
+   * @param {string} name - The provider that failed
+   * @private
+   */
+  _recordFailure(name) {
+    const circuit = this.circuits[name];
+    circuit.failures += 1;
+
+    if (circuit.state === 'half-open' || circuit.failures >= this.failureThreshold) {
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+      console.warn(`[FALLBACK] Circuit opened for ${name} after ${circuit.failures} failure(s)`);
+    }
+  }
+
+  /**
+   * Build the error thrown when every provider failed
+   * @param {Array<string>} errors - The failure of each provider
+   * @returns {Error} - The error
+   * @private
+   */
+  _chainError(errors) {
+    const error = new Error(`All providers in the fallback chain failed: ${errors.join('; ')}`);
+    error.providerErrors = errors;
+    return error;
+  }
+}
+
+/**
+ * Parse a comma-separated list of provider types, e.g. 'anthropic,openai,local'
+ * @param {string} value - The list
+ * @returns {Array<string>} - The provider types
+ */
+function parseProviderList(value) {
+  return (value || '').split(',').map(type => type.trim()).filter(Boolean);
+}
+
+providerRegistry.register('fallback', {
+  label: 'Fallback chain',
+  description: 'Tries each provider in LLM_FALLBACK_CHAIN in turn, with retries and circuit breakers',
+  capabilities: ['chat', 'stream', 'tools'],
+  configSchema: {
+    type: 'object',
+    properties: {
+      providers: {
+        type: 'array',
+        env: 'LLM_FALLBACK_CHAIN',
+        description: 'Provider types in order of preference, or { type, config } entries',
+        items: { type: ['string', 'object'] }
+      },
+      maxRetries: { type: 'integer', description: 'Retries per provider on transient errors' },
+      baseDelay: { type: 'integer', description: 'Delay before the first retry in ms' },
+      maxDelay: { type: 'integer', description: 'Longest delay between retries in ms' },
+      failureThreshold: { type: 'integer', description: 'Consecutive failures that open a circuit' },
+      resetTimeout: { type: 'integer', description: 'How long a circuit stays open in ms' }
+    }
+  },
+  resolveConfig(config) {
+    return { ...config, providers: config.providers || parseProviderList(process.env.LLM_FALLBACK_CHAIN) };
+  },
+  validate(config) {
+    if (!Array.isArray(config.providers) || config.providers.length === 0) {
+      throw new Error('providers is required for the fallback provider (set in config or LLM_FALLBACK_CHAIN env var)');
+    }
+  },
+  create(config, factory) {
+    // Each entry is a provider type, or { type, config } to override its configuration
+    const providers = [];
+    for (const entry of config.providers) {
+      const entryType = typeof entry === 'string' ? entry : entry.type;
+      try {
+        // The chain does the retrying, so the SDK clients' own retries are turned off
+        const entryConfig = typeof entry === 'string' ? {} : (entry.config || {});
+        providers.push({
+          name: entryType,
+          provider: factory.createProvider(entryType, { ...entryConfig, maxRetries: 0 })
+        });
+      } catch (error) {
+        // A provider that isn't configured here is left out rather than failing the whole chain
+        console.warn(`[PROVIDER] Skipping ${entryType} in fallback chain: ${error.message}`);
+      }
+    }
+    if (providers.length === 0) {
+      throw new Error('None of the providers in the fallback chain could be created');
+    }
+    return new FallbackChainProvider(providers, config);
+  }
+});
+
+module.exports = { FallbackChainProvider, parseProviderList };
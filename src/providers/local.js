@@ -0,0 +1,359 @@
+const axios = require('axios');
+const { spawn } = require('child_process');
+const { BaseLLMProvider } = require('./base');
+const { toOpenAIMessages, toOpenAITools, fromOpenAIToolCalls, mergeOpenAIToolCallDeltas } = require('./messages');
+const { providerRegistry, fromEnv } = require('./registry');
+const debug = require('debug')('chatbot:local');
+
+/**
+ * Provider for locally hosted models behind an OpenAI-compatible API
+ * (LM Studio, Ollama, llama.cpp server). Nothing is sent to a hosted API.
+ *
+ * Either point it at a running server with `baseUrl`, or give it the server
+ * binary with `execPath` and it will start the server on first use.
+ */
+class LocalLLMProvider extends BaseLLMProvider {
+  constructor(config = {}) {
+    super();
+    if (!config.baseUrl && !config.execPath) {
+      throw new Error('Either baseUrl or execPath is required for local provider');
+    }
+
+    this.execPath = config.execPath || null;
+    this.execArgs = config.execArgs || [];
+    this.port = config.port || 8080;
+    this.startupTimeout = config.startupTimeout || 60000;
+    this.serverProcess = null;
+
+    this.baseUrl = (config.baseUrl || `http://127.0.0.1:${this.port}/v1`).replace(/\/+$/, '');
+    this.model = config.model || 'local-model';
+    this.config = config;
+
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      // Local models can be slow to load and generate on modest hardware
+      timeout: config.timeout || 300000,
+      adapter: 'http',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+      }
+    });
+
+    debug('Initialized LocalLLMProvider:', { baseUrl: this.baseUrl, model: this.model, execPath: this.execPath });
+  }
+
+  async complete(prompt, options = {}) {
+    debug('Sending completion request');
+    await this.ensureServer();
+
+    try {
+      const response = await this.client.post('/completions', {
+        model: this.model,
+        prompt,
+        ...this.toRequestParams(options)
+      }, this.getRequestOptions(options));
+
+      this.reportUsage(this.extractUsage(response.data), options);
+      return response.data.choices[0].text;
+    } catch (error) {
+      console.error(`[LOCAL] Error in completion request:`, error.message);
+      throw error;
+    }
+  }
+
+  async chat(messages, options = {}) {
+    debug(`Making chat request with ${messages.length} messages to ${this.baseUrl}`);
+    await this.ensureServer();
+
+    try {
+      const response = await this.client.post('/chat/completions', {
+        model: this.model,
+        messages: toOpenAIMessages(messages),
+        ...this.toRequestParams(options)
+      }, this.getRequestOptions(options));
+
+      debug('Received response from local model');
+      this.reportUsage(this.extractUsage(response.data), options);
+      return response.data.choices[0].message.content;
+    } catch (error) {
+      console.error(`[LOCAL] Error in chat request:`, error.message);
+      throw error;
+    }
+  }
+
+  supportsTools() {
+    // LM Studio, Ollama and llama.cpp accept OpenAI tools; whether the model uses them well depends on the model
+    return true;
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    debug(`Making tool-calling chat request with ${messages.length} messages and ${tools.length} tools`);
+    await this.ensureServer();
+
+    try {
+      const response = await this.client.post('/chat/completions', {
+        model: this.model,
+        messages: toOpenAIMessages(messages),
+        ...this.toRequestParams(options),
+        tools: toOpenAITools(tools),
+        tool_choice: options.toolChoice || 'auto'
+      }, this.getRequestOptions(options));
+
+      this.reportUsage(this.extractUsage(response.data), options);
+      const message = response.data.choices[0].message;
+      return {
+        content: message.content || '',
+        toolCalls: fromOpenAIToolCalls(message.tool_calls)
+      };
+    } catch (error) {
+      console.error(`[LOCAL] Error in tool-calling chat request:`, error.message);
+      throw error;
+    }
+  }
+
+  async *chatStream(messages, options = {}) {
+    debug(`Making streaming chat request with ${messages.length} messages to ${this.baseUrl}`);
+    await this.ensureServer();
+
+    try {
+      const response = await this.client.post('/chat/completions', {
+        model: this.model,
+        messages: toOpenAIMessages(messages),
+        ...this.toRequestParams(options),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { ...this.getRequestOptions(options), responseType: 'stream' });
+
+      let usage = null;
+      for await (const chunk of this.readStreamChunks(response.data)) {
+        if (chunk.usage) {
+          usage = this.extractUsage(chunk);
+        }
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          yield delta;
+        }
+      }
+
+      this.reportUsage(usage, options);
+      debug('Streaming response complete');
+    } catch (error) {
+      console.error(`[LOCAL] Error in streaming chat request:`, error.message);
+      throw error;
+    }
+  }
+
+  async *chatWithToolsStream(messages, tools, options = {}) {
+    debug(`Making streaming tool-calling chat request with ${messages.length} messages and ${tools.length} tools`);
+    await this.ensureServer();
+
+    try {
+      const response = await this.client.post('/chat/completions', {
+        model: this.model,
+        messages: toOpenAIMessages(messages),
+        ...this.toRequestParams(options),
+        tools: toOpenAITools(tools),
+        tool_choice: options.toolChoice || 'auto',
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { ...this.getRequestOptions(options), responseType: 'stream' });
+
+      let content = '';
+      const toolCalls = [];
+      let usage = null;
+      for await (const chunk of this.readStreamChunks(response.data)) {
+        if (chunk.usage) {
+          usage = this.extractUsage(chunk);
+        }
+        const delta = chunk.choices[0]?.delta;
+        if (!delta) continue;
+        if (delta.content) {
+          content += delta.content;
+          yield delta.content;
+        }
+        mergeOpenAIToolCallDeltas(toolCalls, delta.tool_calls);
+      }
+
+      this.reportUsage(usage, options);
+      return { content, toolCalls: fromOpenAIToolCalls(toolCalls.filter(Boolean)) };
+    } catch (error) {
+      console.error(`[LOCAL] Error in streaming tool-calling chat request:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the chat.completion.chunk objects of a Server-Sent Events response body
+   * @param {AsyncIterable<Buffer>} body - The response stream
+   * @returns {AsyncGenerator<Object>} - The parsed chunks, up to the [DONE] marker
+   */
+  async *readStreamChunks(body) {
+    let buffer = '';
+    for await (const data of body) {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.substring(5).trim();
+        if (payload === '[DONE]') {
+          return;
+        }
+        yield JSON.parse(payload);
+      }
+    }
+  }
+
+  /**
+   * List the models the server has loaded. A server started from execPath isn't
+   * started just to list them; its configured model is returned instead.
+   * @returns {Promise<Array<string>>} - The model IDs
+   */
+  async listModels() {
+    if (this.execPath && !this.serverProcess) {
+      return [this.model];
+    }
+    const response = await this.client.get('/models', { timeout: 5000 });
+    return (response.data.data || []).map(model => model.id);
+  }
+
+  /**
+   * Map the generation options to OpenAI-compatible parameters
+   * @param {Object} options - The call options
+   * @returns {Object} - The request parameters
+   */
+  toRequestParams(options = {}) {
+    const { temperature, maxTokens, stop, topP, seed } = this.getGenerationOptions(options);
+    return {
+      temperature,
+      max_tokens: maxTokens,
+      stop,
+      top_p: topP,
+      seed,
+      response_format: this.toResponseFormat(options.responseFormat)
+    };
+  }
+
+  /**
+   * Map a requested JSON response format to the OpenAI-compatible parameter.
+   * LM Studio, Ollama and llama.cpp all constrain generation to a json_schema.
+   * @param {Object} responseFormat - { type: 'json', name, schema } from the call options
+   * @returns {Object|undefined} - The response_format parameter
+   */
+  toResponseFormat(responseFormat) {
+    if (!responseFormat || responseFormat.type !== 'json') {
+      return undefined;
+    }
+    if (!responseFormat.schema) {
+      return { type: 'json_object' };
+    }
+    return {
+      type: 'json_schema',
+      json_schema: { name: responseFormat.name || 'structured_response', schema: responseFormat.schema }
+    };
+  }
+
+  /**
+   * Read the token usage from a response; servers that don't count tokens leave it out
+   * @param {Object} data - A completion response or its final stream chunk
+   * @returns {Object|null} - The usage to report, or null if the server sent none
+   */
+  extractUsage(data) {
+    if (!data || !data.usage) {
+      return null;
+    }
+    return {
+      provider: 'local',
+      model: data.model || this.model,
+      inputTokens: data.usage.prompt_tokens,
+      outputTokens: data.usage.completion_tokens
+    };
+  }
+
+  /**
+   * Start the local server from execPath if it isn't running yet, and wait until it answers
+   * @returns {Promise<void>}
+   */
+  async ensureServer() {
+    if (!this.execPath || this.serverProcess) {
+      return;
+    }
+
+    console.log(`[LOCAL] Starting local model server: ${this.execPath}`);
+    this.serverProcess = spawn(this.execPath, [...this.execArgs, '--port', String(this.port)], {
+      stdio: 'ignore'
+    });
+    this.serverProcess.on('exit', code => {
+      debug(`Local model server exited with code ${code}`);
+      this.serverProcess = null;
+    });
+
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < this.startupTimeout) {
+      if (!this.serverProcess) {
+        throw new Error(`Local model server exited during startup: ${this.execPath}`);
+      }
+      try {
+        await this.client.get('/models', { timeout: 2000 });
+        console.log(`[LOCAL] Local model server is ready at ${this.baseUrl}`);
+        return;
+      } catch (error) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    }
+
+    this.stop();
+    throw new Error(`Local model server did not start within ${this.startupTimeout}ms`);
+  }
+
+  /**
+   * Stop the server started from execPath, if any
+   */
+  stop() {
+    if (this.serverProcess) {
+      this.serverProcess.kill();
+      this.serverProcess = null;
+    }
+  }
+}
+
+providerRegistry.register('local', {
+  label: 'Local',
+  description: 'Models served locally by LM Studio, Ollama or llama.cpp, so nothing leaves this machine',
+  capabilities: ['chat', 'stream', 'tools', 'json', 'offline'],
+  configSchema: {
+    type: 'object',
+    properties: {
+      baseUrl: { type: 'string', env: 'LOCAL_LLM_BASE_URL', description: 'OpenAI-compatible API URL, e.g. http://localhost:1234/v1' },
+      execPath: { type: 'string', env: 'LOCAL_LLM_EXEC_PATH', description: 'Server binary to start when no baseUrl is given' },
+      model: { type: 'string', env: 'LOCAL_LLM_MODEL', description: 'Model name' },
+      apiKey: { type: 'string', env: 'LOCAL_LLM_API_KEY', secret: true, description: 'API key, if the server requires one' },
+      timeout: { type: 'integer', env: 'LOCAL_LLM_TIMEOUT_MS', description: 'Request timeout in ms' }
+    }
+  },
+  resolveConfig(config) {
+    // A server started from execPath is only used when no baseUrl is given
+    const execPath = config.baseUrl ? config.execPath : (config.execPath || process.env.LOCAL_LLM_EXEC_PATH);
+    return {
+      ...config,
+      execPath,
+      baseUrl: config.baseUrl || (execPath ? undefined : process.env.LOCAL_LLM_BASE_URL),
+      model: config.model || process.env.LOCAL_LLM_MODEL,
+      apiKey: config.apiKey || process.env.LOCAL_LLM_API_KEY,
+      timeout: config.timeout || fromEnv(process.env.LOCAL_LLM_TIMEOUT_MS, { type: 'integer' })
+    };
+  },
+  validate(config) {
+    if (!config.baseUrl && !config.execPath) {
+      throw new Error('Either baseUrl or execPath is required for local provider');
+    }
+  },
+  create: config => new LocalLLMProvider(config),
+  listModels: config => new LocalLLMProvider(config).listModels()
+});
+
+module.exports = { LocalLLMProvider, LocalProvider: LocalLLMProvider };
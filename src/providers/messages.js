@@ -0,0 +1,242 @@
+/**
+ * Message normalisation shared by the providers
+ * Callers layer several system segments (base prompt, retrieved sources,
+ * conversation summary, agent instructions) in front of the conversation.
+ * These helpers shape that list into what each vendor's API accepts without
+ * losing any of it.
+ *
+ * Tool-calling turns use a provider-neutral form:
+ * - { role: 'assistant', content, toolCalls: [{ id, name, arguments }] } - the model asked for tools
+ * - { role: 'tool', toolCallId, name, content } - the result of one call
+ */
+
+// Separator placed between merged segments
+const SEGMENT_SEPARATOR = '\n\n';
+
+/**
+ * Reduce messages to { role, content }, dropping bookkeeping fields and empty turns.
+ * Tool-calling fields are kept, and an assistant turn that only calls tools is kept without text.
+ * @param {Array<Object>} messages - The chat messages
+ * @returns {Array<Object>} - The cleaned messages
+ */
+function cleanMessages(messages = []) {
+  return messages
+    .filter(message => message && ((message.content !== undefined && message.content !== null) || hasToolCalls(message)))
+    .map(message => {
+      const cleaned = { role: message.role, content: message.content == null ? '' : String(message.content) };
+      if (hasToolCalls(message)) {
+        cleaned.toolCalls = message.toolCalls;
+      }
+      if (message.role === 'tool') {
+        cleaned.toolCallId = message.toolCallId;
+        cleaned.name = message.name;
+      }
+      return cleaned;
+    })
+    .filter(message => message.content.trim() !== '' || message.toolCalls);
+}
+
+/**
+ * @param {Object} message - A chat message
+ * @returns {boolean} - Whether the message is an assistant turn calling tools
+ */
+function hasToolCalls(message) {
+  return Array.isArray(message.toolCalls) && message.toolCalls.length > 0;
+}
+
+/**
+ * Split the system segments out of a conversation, merged in order
+ * @param {Array<Object>} messages - The chat messages
+ * @returns {{system: string|null, messages: Array<{role: string, content: string}>}} - The merged
+ *   system content (null if there was none) and the remaining turns in their original order
+ */
+function mergeSystemMessages(messages) {
+  const cleaned = cleanMessages(messages);
+  const systemSegments = cleaned.filter(m => m.role === 'system').map(m => m.content);
+
+  return {
+    system: systemSegments.length > 0 ? systemSegments.join(SEGMENT_SEPARATOR) : null,
+    messages: cleaned.filter(m => m.role !== 'system')
+  };
+}
+
+/**
+ * Merge consecutive turns from the same role into one. Content block arrays
+ * (Anthropic tool turns) are concatenated; tool-calling turns are never merged.
+ * @param {Array<Object>} messages - The turns
+ * @returns {Array<Object>} - Turns with alternating roles
+ */
+function collapseConsecutiveRoles(messages) {
+  const collapsed = [];
+  for (const message of messages) {
+    const previous = collapsed[collapsed.length - 1];
+    if (!previous || previous.role !== message.role || previous.toolCalls || message.toolCalls || message.role === 'tool') {
+      collapsed.push({ ...message });
+    } else if (typeof previous.content === 'string' && typeof message.content === 'string') {
+      previous.content += SEGMENT_SEPARATOR + message.content;
+    } else {
+      previous.content = toContentBlocks(previous.content).concat(toContentBlocks(message.content));
+    }
+  }
+  return collapsed;
+}
+
+/**
+ * @param {string|Array<Object>} content - Message content
+ * @returns {Array<Object>} - The content as Anthropic content blocks
+ */
+function toContentBlocks(content) {
+  return typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+}
+
+/**
+ * Shape messages for the Anthropic Messages API: all system segments go in the
+ * top-level system parameter and the turns must alternate between user and assistant
+ * @param {Array<Object>} messages - The chat messages
+ * @returns {{system: string|undefined, messages: Array<{role: string, content: string}>}} - The request fields
+ */
+function toAnthropicMessages(messages) {
+  const { system, messages: turns } = mergeSystemMessages(messages);
+  return {
+    system: system || undefined,
+    messages: collapseConsecutiveRoles(turns.map(toAnthropicTurn))
+  };
+}
+
+/**
+ * Map a turn to the Messages API: tool calls become tool_use blocks and tool
+ * results become tool_result blocks in a user turn
+ * @param {Object} message - A cleaned turn
+ * @returns {{role: string, content: string|Array<Object>}} - The Anthropic turn
+ */
+function toAnthropicTurn(message) {
+  if (message.role === 'tool') {
+    return {
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }]
+    };
+  }
+
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: [
+        ...(message.content.trim() ? [{ type: 'text', text: message.content }] : []),
+        ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+      ]
+    };
+  }
+
+  return { role: message.role, content: message.content };
+}
+
+/**
+ * Shape messages for OpenAI-compatible Chat Completions APIs: the system
+ * segments become one leading message and every other turn keeps its role
+ * @param {Array<Object>} messages - The chat messages
+ * @param {Object} options - Options
+ * @param {string} options.systemRole - Role for the merged system content ('system', 'developer', or 'user'
+ *   for models that reject system messages)
+ * @returns {Array<{role: string, content: string}>} - The messages
+ */
+function toOpenAIMessages(messages, { systemRole = 'system' } = {}) {
+  const { system, messages: turns } = mergeSystemMessages(messages);
+  if (!system) {
+    return turns.map(toOpenAITurn);
+  }
+
+  // Folded into the first user turn so the conversation still opens with a single user message
+  if (systemRole === 'user') {
+    return collapseConsecutiveRoles([{ role: 'user', content: system }, ...turns]).map(toOpenAITurn);
+  }
+
+  return [{ role: systemRole, content: system }, ...turns.map(toOpenAITurn)];
+}
+
+/**
+ * Map a turn to Chat Completions: tool calls carry JSON-encoded arguments and
+ * tool results reference the call they answer
+ * @param {Object} message - A cleaned turn
+ * @returns {Object} - The OpenAI message
+ */
+function toOpenAITurn(message) {
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+  }
+
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: message.content.trim() ? message.content : null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }))
+    };
+  }
+
+  return message;
+}
+
+/**
+ * Describe tools in the Chat Completions format
+ * @param {Array<{name: string, description: string, parameters: Object}>} tools - The tool definitions
+ * @returns {Array<Object>} - The tools parameter
+ */
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  }));
+}
+
+/**
+ * Read the tool calls of a Chat Completions message
+ * @param {Array<Object>} toolCalls - The message's tool_calls
+ * @returns {Array<{id: string, name: string, arguments: Object}>} - The calls with parsed arguments
+ */
+function fromOpenAIToolCalls(toolCalls = []) {
+  return (toolCalls || []).map(call => {
+    let args = {};
+    try {
+      args = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+    } catch (error) {
+      // Left empty; the tool reports the missing arguments back to the model
+      console.error(`[TOOLS] Unparseable arguments for ${call.function.name}:`, call.function.arguments);
+    }
+    return { id: call.id, name: call.function.name, arguments: args };
+  });
+}
+
+/**
+ * Add the tool call fragments of a Chat Completions stream chunk to the calls
+ * built so far. Each fragment names its call by index; the ID and name come
+ * first and the arguments arrive in pieces.
+ * @param {Array<Object>} toolCalls - The calls so far, as tool_calls entries; updated in place
+ * @param {Array<Object>} deltas - The chunk's delta.tool_calls
+ * @returns {Array<Object>} - The calls
+ */
+function mergeOpenAIToolCallDeltas(toolCalls, deltas = []) {
+  for (const delta of deltas || []) {
+    if (!toolCalls[delta.index]) {
+      toolCalls[delta.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+    }
+    const call = toolCalls[delta.index];
+    if (delta.id) call.id = delta.id;
+    if (delta.function && delta.function.name) call.function.name = delta.function.name;
+    if (delta.function && delta.function.arguments) call.function.arguments += delta.function.arguments;
+  }
+  return toolCalls;
+}
+
+module.exports = {
+  cleanMessages,
+  mergeSystemMessages,
+  collapseConsecutiveRoles,
+  toAnthropicMessages,
+  toOpenAIMessages,
+  toOpenAITools,
+  fromOpenAIToolCalls,
+  mergeOpenAIToolCallDeltas
+};
@@ -1,5 +1,14 @@
 const OpenAI = require('openai');
 const { BaseLLMProvider } = require('./base');
+const { providerRegistry } = require('./registry');
+const { toOpenAIMessages, toOpenAITools, fromOpenAIToolCalls, mergeOpenAIToolCallDeltas } = require('./messages');
+
+// Models with Structured Outputs (response_format json_schema), by name prefix
+const JSON_SCHEMA_MODELS = ['gpt-4o', 'gpt-4.1', 'o1', 'o3', 'o4'];
+// Older models that only offer JSON mode (response_format json_object)
+const JSON_OBJECT_MODELS = ['gpt-3.5-turbo', 'gpt-4-turbo'];
+// How long a request may take before it is abandoned, in ms (the SDK default is 10 minutes)
+const DEFAULT_TIMEOUT = 120000;
 const debug = require('debug')('chatbot:openai');
 
 class OpenAIProvider extends BaseLLMProvider {
@@ -13,6 +22,11 @@ class OpenAIProvider extends BaseLLMProvider {
         chat: {
           completions: {
             create: async (options) => {
+              if (options.stream) {
+                return (async function* () {
+                  yield { choices: [{ delta: { content: 'Test response' } }] };
+                })();
+              }
               return { choices: [{ message: { content: 'Test response' } }] };
             }
           }
@@ -20,7 +34,9 @@ class OpenAIProvider extends BaseLLMProvider {
       };
     } else {
       this.client = new OpenAI({
-        apiKey: config.apiKey
+        apiKey: config.apiKey,
+        timeout: config.timeout || DEFAULT_TIMEOUT,
+        maxRetries: config.maxRetries
       });
     }
 
@@ -29,25 +45,21 @@ class OpenAIProvider extends BaseLLMProvider {
     debug('Using model:', this.model);
   }
 
-  async complete(prompt) {
+  async complete(prompt, options = {}) {
     const response = await this.client.chat.completions.create({
       model: this.model,
       messages: [{ role: 'user', content: prompt }],
-      max_tokens: this.config.maxTokens,
-      temperature: this.config.temperature
-    });
+      ...this.toRequestParams(options)
+    }, this.getRequestOptions(options));
 
+    this.reportUsage(this.extractUsage(response), options);
     return response.choices[0].message.content;
   }
 
-  async chat(messages) {
+  async chat(messages, options = {}) {
     console.log(`[OPENAI] Making chat request with ${messages.length} messages`);
     
-    // Convert system messages to user messages if needed
-    const adaptedMessages = messages.map(msg => ({
-      role: msg.role === 'system' ? 'user' : msg.role,
-      content: msg.content
-    }));
+    const adaptedMessages = this.adaptMessages(messages);
     
     console.log(`[OPENAI] Using model: ${this.model}`);
     console.log(`[OPENAI] First few messages:`, JSON.stringify(adaptedMessages.slice(0, 2), null, 2));
@@ -56,8 +68,9 @@ class OpenAIProvider extends BaseLLMProvider {
       console.log(`[OPENAI] Sending request to OpenAI API`);
       const response = await this.client.chat.completions.create({
         model: this.model,
-        messages: adaptedMessages
-      });
+        messages: adaptedMessages,
+        ...this.toRequestParams(options)
+      }, this.getRequestOptions(options));
       
       console.log(`[OPENAI] Received response from OpenAI API`);
       console.log(`[OPENAI] Response:`, JSON.stringify({
@@ -67,12 +80,237 @@ class OpenAIProvider extends BaseLLMProvider {
         content: response.choices[0].message.content.substring(0, 100) + (response.choices[0].message.content.length > 100 ? '...' : '')
       }, null, 2));
       
+      this.reportUsage(this.extractUsage(response), options);
       return response.choices[0].message.content;
     } catch (error) {
       console.error(`[OPENAI] Error in chat request:`, error);
       throw error;
     }
   }
+
+  supportsTools() {
+    // o1-mini and o1-preview predate function calling
+    return !/^o1-(mini|preview)/.test(this.model);
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    console.log(`[OPENAI] Making tool-calling chat request with ${messages.length} messages and ${tools.length} tools`);
+    
+    try {
+      const response = await this.client.chat.completions.create({
+        model: this.model,
+        messages: this.adaptMessages(messages),
+        ...this.toRequestParams(options),
+        tools: toOpenAITools(tools),
+        tool_choice: options.toolChoice || 'auto'
+      }, this.getRequestOptions(options));
+      
+      this.reportUsage(this.extractUsage(response), options);
+      const message = response.choices[0].message;
+      return {
+        content: message.content || '',
+        toolCalls: fromOpenAIToolCalls(message.tool_calls)
+      };
+    } catch (error) {
+      console.error(`[OPENAI] Error in tool-calling chat request:`, error);
+      throw error;
+    }
+  }
+
+  async *chatWithToolsStream(messages, tools, options = {}) {
+    console.log(`[OPENAI] Making streaming tool-calling chat request with ${messages.length} messages and ${tools.length} tools`);
+    
+    try {
+      const stream = await this.client.chat.completions.create({
+        model: this.model,
+        messages: this.adaptMessages(messages),
+        ...this.toRequestParams(options),
+        tools: toOpenAITools(tools),
+        tool_choice: options.toolChoice || 'auto',
+        stream: true,
+        stream_options: { include_usage: true }
+      }, this.getRequestOptions(options));
+      
+      let content = '';
+      const toolCalls = [];
+      let usage = null;
+      for await (const chunk of stream) {
+        if (chunk.usage) {
+          usage = this.extractUsage(chunk);
+        }
+        const delta = chunk.choices[0]?.delta;
+        if (!delta) continue;
+        if (delta.content) {
+          content += delta.content;
+          yield delta.content;
+        }
+        mergeOpenAIToolCallDeltas(toolCalls, delta.tool_calls);
+      }
+      
+      this.reportUsage(usage, options);
+      return { content, toolCalls: fromOpenAIToolCalls(toolCalls.filter(Boolean)) };
+    } catch (error) {
+      console.error(`[OPENAI] Error in streaming tool-calling chat request:`, error);
+      throw error;
+    }
+  }
+
+  async *chatStream(messages, options = {}) {
+    console.log(`[OPENAI] Making streaming chat request with ${messages.length} messages`);
+    
+    const adaptedMessages = this.adaptMessages(messages);
+    
+    try {
+      const stream = await this.client.chat.completions.create({
+        model: this.model,
+        messages: adaptedMessages,
+        ...this.toRequestParams(options),
+        stream: true,
+        // The final chunk then carries the token usage, with no choices
+        stream_options: { include_usage: true }
+      }, this.getRequestOptions(options));
+      
+      let usage = null;
+      for await (const chunk of stream) {
+        if (chunk.usage) {
+          usage = this.extractUsage(chunk);
+        }
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          yield delta;
+        }
+      }
+      
+      this.reportUsage(usage, options);
+      console.log(`[OPENAI] Streaming response complete`);
+    } catch (error) {
+      console.error(`[OPENAI] Error in streaming chat request:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the chat models the API key can use
+   * @returns {Promise<Array<string>>} - The model IDs
+   */
+  async listModels() {
+    const page = await this.client.models.list();
+    return page.data
+      .map(model => model.id)
+      .filter(id => /^(gpt-|chatgpt-|o\d)/.test(id) && !/(audio|realtime|transcribe|tts|image|search)/.test(id))
+      .sort();
+  }
+
+  /**
+   * Merge the system segments into one leading message and keep every other role.
+   * o1-mini and o1-preview reject system messages, so for them it is sent as user content.
+   * @param {Array} messages - The chat messages
+   * @returns {Array<{role: string, content: string}>} - The messages to send
+   */
+  adaptMessages(messages) {
+    const systemRole = /^o1-(mini|preview)/.test(this.model) ? 'user' : 'system';
+    return toOpenAIMessages(messages, { systemRole });
+  }
+
+  /**
+   * Map the generation options to Chat Completions parameters
+   * @param {Object} options - The call options
+   * @returns {Object} - The request parameters
+   */
+  toRequestParams(options = {}) {
+    const { temperature, maxTokens, stop, topP, seed } = this.getGenerationOptions(options);
+
+    // o-series reasoning models take max_completion_tokens and reject sampling parameters
+    if (/^o\d/.test(this.model)) {
+      if (temperature !== undefined || topP !== undefined) {
+        debug(`Ignoring temperature/top_p for reasoning model ${this.model}`);
+      }
+      return { max_completion_tokens: maxTokens, stop, seed, response_format: this.toResponseFormat(options.responseFormat) };
+    }
+
+    return {
+      temperature,
+      max_tokens: maxTokens,
+      stop,
+      top_p: topP,
+      seed,
+      response_format: this.toResponseFormat(options.responseFormat)
+    };
+  }
+
+  /**
+   * Map a requested JSON response format to the strongest mode the model supports
+   * @param {Object} responseFormat - { type: 'json', name, schema } from the call options
+   * @returns {Object|undefined} - The response_format parameter, or undefined if the model has no JSON mode
+   */
+  toResponseFormat(responseFormat) {
+    if (!responseFormat || responseFormat.type !== 'json') {
+      return undefined;
+    }
+
+    // o1-mini and o1-preview predate JSON mode; the prompt alone has to ask for JSON
+    if (/^o1-(mini|preview)/.test(this.model)) {
+      return undefined;
+    }
+
+    if (responseFormat.schema && JSON_SCHEMA_MODELS.some(prefix => this.model.startsWith(prefix))) {
+      return {
+        type: 'json_schema',
+        json_schema: {
+          name: responseFormat.name || 'structured_response',
+          schema: responseFormat.schema,
+          // Strict mode demands every property be required; validation happens after parsing instead
+          strict: false
+        }
+      };
+    }
+
+    if (JSON_SCHEMA_MODELS.concat(JSON_OBJECT_MODELS).some(prefix => this.model.startsWith(prefix))) {
+      return { type: 'json_object' };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Read the token usage from a response
+   * @param {Object} response - A chat completion or its final stream chunk
+   * @returns {Object|null} - The usage to report, or null if the response has none
+   */
+  extractUsage(response) {
+    if (!response.usage) {
+      return null;
+    }
+    return {
+      provider: 'openai',
+      model: response.model || this.model,
+      inputTokens: response.usage.prompt_tokens,
+      outputTokens: response.usage.completion_tokens
+    };
+  }
 }
 
+providerRegistry.register('openai', {
+  label: 'OpenAI',
+  description: 'GPT and o-series models through the OpenAI API',
+  capabilities: ['chat', 'stream', 'tools', 'json'],
+  configSchema: {
+    type: 'object',
+    properties: {
+      apiKey: { type: 'string', env: 'OPENAI_API_KEY', secret: true, description: 'API key' },
+      model: { type: 'string', env: 'OPENAI_MODEL', description: 'Model name' },
+      timeout: { type: 'integer', env: 'OPENAI_TIMEOUT_MS', description: 'Request timeout in ms' },
+      maxRetries: { type: 'integer', description: 'Retries the SDK makes on transient errors (default 2)' }
+    }
+  },
+  defaultModels: ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'gpt-4.1-mini', 'o1-mini', 'o3-mini'],
+  validate(config) {
+    if (!config.apiKey) {
+      throw new Error('apiKey is required for OpenAI provider (set in config or OPENAI_API_KEY env var)');
+    }
+  },
+  create: config => new OpenAIProvider(config),
+  listModels: config => new OpenAIProvider(config).listModels()
+});
+
 module.exports = { OpenAIProvider }; 
\ No newline at end of file
@@ -0,0 +1,255 @@
+/**
+ * Provider registry
+ * LLM providers and agents register themselves here under a name, with their
+ * capabilities, a config schema and how to create them. The factory creates
+ * providers through it, and plugins can register more at startup.
+ */
+
+const path = require('path');
+const { validateSchema } = require('../utils/schema');
+const debug = require('debug')('chatbot:registry');
+
+// How long a provider's model list is reused before it is fetched again
+const MODEL_CACHE_TTL = 10 * 60 * 1000;
+
+/**
+ * Convert an environment variable to the type a config property expects. Numeric
+ * strings become numbers; anything else is left for the schema check to reject.
+ * @param {string} value - The variable's value
+ * @param {Object} schema - The property's schema
+ * @returns {any} - The value to use
+ */
+function fromEnv(value, schema = {}) {
+  const types = [].concat(schema.type || []);
+  if (value !== undefined && value.trim() !== '' && (types.includes('integer') || types.includes('number')) && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.agents = new Map();
+    this.aliases = new Map();
+    this.modelCache = new Map();
+  }
+
+  /**
+   * Register an LLM provider
+   * @param {string} name - The name it is created by, e.g. 'openai'
+   * @param {Object} definition - The provider
+   * @param {string} definition.label - Display name
+   * @param {string} definition.description - One-line description
+   * @param {Array<string>} definition.capabilities - What it can do ('chat', 'stream', 'tools', 'json', ...)
+   * @param {Object} definition.configSchema - JSON schema of its config; `env` on a property names the
+   *   environment variable it defaults to
+   * @param {Function} definition.create - (config, factory) => provider, given the resolved config
+   * @param {Function} definition.resolveConfig - Optional (config) => config filling in environment defaults
+   * @param {Function} definition.validate - Optional (config, factory) => void, throws if the config is unusable
+   * @param {Function} definition.listModels - Optional async (config) => model IDs the provider offers
+   * @param {Array<string>} definition.defaultModels - Models listed when they can't be fetched
+   */
+  register(name, definition) {
+    if (!name || typeof definition.create !== 'function') {
+      throw new Error('A provider needs a name and a create function');
+    }
+    const key = name.toLowerCase();
+    if (this.providers.has(key)) {
+      debug(`Replacing registered provider ${key}`);
+    }
+
+    this.providers.set(key, {
+      label: name,
+      description: '',
+      capabilities: [],
+      configSchema: { type: 'object', properties: {} },
+      defaultModels: [],
+      ...definition,
+      name: key
+    });
+    this.modelCache.delete(key);
+  }
+
+  /**
+   * Register an agent that wraps an LLM provider
+   * @param {string} name - The agent type, e.g. 'retrieval'
+   * @param {Object} definition - The agent
+   * @param {Array<string>} definition.capabilities - The capabilities it provides ('retrieve', 'interview', 'draft')
+   * @param {Array<string>} definition.aliases - Other names it is created by, e.g. 'retrievalAgent'
+   * @param {Object} definition.configSchema - JSON schema of its config
+   * @param {Function} definition.create - (llmProvider, config) => agent
+   */
+  registerAgent(name, definition) {
+    if (!name || typeof definition.create !== 'function') {
+      throw new Error('An agent needs a name and a create function');
+    }
+    const key = name.toLowerCase();
+
+    this.agents.set(key, {
+      description: '',
+      capabilities: [],
+      configSchema: { type: 'object', properties: {} },
+      aliases: [],
+      ...definition,
+      name: key
+    });
+    for (const alias of definition.aliases || []) {
+      this.aliases.set(alias.toLowerCase(), key);
+    }
+  }
+
+  /**
+   * @param {string} name - A provider name
+   * @returns {Object|null} - Its definition, or null if none is registered
+   */
+  get(name) {
+    return this.providers.get(String(name).toLowerCase()) || null;
+  }
+
+  /**
+   * @param {string} name - An agent type or alias
+   * @returns {Object|null} - Its definition, or null if none is registered
+   */
+  getAgent(name) {
+    const key = String(name).toLowerCase();
+    return this.agents.get(this.aliases.get(key) || key) || null;
+  }
+
+  /**
+   * Find the agent providing a capability
+   * @param {string} capability - The capability
+   * @returns {Object|null} - The first agent registered with it, or null
+   */
+  findAgentWithCapability(capability) {
+    return [...this.agents.values()].find(agent => agent.capabilities.includes(capability)) || null;
+  }
+
+  /**
+   * @param {string} name - A provider name
+   * @returns {boolean} - Whether it is registered
+   */
+  has(name) {
+    return Boolean(this.get(name));
+  }
+
+  /**
+   * @returns {Array<string>} - The registered provider names
+   */
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * @returns {Array<Object>} - The registered provider definitions
+   */
+  list() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * @returns {Array<Object>} - The registered agent definitions
+   */
+  listAgents() {
+    return [...this.agents.values()];
+  }
+
+  /**
+   * Fill in a provider's config from its environment defaults: the provider's own
+   * resolveConfig if it has one, otherwise the `env` variable of each schema property
+   * @param {string} name - The provider name
+   * @param {Object} config - The config given
+   * @returns {Object} - The resolved config
+   */
+  resolveConfig(name, config = {}) {
+    const definition = this.get(name);
+    if (definition.resolveConfig) {
+      return definition.resolveConfig(config);
+    }
+
+    const resolved = { ...config };
+    for (const [property, schema] of Object.entries(definition.configSchema.properties || {})) {
+      if ((resolved[property] === undefined || resolved[property] === null) && schema.env) {
+        resolved[property] = fromEnv(process.env[schema.env], schema);
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Check a resolved config against the provider's schema and its own checks
+   * @param {string} name - The provider name
+   * @param {Object} config - The resolved config
+   * @param {Object} factory - Passed to the provider's validate hook for nested providers
+   */
+  validateConfig(name, config, factory) {
+    const definition = this.get(name);
+    // Unset values are left to the provider's defaults
+    const setValues = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && value !== null));
+    const errors = validateSchema(setValues, definition.configSchema);
+    if (errors.length > 0) {
+      throw new Error(`Invalid config for ${definition.name} provider: ${errors.join('; ')}`);
+    }
+    if (definition.validate) {
+      definition.validate(config, factory);
+    }
+  }
+
+  /**
+   * List the models a provider offers, cached for a while. Falls back to its default
+   * models when they can't be fetched (no API key, server down).
+   * @param {string} name - The provider name
+   * @param {Object} config - The resolved config
+   * @returns {Promise<{models: Array<string>, error: string|null}>} - The model IDs and why fetching failed, if it did
+   */
+  async listModels(name, config = {}) {
+    const definition = this.get(name);
+    const cached = this.modelCache.get(definition.name);
+    if (cached && Date.now() - cached.fetchedAt < MODEL_CACHE_TTL) {
+      return cached.result;
+    }
+
+    let result;
+    try {
+      const models = definition.listModels ? await definition.listModels(config) : [];
+      result = { models: models.length > 0 ? models : definition.defaultModels, error: null };
+      this.modelCache.set(definition.name, { result, fetchedAt: Date.now() });
+    } catch (error) {
+      console.warn(`[REGISTRY] Could not list models for ${definition.name}: ${error.message}`);
+      result = { models: definition.defaultModels, error: error.message };
+    }
+    return result;
+  }
+
+  /**
+   * Load provider plugins. Each module exports a function, or an object with a
+   * register function, that is called with this registry.
+   * @param {Array<string>} modulePaths - Module paths, relative ones resolved from the working directory
+   * @returns {Array<string>} - The plugins that loaded
+   */
+  loadPlugins(modulePaths = []) {
+    const loaded = [];
+    for (const modulePath of modulePaths) {
+      try {
+        const resolved = modulePath.startsWith('.') ? path.resolve(process.cwd(), modulePath) : modulePath;
+        const plugin = require(resolved);
+        const register = typeof plugin === 'function' ? plugin : plugin.register;
+        if (typeof register !== 'function') {
+          throw new Error('plugin must export a register function');
+        }
+        register(this);
+        loaded.push(modulePath);
+        console.log(`[REGISTRY] Loaded provider plugin ${modulePath}`);
+      } catch (error) {
+        // One broken plugin shouldn't keep the built-in providers from starting
+        console.error(`[REGISTRY] Error loading provider plugin ${modulePath}:`, error.message);
+      }
+    }
+    return loaded;
+  }
+}
+
+// Shared registry the built-in providers and agents register with
+const providerRegistry = new ProviderRegistry();
+
+module.exports = { ProviderRegistry, providerRegistry, fromEnv };
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { BaseLLMProvider } = require('./base');
+const { providerRegistry } = require('./registry');
+const debug = require('debug')('chatbot:replay');
+
+const REPLAY_MODES = ['record', 'replay', 'auto'];
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'tests', 'fixtures', 'llm');
+
+/**
+ * Record/replay provider
+ * Wraps any BaseLLMProvider. In record mode every request is passed to the
+ * wrapped provider and the response saved to a fixture file named by a hash
+ * of the request. In replay mode responses are served from those fixtures
+ * without touching the network. Auto mode replays when a fixture exists and
+ * records otherwise.
+ */
+class RecordReplayProvider extends BaseLLMProvider {
+  /**
+   * @param {BaseLLMProvider|null} llmProvider - The provider to record (not needed for replay)
+   * @param {Object} config - Configuration
+   * @param {string} config.mode - 'record', 'replay' or 'auto'
+   * @param {string} config.fixturesDir - Directory holding the fixture files
+   * @param {string} config.model - Model name to report (defaults to the wrapped provider's)
+   */
+  constructor(llmProvider, config = {}) {
+    super();
+    this.mode = config.mode || 'replay';
+    if (!REPLAY_MODES.includes(this.mode)) {
+      throw new Error(`Unknown replay mode: ${this.mode}`);
+    }
+    if (this.mode !== 'replay' && !llmProvider) {
+      throw new Error(`A provider to record is required in ${this.mode} mode`);
+    }
+
+    this.llmProvider = llmProvider || null;
+    this.fixturesDir = config.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.model = config.model || (llmProvider && llmProvider.model) || 'replay';
+
+    debug(`Initialized RecordReplayProvider in ${this.mode} mode with fixtures in ${this.fixturesDir}`);
+  }
+
+  async complete(prompt, options = {}) {
+    return this._respond('complete', { prompt }, () => this.llmProvider.complete(prompt, options));
+  }
+
+  async chat(messages, options = {}) {
+    return this._respond('chat', { messages: this._normalizeMessages(messages) },
+      () => this.llmProvider.chat(messages, options));
+  }
+
+  supportsTools() {
+    // Replay serves whatever was recorded, so it offers tools whenever fixtures may hold tool calls
+    return this.llmProvider ? this.llmProvider.supportsTools() : true;
+  }
+
+  async chatWithTools(messages, tools, options = {}) {
+    const request = {
+      messages: this._normalizeMessages(messages),
+      tools: tools.map(tool => tool.name),
+      ...(options.toolChoice ? { toolChoice: options.toolChoice } : {})
+    };
+    return this._respond('chatWithTools', request, () => this.llmProvider.chatWithTools(messages, tools, options));
+  }
+
+  async *chatStream(messages, options = {}) {
+    // Streams share fixtures with chat; the recorded chunks are replayed in order
+    const request = { messages: this._normalizeMessages(messages) };
+
+    // Replay never reaches the wrapped provider; a missing fixture fails in _readFixture
+    if (this._shouldReplay('chat', request)) {
+      const fixture = this._readFixture('chat', request);
+      for (const chunk of fixture.chunks || [fixture.response]) {
+        yield chunk;
+      }
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of this.llmProvider.chatStream(messages, options)) {
+      chunks.push(chunk);
+      yield chunk;
+    }
+    this._writeFixture('chat', request, chunks.join(''), chunks);
+  }
+
+  /**
+   * Get the hash a request is stored under
+   * @param {string} method - The provider method ('complete', 'chat' or 'chatWithTools')
+   * @param {Object} request - The normalized request
+   * @returns {string} - The fixture key
+   */
+  getFixtureKey(method, request) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ method, ...request }))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  /**
+   * Serve a response from a fixture or record it from the wrapped provider
+   * @param {string} method - The provider method
+   * @param {Object} request - The normalized request
+   * @param {Function} callProvider - Calls the wrapped provider
+   * @returns {Promise<string>} - The response
+   * @private
+   */
+  async _respond(method, request, callProvider) {
+    if (this._shouldReplay(method, request)) {
+      return this._readFixture(method, request).response;
+    }
+
+    const response = await callProvider();
+    this._writeFixture(method, request, response);
+    return response;
+  }
+
+  /**
+   * Decide whether a request is served from its fixture
+   * @param {string} method - The provider method
+   * @param {Object} request - The normalized request
+   * @returns {boolean} - Whether to replay
+   * @private
+   */
+  _shouldReplay(method, request) {
+    if (this.mode === 'replay') return true;
+    if (this.mode === 'record') return false;
+    return fs.existsSync(this._fixturePath(method, request));
+  }
+
+  /**
+   * Read the fixture for a request, failing loudly if it was never recorded
+   * @param {string} method - The provider method
+   * @param {Object} request - The normalized request
+   * @returns {Object} - The fixture
+   * @private
+   */
+  _readFixture(method, request) {
+    const filePath = this._fixturePath(method, request);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(
+        `No recorded ${method} fixture ${this.getFixtureKey(method, request)} in ${this.fixturesDir}. ` +
+        'Re-run with LLM_REPLAY_MODE=record to capture it.'
+      );
+    }
+
+    debug(`Replaying ${method} fixture ${path.basename(filePath)}`);
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Save a request/response pair as a fixture
+   * @param {string} method - The provider method
+   * @param {Object} request - The normalized request
+   * @param {string|Object} response - The full response
+   * @param {Array<string>} chunks - The streamed chunks, if the response was streamed
+   * @private
+   */
+  _writeFixture(method, request, response, chunks = null) {
+    if (!fs.existsSync(this.fixturesDir)) {
+      fs.mkdirSync(this.fixturesDir, { recursive: true });
+    }
+
+    const fixture = {
+      key: this.getFixtureKey(method, request),
+      method,
+      model: this.llmProvider && this.llmProvider.model ? this.llmProvider.model : null,
+      recordedAt: new Date().toISOString(),
+      request,
+      response,
+      ...(chunks ? { chunks } : {})
+    };
+
+    fs.writeFileSync(this._fixturePath(method, request), JSON.stringify(fixture, null, 2) + '\n');
+    console.log(`[REPLAY] Recorded ${method} fixture ${fixture.key}`);
+  }
+
+  /**
+   * Get the fixture file for a request
+   * @param {string} method - The provider method
+   * @param {Object} request - The normalized request
+   * @returns {string} - The file path
+   * @private
+   */
+  _fixturePath(method, request) {
+    return path.join(this.fixturesDir, `${this.getFixtureKey(method, request)}.json`);
+  }
+
+  /**
+   * Keep only the fields sent to the model so extra bookkeeping (sources, citations) doesn't change the key.
+   * Tool-calling fields are included only when present, so plain chat keys are unchanged.
+   * @param {Array} messages - The chat messages
+   * @returns {Array<Object>} - The normalized messages
+   * @private
+   */
+  _normalizeMessages(messages) {
+    return messages.map(m => ({
+      role: m.role,
+      content: m.content,
+      ...(m.toolCalls ? { toolCalls: m.toolCalls } : {}),
+      ...(m.toolCallId ? { toolCallId: m.toolCallId } : {})
+    }));
+  }
+}
+
+providerRegistry.register('replay', {
+  label: 'Record/replay',
+  description: 'Serves recorded fixtures, or records them from another provider',
+  capabilities: ['chat', 'stream', 'tools'],
+  configSchema: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: REPLAY_MODES, env: 'LLM_REPLAY_MODE', description: 'record, replay or auto' },
+      fixturesDir: { type: 'string', env: 'LLM_FIXTURES_DIR', description: 'Directory holding the fixture files' },
+      llmProvider: { type: ['string', 'object'], description: 'Provider to record, as a type or an instance' },
+      llmConfig: { type: 'object', description: 'Config for the provider to record' },
+      model: { type: 'string', description: 'Model name to report' }
+    }
+  },
+  resolveConfig(config) {
+    return {
+      ...config,
+      mode: config.mode || process.env.LLM_REPLAY_MODE || 'replay',
+      fixturesDir: config.fixturesDir || process.env.LLM_FIXTURES_DIR
+    };
+  },
+  validate(config, factory) {
+    if (config.mode !== 'replay' && !config.llmProvider) {
+      throw new Error('llmProvider is required to record fixtures with the replay provider');
+    }
+    if (typeof config.llmProvider === 'string') {
+      factory.validateConfig(config.llmProvider, config.llmConfig || {});
+    }
+  },
+  create(config, factory) {
+    // llmProvider may be a provider instance or a provider type to create with llmConfig
+    let recordedProvider = config.llmProvider || null;
+    if (typeof recordedProvider === 'string') {
+      recordedProvider = factory.createProvider(recordedProvider, config.llmConfig || {});
+    }
+    return new RecordReplayProvider(recordedProvider, config);
+  }
+});
+
+module.exports = { RecordReplayProvider, REPLAY_MODES };
@@ -1,16 +1,24 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const path = require('path');
 const fs = require('fs');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const cors = require('cors');
-const { LLMProviderFactory } = require('../providers/factory');
+const { LLMProviderFactory, providerRegistry } = require('../providers/factory');
+const { pickGenerationOptions, isAbortError } = require('../providers/base');
 const Storage = require('./storage');
 const { DiscourseScraper } = require('./scraper');
 const VectorService = require('./vector');
+const { SEARCH_MODES } = VectorService;
+const { normalizeFilter } = require('./filters');
 const { documentService } = require('./document');
 const { ChatService } = require('./chat');
+const { WorkflowService, WORKFLOW_STEPS } = require('./workflow');
+const { SessionService } = require('./sessions');
+const { usageService } = require('./usage');
+const { ToolService } = require('./tools');
+const { config } = require('./config');
 
 // Rate limiting middleware
 const limiter = rateLimit({
@@ -18,15 +26,38 @@ const limiter = rateLimit({
   max: 100 // limit each IP to 100 requests per windowMs
 });
 
+// Chat and workflow session IDs name storage files, so only these characters are allowed
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const SESSION_ID_MESSAGE = 'Session ID may only contain letters, numbers, underscores and hyphens';
+
+// Per-request generation options, passed through to the LLM provider
+const validateGenerationOptions = [
+  body('options').optional().isObject().withMessage('Options must be an object'),
+  body('options.temperature').optional().isFloat({ min: 0, max: 2 }).withMessage('Temperature must be between 0 and 2').toFloat(),
+  body('options.maxTokens').optional().isInt({ min: 1, max: 200000 }).withMessage('Max tokens must be a positive integer').toInt(),
+  body('options.topP').optional().isFloat({ min: 0, max: 1 }).withMessage('Top P must be between 0 and 1').toFloat(),
+  body('options.seed').optional().isInt().withMessage('Seed must be an integer').toInt(),
+  body('options.stop').optional()
+    .custom(value => typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string')))
+    .withMessage('Stop must be a string or an array of strings'),
+];
+
 // Input validation middleware
 const validateChatInput = [
   body('message').trim().notEmpty().withMessage('Message cannot be empty'),
-  body('sessionId').trim().notEmpty().withMessage('Session ID is required'),
+  body('sessionId').trim().notEmpty().withMessage('Session ID is required')
+    .matches(SESSION_ID_PATTERN).withMessage(SESSION_ID_MESSAGE),
   body('messageHistory').optional().isArray().withMessage('Message history must be an array'),
+  body('stream').optional().isBoolean().withMessage('Stream must be a boolean'),
+  ...validateGenerationOptions,
 ];
 
+// Without a provider, init-llm starts the server's default one unless a provider is already running
 const validateProviderInput = [
-  body('provider').isIn(['1', '2']).withMessage('Invalid provider selection'),
+  body('provider').optional().isString().trim().toLowerCase()
+    .custom(value => providerRegistry.has(value))
+    .withMessage(() => `Provider must be one of: ${providerRegistry.names().join(', ')}`),
+  body('model').optional().isString().trim().notEmpty().withMessage('Model must be a non-empty string'),
 ];
 
 // Add validation for retrieval endpoints
@@ -34,6 +65,38 @@ const validateRetrievalInput = [
   body('query').trim().notEmpty().withMessage('Query cannot be empty'),
   body('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
   body('threshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Threshold must be between 0 and 1'),
+  body('mode').optional().isIn(SEARCH_MODES).withMessage(`Mode must be one of: ${SEARCH_MODES.join(', ')}`),
+  // Throws with the reason the filter is invalid
+  body('filter').optional({ values: 'null' }).custom(value => {
+    normalizeFilter(value);
+    return true;
+  }),
+  ...validateGenerationOptions,
+];
+
+// Add validation for chat session and workflow endpoints
+const validateSessionIdParam = [
+  param('sessionId').matches(SESSION_ID_PATTERN).withMessage(SESSION_ID_MESSAGE),
+];
+
+const validateSessionRenameInput = [
+  ...validateSessionIdParam,
+  body('title').isString().trim().notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+];
+
+const validateWorkflowInput = [
+  body('topic').optional().isString().trim().withMessage('Topic must be a string'),
+  body('focusArea').optional().isString().trim().withMessage('Focus area must be a string'),
+];
+
+const validateWorkflowStepInput = [
+  ...validateSessionIdParam,
+  param('step').isIn(WORKFLOW_STEPS).withMessage(`Step must be one of: ${WORKFLOW_STEPS.join(', ')}`),
+  body('query').optional().isString().trim().withMessage('Query must be a string'),
+  body('message').optional().isString().withMessage('Message must be a string'),
+  body('maxRounds').optional().isInt({ min: 0, max: 10 }).withMessage('Max rounds must be between 0 and 10'),
+  ...validateGenerationOptions,
 ];
 
 class ApiService {
@@ -43,11 +106,35 @@ class ApiService {
     this.compressedContext = null;
     this.isInitialized = false;
     this.llmInitialized = false;
+    this.llmProviderName = null;
     this.compressedContextPath = path.join(__dirname, '..', '..', 'output', 'compressed-context.md');
     
     // Initialize the vector service
     this.vectorService = new VectorService();
     
+    // Workflow sessions chaining the retrieval, interview and drafting agents
+    this.workflowService = new WorkflowService();
+    
+    // Chat sessions are persisted so they can be listed and resumed after a restart
+    this.sessionService = new SessionService();
+    
+    // Tools the chat model can call to search and look up SIPs
+    this.toolService = new ToolService({
+      vectorService: this.vectorService,
+      getSipData: () => this.sipData
+    });
+    this.chatService = new ChatService({
+      vectorService: this.vectorService,
+      sessionService: this.sessionService,
+      toolService: this.toolService
+    });
+    
+    // Token usage and cost reported by the providers
+    this.usageService = usageService;
+    
+    // Abort controller of each session's in-flight chat request
+    this.activeChats = new Map();
+    
     this.setupMiddleware();
     this.setupRoutes();
     
@@ -78,7 +165,7 @@ class ApiService {
     
     this.app.use(cors({
       origin: process.env.NODE_ENV === 'development' ? 'http://localhost:3000' : process.env.FRONTEND_URL,
-      methods: ['GET', 'POST'],
+      methods: ['GET', 'POST', 'PATCH', 'DELETE'],
       allowedHeaders: ['Content-Type']
     }));
     
@@ -114,7 +201,7 @@ class ApiService {
     
     // Modified middleware to check initialization
     this.app.use('/api', (req, res, next) => {
-      if (!this.llmInitialized && req.path !== '/init-llm' && req.path !== '/status') {
+      if (!this.llmInitialized && !['/init-llm', '/status', '/providers'].includes(req.path)) {
         return res.status(503).json({
           error: 'LLM not initialized',
           userMessage: 'Please wait while the system initializes.'
@@ -136,43 +223,56 @@ class ApiService {
       }
 
       try {
-        const { provider } = req.body;
-        if (!['1', '2'].includes(provider)) {
-          return res.status(400).json({
-            error: 'Invalid provider',
-            userMessage: 'Please select a valid provider (1 or 2)'
-          });
-        }
-
-        const providerConfig = {
-          '1': {
-            provider: 'openai',
-            config: {
-              apiKey: process.env.OPENAI_API_KEY,
-              model: process.env.OPENAI_MODEL
-            }
-          },
-          '2': {
-            provider: 'anthropic',
-            config: {
-              apiKey: process.env.ANTHROPIC_API_KEY,
-              model: process.env.ANTHROPIC_MODEL
-            }
+        const { provider, model } = req.body || {};
+        if (!provider) {
+          // Keep whatever the server runs, whether its fallback chain or a provider chosen in the settings
+          if (!this.llmInitialized) {
+            this.initializeDefaultProvider();
           }
-        };
+          return res.json({ success: true, provider: this.llmProviderName, model: global.llmProvider.model || null });
+        }
 
-        global.llmProvider = LLMProviderFactory.createProvider(
-          providerConfig[provider].provider,
-          providerConfig[provider].config
-        );
+        // The rest of the provider's config comes from its environment variables
+        global.llmProvider = LLMProviderFactory.createProvider(provider, model ? { model } : {});
 
+        this.setLLMProvider(provider);
         this.llmInitialized = true;
-        res.json({ success: true, provider: providerConfig[provider].provider });
+        res.json({ success: true, provider, model: global.llmProvider.model || null });
       } catch (error) {
         next(error);
       }
     });
 
+    // Registered providers, whether each is configured, and the models each offers
+    this.app.get('/api/providers', async (req, res) => {
+      try {
+        const providers = await Promise.all(providerRegistry.list().map(definition => this.describeProvider(definition)));
+
+        res.json({
+          success: true,
+          providers,
+          agents: providerRegistry.listAgents().map(agent => ({
+            name: agent.name,
+            description: agent.description,
+            capabilities: agent.capabilities,
+            aliases: agent.aliases,
+            configSchema: agent.configSchema
+          })),
+          current: {
+            provider: this.llmProviderName,
+            model: global.llmProvider ? global.llmProvider.model || null : null
+          }
+        });
+      } catch (error) {
+        console.error('[API] Error listing providers:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error listing providers',
+          error: error.message
+        });
+      }
+    });
+
     // Modified status endpoint to check for existing context
     this.app.get('/api/status', (req, res) => {
       let existingContextAvailable = false;
@@ -188,7 +288,16 @@ class ApiService {
         dataLoaded: this.sipData.length > 0,
         contextCompressed: !!this.compressedContext,
         existingContextAvailable,
-        needsVectorReindex: req.app.locals.needsVectorReindex || false
+        needsVectorReindex: req.app.locals.needsVectorReindex || false,
+        provider: this.llmProviderName,
+        model: global.llmProvider ? global.llmProvider.model || null : null,
+        // For a fallback chain: which provider answered last and the state of each circuit
+        ...(global.llmProvider && global.llmProvider.getCircuitStates ? {
+          fallback: {
+            lastProvider: global.llmProvider.lastProvider,
+            circuits: global.llmProvider.getCircuitStates()
+          }
+        } : {})
       });
     });
 
@@ -328,14 +437,17 @@ class ApiService {
           return res.status(400).json({ errors: errors.array() });
         }
         
-        const { query, limit = 5, threshold = 0.7 } = req.body;
-        console.log(`[API] Vector search request received: query="${query}", limit=${limit}, threshold=${threshold}`);
+        const { query, limit = 5, threshold, mode, filter } = req.body;
+        console.log(`[API] Vector search request received: query="${query}", limit=${limit}, threshold=${threshold}, mode=${mode}`);
         
         console.log('[API] Calling vector service search method...');
         const startTime = Date.now();
         const results = await this.vectorService.search(query, {
           limit: parseInt(limit, 10),
-          threshold: parseFloat(threshold)
+          // Unset, the embedding backend's own threshold applies
+          threshold: threshold !== undefined ? parseFloat(threshold) : undefined,
+          mode,
+          filter
         });
         const duration = Date.now() - startTime;
         console.log(`[API] Vector search completed in ${duration}ms, found ${results.length} results`);
@@ -355,6 +467,20 @@ class ApiService {
       }
     });
 
+    // Values the indexed documents have for each search filter, for the filter controls
+    this.app.get('/api/vector/filters', (req, res) => {
+      try {
+        res.json({ success: true, ...this.vectorService.getFilterOptions() });
+      } catch (error) {
+        console.error('[API] Error getting vector store filter options:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error getting vector store filter options',
+          error: error.message
+        });
+      }
+    });
+
     // New endpoint to get debug info about the vector store
     this.app.get('/api/vector/debug', async (req, res) => {
       try {
@@ -406,21 +532,24 @@ class ApiService {
           });
         }
         
-        const { query, limit, threshold, enhanceQuery, summarize } = req.body;
+        const { query, limit, threshold, mode, filter, enhanceQuery, summarize, options } = req.body;
         
         // Create retrieval agent
         const retrievalAgent = LLMProviderFactory.createAgentProvider(
           'retrieval',
           global.llmProvider,
           {
+            ...pickGenerationOptions(options),
             limit: limit || 5,
-            threshold: threshold || 0.7
+            threshold,
+            mode
           }
         );
         
         // Retrieve documents
         const results = await retrievalAgent.retrieve(query, {
-          enhanceQuery: enhanceQuery || false
+          enhanceQuery: enhanceQuery || false,
+          filter
         });
         
         // Generate summary if requested
@@ -445,6 +574,266 @@ class ApiService {
       }
     });
 
+    // List workflow sessions
+    this.app.get('/api/workflow', async (req, res) => {
+      try {
+        const sessions = await this.workflowService.listSessions();
+        res.json({ success: true, sessions });
+      } catch (error) {
+        console.error('Error listing workflow sessions:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error listing workflow sessions',
+          error: error.message
+        });
+      }
+    });
+
+    // Start a new workflow session
+    this.app.post('/api/workflow', validateWorkflowInput, async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation error',
+          userMessage: errors.array()[0].msg
+        });
+      }
+
+      try {
+        const { topic, focusArea } = req.body;
+        const session = await this.workflowService.createSession({ topic, focusArea });
+        res.json({ success: true, session });
+      } catch (error) {
+        console.error('Error creating workflow session:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error creating workflow session',
+          error: error.message
+        });
+      }
+    });
+
+    // Load a workflow session with the stored output of each step
+    this.app.get('/api/workflow/:sessionId', validateSessionIdParam, async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation error',
+          userMessage: errors.array()[0].msg
+        });
+      }
+
+      try {
+        const session = await this.workflowService.getSession(req.params.sessionId);
+        if (!session) {
+          return res.status(404).json({
+            success: false,
+            message: 'Workflow session not found'
+          });
+        }
+        res.json({ success: true, session });
+      } catch (error) {
+        console.error('Error loading workflow session:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error loading workflow session',
+          error: error.message
+        });
+      }
+    });
+
+    // Delete a workflow session
+    this.app.delete('/api/workflow/:sessionId', validateSessionIdParam, async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation error',
+          userMessage: errors.array()[0].msg
+        });
+      }
+
+      try {
+        await this.workflowService.deleteSession(req.params.sessionId);
+        res.json({ success: true, message: 'Workflow session deleted' });
+      } catch (error) {
+        console.error('Error deleting workflow session:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error deleting workflow session',
+          error: error.message
+        });
+      }
+    });
+
+    // Run or re-run a workflow step (retrieve, interview or draft)
+    this.app.post('/api/workflow/:sessionId/steps/:step', validateWorkflowStepInput, async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation error',
+          userMessage: errors.array()[0].msg
+        });
+      }
+
+      try {
+        if (!global.llmProvider) {
+          return res.status(400).json({
+            error: 'LLM not initialized',
+            userMessage: 'Please initialize the LLM provider first'
+          });
+        }
+
+        const { sessionId, step } = req.params;
+        const existing = await this.workflowService.getSession(sessionId);
+        if (!existing) {
+          return res.status(404).json({
+            success: false,
+            message: 'Workflow session not found'
+          });
+        }
+
+        console.log(`[API] Running workflow step ${step} for session ${sessionId}`);
+        const session = await this.workflowService.runStep(sessionId, step, req.body || {});
+
+        res.json({
+          success: true,
+          step,
+          output: session.steps[step].output,
+          session
+        });
+      } catch (error) {
+        console.error('Error running workflow step:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error running workflow step',
+          error: error.message
+        });
+      }
+    });
+
+    // List stored chat sessions, or search them with ?q=
+    this.app.get('/api/sessions', async (req, res) => {
+      try {
+        const query = typeof req.query.q === 'string' ? req.query.q : '';
+        const sessions = query.trim()
+          ? await this.sessionService.searchSessions(query)
+          : await this.sessionService.listSessions();
+        res.json({ success: true, sessions });
+      } catch (error) {
+        console.error('Error listing chat sessions:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error listing chat sessions',
+          error: error.message
+        });
+      }
+    });
+
+    // Load a chat session with its messages
+    this.app.get('/api/sessions/:sessionId', validateSessionIdParam, async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation error',
+          userMessage: errors.array()[0].msg
+        });
+      }
+
+      try {
+        const session = await this.sessionService.getSession(req.params.sessionId);
+        if (!session) {
+          return res.status(404).json({
+            success: false,
+            message: 'Chat session not found'
+          });
+        }
+        res.json({ success: true, session });
+      } catch (error) {
+        console.error('Error loading chat session:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error loading chat session',
+          error: error.message
+        });
+      }
+    });
+
+    // Rename a chat session
+    this.app.patch('/api/sessions/:sessionId', validateSessionRenameInput, async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation error',
+          userMessage: errors.array()[0].msg
+        });
+      }
+
+      try {
+        const session = await this.sessionService.renameSession(req.params.sessionId, req.body.title);
+        if (!session) {
+          return res.status(404).json({
+            success: false,
+            message: 'Chat session not found'
+          });
+        }
+        res.json({ success: true, session });
+      } catch (error) {
+        console.error('Error renaming chat session:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error renaming chat session',
+          error: error.message
+        });
+      }
+    });
+
+    // Delete a chat session
+    this.app.delete('/api/sessions/:sessionId', validateSessionIdParam, async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation error',
+          userMessage: errors.array()[0].msg
+        });
+      }
+
+      try {
+        await this.sessionService.deleteSession(req.params.sessionId);
+        this.chatService.clearChatHistory(req.params.sessionId);
+        res.json({ success: true, message: 'Chat session deleted' });
+      } catch (error) {
+        console.error('Error deleting chat session:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error deleting chat session',
+          error: error.message
+        });
+      }
+    });
+
+    // Token usage and cost per session, agent, model and day
+    this.app.get('/api/usage', async (req, res) => {
+      try {
+        const usage = await this.usageService.getUsage();
+
+        // Label chat sessions with their titles; workflow sessions keep their IDs
+        const titles = {};
+        for (const session of await this.sessionService.listSessions()) {
+          titles[session.id] = session.title;
+        }
+        usage.bySession = usage.bySession.map(entry => ({ ...entry, title: titles[entry.sessionId] || null }));
+
+        res.json({ success: true, usage });
+      } catch (error) {
+        console.error('Error getting usage:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Error getting usage',
+          error: error.message
+        });
+      }
+    });
+
     // Function to send progress to all connected SSE clients
     function sendIndexingProgressToAll(type, data) {
       const app = this
@@ -513,145 +902,32 @@ class ApiService {
         const VectorService = require('./vector')
         const vector = new VectorService()
         
-        let processed = 0;
-        let skippedCount = 0;
+        console.log(`[API] ${actionType} forum data`);
+        sendProgress('progress', {
+          processed: 0,
+          status: `Starting ${actionType} process`,
+          log: `Starting ${actionType} of ${posts.length} forum posts`
+        });
         
-        if (isReindexing) {
-          // Use the dedicated reindexing method for better performance and clarity
-          console.log(`[API] ${actionType} forum data after scrape`);
-          sendProgress('progress', {
-            processed: 0,
-            status: `Starting ${actionType} process`,
-            log: `Starting ${actionType} of ${posts.length} forum posts`
-          });
-          
-          // Process in batches with progress updates
-          const batchSize = 10;
-          
-          for (let i = 0; i < posts.length; i += batchSize) {
-            const batch = posts.slice(i, i + batchSize);
-            const batchStartMsg = `Processing batch ${Math.floor(i/batchSize) + 1} of ${Math.ceil(posts.length/batchSize)}`;
-            
+        // Posts are embedded in batches, several requests at a time; progress is sent as each batch is saved
+        const { indexed: processed, skipped: skippedCount } = await vector.reindexForumData(posts, {
+          onProgress: ({ processed, total }) => {
+            req.app.locals.indexingProgress.processed = processed
+            req.app.locals.indexingProgress.status = `Indexed ${processed} of ${total}`
             sendProgress('progress', {
-              processed: processed,
-              status: batchStartMsg,
-              log: batchStartMsg
-            });
-            
-            // Process batch
-            for (const post of batch) {
-              try {
-                // Map the short field names to the expected names
-                const processedPost = {
-                  title: post.title || post.t,
-                  content: post.content || post.c,
-                  url: post.url,
-                  id: post.id,
-                  date: post.date || post.d
-                };
-                
-                if (!processedPost.title || !processedPost.content || processedPost.content.trim() === '') {
-                  skippedCount++;
-                  continue;
-                }
-                
-                await vector.addForumPost(processedPost);
-                processed++;
-                
-                // Update progress periodically
-                if (processed % 3 === 0 || processed === posts.length) {
-                  sendProgress('progress', {
-                    processed: processed,
-                    status: `${actionType} ${processed} of ${posts.length}`,
-                    log: `Added post: ${processedPost.title}`
-                  });
-                }
-              } catch (err) {
-                console.error(`Error ${actionType} post:`, err);
-                skippedCount++;
-                sendProgress('progress', {
-                  log: `Error processing post: ${err.message}`,
-                  logType: 'error'
-                });
-              }
-            }
-            
-            // Small delay between batches
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-        } else {
-          // Use the existing method for regular indexing
-          await vector.clearForumData()
-          
-          // Process posts in batches to avoid overwhelming the system
-          const batchSize = 5
-          
-          for (let i = 0; i < posts.length; i += batchSize) {
-            const batch = posts.slice(i, i + batchSize)
-            const batchStartMsg = `Processing batch ${Math.floor(i/batchSize) + 1} of ${Math.ceil(posts.length/batchSize)}`
-            
-            // Update progress for batch start
-            req.app.locals.indexingProgress.status = batchStartMsg
-            req.app.locals.indexingProgress.processed = i
-            
+              processed,
+              status: `Indexed ${processed} of ${total}`,
+              log: `Indexed ${processed} of ${total} posts`
+            })
+          },
+          onSkip: post => {
             sendProgress('progress', {
-              processed: i,
-              status: batchStartMsg,
-              log: batchStartMsg
+              processed: req.app.locals.indexingProgress.processed,
+              log: `Skipping post with empty or missing content: ${post.title || 'Untitled'}`,
+              logType: 'warning'
             })
-            
-            // Process each post in the batch
-            for (const post of batch) {
-              // Map the short field names to the expected names
-              const processedPost = {
-                title: post.title || post.t,
-                content: post.content || post.c,
-                url: post.url,
-                id: post.id,
-                date: post.date || post.d
-              };
-              
-              if (!processedPost.title || !processedPost.content || processedPost.content.trim() === '') {
-                skippedCount++
-                sendProgress('progress', {
-                  processed: req.app.locals.indexingProgress.processed,
-                  log: `Skipping post with empty or missing content: ${processedPost.title || 'Untitled'}`,
-                  logType: 'warning'
-                })
-                continue
-              }
-              
-              try {
-                await vector.addForumPost(processedPost)
-                
-                // Update progress
-                processed++;
-                req.app.locals.indexingProgress.processed += 1
-                
-                // Send individual post progress every few posts to avoid overwhelming the client
-                if (req.app.locals.indexingProgress.processed % 3 === 0 || 
-                    req.app.locals.indexingProgress.processed === posts.length) {
-                  sendProgress('progress', {
-                    processed: req.app.locals.indexingProgress.processed,
-                    status: `Indexed ${req.app.locals.indexingProgress.processed} of ${posts.length}`,
-                    log: `Added post: ${processedPost.title} (${processedPost.url})`
-                  })
-                }
-              } catch (err) {
-                console.error(`Error indexing post: ${processedPost.title}`, err)
-                skippedCount++;
-                sendProgress('progress', {
-                  processed: req.app.locals.indexingProgress.processed,
-                  log: `Error indexing post: ${processedPost.title} - ${err.message}`,
-                  logType: 'error'
-                })
-              }
-            }
-            
-            // Small delay between batches to allow for UI updates
-            await new Promise(resolve => setTimeout(resolve, 100))
           }
-        }
+        })
         
         // Send completion event
         const endTime = Date.now()
@@ -749,29 +1025,108 @@ class ApiService {
           });
         }
 
-        const { message, sessionId, messageHistory } = req.body;
+        const { message, sessionId, messageHistory, stream, options } = req.body;
         console.log('Sending chat request to:', '/api/chat');
         console.log('Request payload:', { 
           message: message.substring(0, 50) + (message.length > 50 ? '...' : ''), 
           sessionId,
-          messageHistoryLength: messageHistory ? messageHistory.length : 0
+          messageHistoryLength: messageHistory ? messageHistory.length : 0,
+          stream: !!stream
         });
 
-        const chatService = new ChatService();
-        const response = await chatService.processMessage(
-          message, 
-          sessionId,
-          this.compressedContext,
-          this.sipData,
-          messageHistory
-        );
+        const controller = this.beginChatRequest(sessionId, res);
+        const callOptions = { ...options, signal: controller.signal };
+
+        // Stream the response token by token over Server-Sent Events
+        if (stream) {
+          res.setHeader('Content-Type', 'text/event-stream');
+          res.setHeader('Cache-Control', 'no-cache');
+          res.setHeader('Connection', 'keep-alive');
+          res.flushHeaders();
+          
+          const sendEvent = (type, data) => {
+            const payload = JSON.stringify({
+              type,
+              timestamp: Date.now(),
+              ...data
+            });
+            res.write(`data: ${payload}\n\n`);
+          };
+          
+          try {
+            const result = await this.chatService.processMessageStream(
+              message,
+              sessionId,
+              this.compressedContext,
+              this.sipData,
+              messageHistory,
+              delta => sendEvent('token', { content: delta }),
+              { ...callOptions, onToolCall: call => sendEvent('tool', call) }
+            );
+            
+            sendEvent('done', {
+              message: result.message,
+              sources: result.sources,
+              citations: result.citations,
+              toolCalls: result.toolCalls,
+              aborted: result.aborted,
+              provider: result.provider,
+              sessionId
+            });
+          } catch (streamError) {
+            if (isAbortError(streamError)) {
+              // The client has gone or been replaced; there is no one to send the error to
+              console.log(`[API] Chat request for session ${sessionId} was cancelled`);
+            } else {
+              console.error('Error streaming chat message:', streamError);
+              sendEvent('error', {
+                message: 'Error processing your message',
+                error: streamError.message
+              });
+            }
+          } finally {
+            this.endChatRequest(sessionId, controller);
+          }
+          
+          return res.end();
+        }
+        
+        let result;
+        try {
+          result = await this.chatService.processMessage(
+            message, 
+            sessionId,
+            this.compressedContext,
+            this.sipData,
+            messageHistory,
+            callOptions
+          );
+        } finally {
+          this.endChatRequest(sessionId, controller);
+        }
 
         res.json({ 
           success: true, 
-          message: response,
+          message: result.message,
+          sources: result.sources,
+          citations: result.citations,
+          toolCalls: result.toolCalls,
+          provider: result.provider,
           sessionId
         });
       } catch (error) {
+        if (isAbortError(error)) {
+          console.log(`[API] Chat request for session ${req.body.sessionId} was cancelled`);
+          if (!res.headersSent && !res.writableEnded) {
+            // Only reached when a newer message for the session replaced this one
+            res.status(409).json({
+              success: false,
+              message: 'Request cancelled',
+              error: 'A newer message for this session replaced this request'
+            });
+          }
+          return;
+        }
         console.error('Error processing chat message:', error);
         res.status(500).json({
           success: false,
@@ -817,6 +1172,104 @@ class ApiService {
     this.llmInitialized = status;
   }
 
+  // Method to record which registered provider is active
+  setLLMProvider(name) {
+    this.llmProviderName = name;
+  }
+
+  /**
+   * Start the provider the server runs by default: the fallback chain when
+   * LLM_FALLBACK_CHAIN is set, otherwise OpenAI
+   * @returns {string} - The name of the provider started
+   */
+  initializeDefaultProvider() {
+    if (process.env.LLM_FALLBACK_CHAIN) {
+      // Fall through the configured providers in order when one is unavailable
+      global.llmProvider = LLMProviderFactory.createProvider('fallback');
+      this.setLLMProvider('fallback');
+    } else {
+      global.llmProvider = LLMProviderFactory.createProvider('openai', {
+        apiKey: config.get('openai.apiKey'),
+        model: config.get('openai.model')
+      });
+      this.setLLMProvider('openai');
+    }
+    this.llmInitialized = true;
+    return this.llmProviderName;
+  }
+
+  /**
+   * Track a chat request so it can be cancelled. A newer message for the same session
+   * cancels the one still in flight, and the request is cancelled if the client disconnects
+   * before the response is finished, so the LLM call stops rather than running on unbilled.
+   * @param {string} sessionId - The chat session
+   * @param {Object} res - The Express response
+   * @returns {AbortController} - The controller whose signal is passed to the chat service
+   */
+  beginChatRequest(sessionId, res) {
+    const previous = this.activeChats.get(sessionId);
+    if (previous) {
+      console.log(`[API] Cancelling the in-flight chat request for session ${sessionId}`);
+      previous.abort();
+    }
+
+    const controller = new AbortController();
+    this.activeChats.set(sessionId, controller);
+    res.on('close', () => {
+      if (!res.writableFinished && !controller.signal.aborted) {
+        console.log(`[API] Client disconnected; cancelling chat request for session ${sessionId}`);
+        controller.abort();
+      }
+    });
+    return controller;
+  }
+
+  /**
+   * Stop tracking a finished chat request
+   * @param {string} sessionId - The chat session
+   * @param {AbortController} controller - The request's controller
+   */
+  endChatRequest(sessionId, controller) {
+    // A newer request may already have taken the session's slot
+    if (this.activeChats.get(sessionId) === controller) {
+      this.activeChats.delete(sessionId);
+    }
+  }
+
+  /**
+   * Describe a registered provider for /api/providers
+   * @param {Object} definition - The provider's registry definition
+   * @returns {Promise<Object>} - Its name, capabilities, config schema, whether it is configured and its models
+   */
+  async describeProvider(definition) {
+    const config = providerRegistry.resolveConfig(definition.name);
+    let configError = null;
+    try {
+      providerRegistry.validateConfig(definition.name, config, LLMProviderFactory);
+    } catch (error) {
+      configError = error.message;
+    }
+
+    // Unconfigured providers can't be asked for their models
+    const { models, error: modelsError } = configError
+      ? { models: definition.defaultModels, error: null }
+      : await providerRegistry.listModels(definition.name, config);
+
+    return {
+      name: definition.name,
+      label: definition.label,
+      description: definition.description,
+      capabilities: definition.capabilities,
+      configSchema: definition.configSchema,
+      configured: !configError,
+      configError,
+      defaultModel: config.model || null,
+      models,
+      modelsError,
+      active: this.llmProviderName === definition.name
+    };
+  }
+
   // Method to get the compressed context
   getCompressedContext() {
     return this.compressedContext;
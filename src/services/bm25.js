@@ -0,0 +1,135 @@
+/**
+ * BM25 Keyword Index
+ * Lexical index kept alongside the vector store, so exact terms such as a SIP
+ * number or a council member's name are found even when their embeddings are
+ * not close to the query's.
+ */
+
+const { tokenize } = require('./embeddings');
+
+// Standard BM25 parameters: term frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+// Identifiers like "SIP-382", "SIP 382" or "sip382", indexed as one extra term so they outrank loose mentions
+const IDENTIFIER_PATTERN = /\b([a-z]{2,6})[-\s#]?(\d+)\b/g;
+
+/**
+ * Turn text into the terms the index holds
+ * @param {string} text - The text
+ * @returns {Array<string>} - The terms, with repeats
+ */
+function analyze(text) {
+  const terms = tokenize(text);
+  const lower = String(text || '').toLowerCase();
+  for (const match of lower.matchAll(IDENTIFIER_PATTERN)) {
+    terms.push(`${match[1]}-${match[2]}`);
+  }
+  return terms;
+}
+
+class BM25Index {
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Remove every document
+   */
+  clear() {
+    // Term to Map of document ID to term frequency
+    this.postings = new Map();
+    // Document ID to its terms' frequencies and its length in terms
+    this.documents = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * The number of documents in the index
+   * @returns {number} - The count
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Index a document, replacing any with the same ID
+   * @param {string} id - The document ID
+   * @param {string} text - The document text
+   */
+  add(id, text) {
+    if (this.documents.has(id)) {
+      this.remove([id]);
+    }
+
+    const frequencies = new Map();
+    const terms = analyze(text);
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, frequency);
+    }
+
+    this.documents.set(id, { frequencies, length: terms.length });
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Remove documents
+   * @param {Array<string>} ids - The document IDs
+   */
+  remove(ids) {
+    for (const id of ids) {
+      const document = this.documents.get(id);
+      if (!document) continue;
+      for (const term of document.frequencies.keys()) {
+        const posting = this.postings.get(term);
+        posting.delete(id);
+        if (posting.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+      this.totalLength -= document.length;
+      this.documents.delete(id);
+    }
+  }
+
+  /**
+   * Score the documents containing any of the query's terms
+   * @param {string} query - The query text
+   * @param {Object} options - Options
+   * @param {Function} options.filter - Only documents whose ID passes are scored
+   * @returns {Array<{id: string, score: number}>} - The matching documents, best first
+   */
+  search(query, options = {}) {
+    const count = this.documents.size;
+    if (count === 0) {
+      return [];
+    }
+    const averageLength = this.totalLength / count || 1;
+    const scores = new Map();
+
+    for (const term of new Set(analyze(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [id, frequency] of posting) {
+        if (options.filter && !options.filter(id)) continue;
+        const length = this.documents.get(id).length;
+        const termScore = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + termScore);
+      }
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = { BM25Index, analyze };
@@ -4,97 +4,557 @@ const fs = require('fs');
 const path = require('path');
 const debug = require('debug')('chatbot:chat');
 const { LLMProviderFactory } = require('../providers/factory');
+const { isAbortError } = require('../providers/base');
 const { storage } = require('./storage');
+const { documentService } = require('./document');
+const { estimateTokens, estimateMessageTokens, getContextWindow } = require('../utils/tokens');
+
+// Transcript length sent to the LLM in one summarization request, as a share of the token budget
+const SUMMARY_BATCH_RATIO = 0.5;
+
+// Longest excerpt of a single message included in a summarization request
+const MAX_SUMMARY_MESSAGE_CHARS = 4000;
+
+// Rounds of tool calls the model may make before it must answer
+const DEFAULT_MAX_TOOL_STEPS = 4;
 
 class ChatService {
-  constructor() {
+  constructor(options = {}) {
     this.chatHistory = {};
+    
+    // Running summary of the turns folded out of each session's history: { content, messageCount }
+    this.summaries = {};
+    
+    // Token budget. The context window defaults to the active model's; part of it is kept free for the reply.
+    this.contextWindow = options.contextWindow || null;
+    this.maxResponseTokens = options.maxResponseTokens || 4096;
+    // When history overflows, fold old turns until it fills at most this share of the space left for it
+    this.summaryTargetRatio = options.summaryTargetRatio || 0.5;
+    
+    // Vector store consulted on every user message for retrieval-augmented answers
+    this.vectorService = options.vectorService || null;
+    this.retrievalLimit = options.retrievalLimit || 5;
+    // Unset, the embedding backend's own threshold applies
+    this.retrievalThreshold = options.retrievalThreshold || null;
+    
+    // Session store that conversations are persisted to so they survive restarts
+    this.sessionService = options.sessionService || null;
+    
+    // Tools the model can call to look up SIPs, when the provider supports tool calling
+    this.toolService = options.toolService || null;
+    this.maxToolSteps = options.maxToolSteps || DEFAULT_MAX_TOOL_STEPS;
   }
 
-  // Process a chat message and generate a response
-  async processMessage(message, sessionId, compressedContext, sipData, messageHistory = null) {
+  // Process a chat message and generate a response, returning it with the sources it was given and the citations it made.
+  // Generation options (temperature, maxTokens, stop, topP, seed) apply to this request only; options.signal cancels it.
+  async processMessage(message, sessionId, compressedContext, sipData, messageHistory = null, options = {}) {
     try {
       debug(`Processing message for session ${sessionId}`);
       console.log(`[CHAT] Processing message for session ${sessionId}: "${message.substring(0, 50)}${message.length > 50 ? '...' : ''}"`);
       
-      // Initialize chat history for this session if it doesn't exist
-      if (!this.chatHistory[sessionId]) {
-        this.chatHistory[sessionId] = [];
-        console.log(`[CHAT] Initialized new chat history for session ${sessionId}`);
-      }
+      await this.loadHistory(sessionId);
+      this.syncHistory(message, sessionId, messageHistory);
       
-      // If message history is provided from the frontend, use it to sync the server-side history
-      if (messageHistory && Array.isArray(messageHistory)) {
-        console.log(`[CHAT] Received message history from frontend with ${messageHistory.length} messages`);
-        
-        // Only update the chat history if the incoming history is longer
-        // This prevents losing context if multiple clients are active
-        if (messageHistory.length > this.chatHistory[sessionId].length) {
-          console.log(`[CHAT] Using frontend message history (${messageHistory.length} messages) instead of server history (${this.chatHistory[sessionId].length} messages)`);
-          this.chatHistory[sessionId] = messageHistory;
-        } else {
-          console.log(`[CHAT] Keeping server message history (${this.chatHistory[sessionId].length} messages) as it's longer than frontend history (${messageHistory.length} messages)`);
-          
-          // Add the latest user message if it's not already in the history
-          const latestUserMessage = messageHistory[messageHistory.length - 1];
-          if (latestUserMessage && latestUserMessage.role === 'user') {
-            const existingMessage = this.chatHistory[sessionId].find(
-              m => m.role === 'user' && m.content === latestUserMessage.content
-            );
-            
-            if (!existingMessage) {
-              this.chatHistory[sessionId].push(latestUserMessage);
-              console.log(`[CHAT] Added latest user message to existing server history`);
-            }
-          }
-        }
-      } else {
-        // If no message history is provided, add the user message to the existing history
-        this.chatHistory[sessionId].push({
-          role: 'user',
-          content: message
-        });
-        console.log(`[CHAT] Added user message to history. History length: ${this.chatHistory[sessionId].length}`);
-      }
+      // Find forum excerpts relevant to this message, keeping as many as the token budget allows
+      const sources = await this.fitToContextWindow(
+        sessionId, compressedContext, sipData, await this.retrieveSources(message, options.signal), options.signal
+      );
       
       // Prepare the messages array for the LLM
-      const messages = this.prepareMessagesForLLM(sessionId, compressedContext, sipData);
+      const messages = this.prepareMessagesForLLM(sessionId, compressedContext, sipData, sources);
       console.log(`[CHAT] Prepared messages for LLM. Total messages: ${messages.length}`);
+      this.throwIfAborted(options.signal);
       
       // Get response from LLM
       console.log(`[CHAT] Sending request to LLM provider: ${global.llmProvider ? global.llmProvider.constructor.name : 'undefined'}`);
-      const llmResponse = await global.llmProvider.chat(messages);
+      const callOptions = { ...options, usage: { sessionId, agent: 'chat' } };
+      let llmResponse;
+      let toolCalls = [];
+      if (this.canUseTools()) {
+        ({ content: llmResponse, toolCalls } = await this.runToolLoop(messages, sources, callOptions));
+      } else {
+        llmResponse = await global.llmProvider.chat(messages, callOptions);
+      }
       console.log(`[CHAT] Received response from LLM: "${llmResponse.substring(0, 50)}${llmResponse.length > 50 ? '...' : ''}"`);
       
-      // Add assistant response to history
+      const citations = this.buildCitations(llmResponse, sources);
+      this.recordResponse(sessionId, llmResponse, sources, citations);
+      await this.persistTurn(sessionId);
+      
+      return { message: llmResponse, sources, citations, toolCalls, provider: this.getAnsweringProvider() };
+    } catch (error) {
+      if (isAbortError(error)) {
+        console.log(`[CHAT] Message for session ${sessionId} was cancelled`);
+      } else {
+        console.error('[CHAT] Error processing message:', error);
+      }
+      throw error;
+    }
+  }
+  
+  // Process a chat message, passing each text delta of the response to onToken as it arrives.
+  // options.onToolCall is called with each tool call the model makes before it answers.
+  // If options.signal aborts mid-answer, the text streamed so far is kept and returned with aborted: true.
+  async processMessageStream(message, sessionId, compressedContext, sipData, messageHistory = null, onToken = () => {}, options = {}) {
+    try {
+      debug(`Processing streaming message for session ${sessionId}`);
+      console.log(`[CHAT] Processing streaming message for session ${sessionId}: "${message.substring(0, 50)}${message.length > 50 ? '...' : ''}"`);
+      
+      await this.loadHistory(sessionId);
+      this.syncHistory(message, sessionId, messageHistory);
+      
+      const sources = await this.fitToContextWindow(
+        sessionId, compressedContext, sipData, await this.retrieveSources(message, options.signal), options.signal
+      );
+      const messages = this.prepareMessagesForLLM(sessionId, compressedContext, sipData, sources);
+      console.log(`[CHAT] Prepared messages for LLM. Total messages: ${messages.length}`);
+      this.throwIfAborted(options.signal);
+      
+      console.log(`[CHAT] Streaming response from LLM provider: ${global.llmProvider ? global.llmProvider.constructor.name : 'undefined'}`);
+      const { onToolCall, ...generationOptions } = options;
+      const callOptions = { ...generationOptions, usage: { sessionId, agent: 'chat' } };
+      let llmResponse = '';
+      const toolCalls = [];
+      let aborted = false;
+      const emit = (delta) => {
+        llmResponse += delta;
+        onToken(delta);
+      };
+      try {
+        if (this.canUseTools()) {
+          // Each tool round is streamed too, so the answer arrives as it is generated
+          await this.runToolLoop(messages, sources, callOptions, { onToolCall, onToken: emit, toolCalls });
+        } else {
+          for await (const delta of global.llmProvider.chatStream(messages, callOptions)) {
+            emit(delta);
+          }
+        }
+      } catch (error) {
+        if (!isAbortError(error) || !this.isAborted(options.signal)) {
+          throw error;
+        }
+      }
+      // Some SDKs end the stream quietly when it is aborted rather than throwing
+      if (this.isAborted(options.signal)) {
+        // With nothing streamed yet there is no partial answer worth keeping
+        if (!llmResponse) {
+          options.signal.throwIfAborted();
+        }
+        aborted = true;
+        console.log(`[CHAT] Response for session ${sessionId} stopped after ${llmResponse.length} characters`);
+      }
+      console.log(`[CHAT] Streamed response from LLM: "${llmResponse.substring(0, 50)}${llmResponse.length > 50 ? '...' : ''}"`);
+      
+      const citations = this.buildCitations(llmResponse, sources);
+      this.recordResponse(sessionId, llmResponse, sources, citations);
+      await this.persistTurn(sessionId);
+      
+      return { message: llmResponse, sources, citations, toolCalls, aborted, provider: this.getAnsweringProvider() };
+    } catch (error) {
+      if (isAbortError(error)) {
+        console.log(`[CHAT] Streaming message for session ${sessionId} was cancelled`);
+      } else {
+        console.error('[CHAT] Error processing streaming message:', error);
+      }
+      throw error;
+    }
+  }
+  
+  // Check whether a request's signal has been aborted
+  isAborted(signal) {
+    return Boolean(signal && signal.aborted);
+  }
+  
+  // Throw the abort reason if the request has been cancelled, so no further LLM calls are made for it
+  throwIfAborted(signal) {
+    if (this.isAborted(signal)) {
+      signal.throwIfAborted();
+    }
+  }
+  
+  // Check whether the model can be offered tools for this message
+  canUseTools() {
+    return Boolean(this.toolService && global.llmProvider &&
+      typeof global.llmProvider.supportsTools === 'function' && global.llmProvider.supportsTools());
+  }
+  
+  // Let the model call tools until it answers, for at most maxToolSteps rounds. Forum chunks the tools
+  // find are added to sources with the next citation markers. Returns the answer and the calls made.
+  // With handlers.onToken each round is streamed, text deltas going to onToken as they arrive;
+  // handlers.onToolCall is told of each call, and the calls are collected in handlers.toolCalls if given.
+  async runToolLoop(messages, sources, callOptions, handlers = {}) {
+    const { onToolCall = () => {}, onToken = null, toolCalls = [] } = handlers;
+    const tools = this.toolService.getDefinitions();
+    const conversation = [...messages];
+    const addSource = (result) => {
+      const existing = sources.find(source => source.id === result.id);
+      if (existing) {
+        return existing.marker;
+      }
+      const source = this.toSource(result, sources.length + 1);
+      sources.push(source);
+      return source.marker;
+    };
+    // Text the model streams alongside its tool calls is kept apart from the next round's
+    let separator = '';
+    const emit = onToken && ((delta) => {
+      onToken(separator + delta);
+      separator = '';
+    });
+    
+    for (let step = 1; step <= this.maxToolSteps; step++) {
+      this.throwIfAborted(callOptions.signal);
+      const response = await this.requestWithTools(conversation, tools, callOptions, emit);
+      if (response.toolCalls.length === 0) {
+        return { content: response.content, toolCalls };
+      }
+      if (emit && response.content) {
+        separator = '\n\n';
+      }
+      
+      conversation.push({ role: 'assistant', content: response.content, toolCalls: response.toolCalls });
+      for (const call of response.toolCalls) {
+        console.log(`[CHAT] Tool step ${step}/${this.maxToolSteps}: ${call.name} ${JSON.stringify(call.arguments)}`);
+        onToolCall({ name: call.name, arguments: call.arguments });
+        
+        const result = await this.toolService.execute(call.name, call.arguments, { addSource });
+        if (result.error) {
+          console.warn(`[CHAT] Tool ${call.name} failed: ${result.error}`);
+        }
+        toolCalls.push({ name: call.name, arguments: call.arguments, error: result.error || null });
+        conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) });
+      }
+    }
+    
+    // Out of rounds: the model has to answer from what the tools returned so far
+    console.warn(`[CHAT] Tool loop reached the limit of ${this.maxToolSteps} steps; requesting a final answer`);
+    this.throwIfAborted(callOptions.signal);
+    const response = await this.requestWithTools(conversation, tools, { ...callOptions, toolChoice: 'none' }, emit);
+    return { content: response.content, toolCalls };
+  }
+  
+  // Make one tool-calling request, streaming its text to onToken when one is given
+  async requestWithTools(conversation, tools, callOptions, onToken) {
+    if (!onToken) {
+      return global.llmProvider.chatWithTools(conversation, tools, callOptions);
+    }
+    
+    const stream = global.llmProvider.chatWithToolsStream(conversation, tools, callOptions);
+    let next;
+    while (!(next = await stream.next()).done) {
+      onToken(next.value);
+    }
+    // A stream the SDK ended quietly on abort may hold half a tool call; don't run it
+    this.throwIfAborted(callOptions.signal);
+    return next.value;
+  }
+  
+  // Load a stored session into memory the first time it is used since startup
+  async loadHistory(sessionId) {
+    if (this.chatHistory[sessionId] || !this.sessionService) {
+      return;
+    }
+    
+    try {
+      const session = await this.sessionService.getSession(sessionId);
+      if (session) {
+        this.chatHistory[sessionId] = session.messages;
+        console.log(`[CHAT] Loaded stored session ${sessionId} with ${session.messages.length} messages`);
+      }
+    } catch (error) {
+      console.error(`[CHAT] Error loading session ${sessionId}:`, error);
+    }
+  }
+  
+  // Append the latest user message and assistant response to the stored session
+  async persistTurn(sessionId) {
+    if (!this.sessionService) {
+      return;
+    }
+    
+    const history = this.chatHistory[sessionId];
+    const assistantMessage = history[history.length - 1];
+    const userMessage = [...history].reverse().find(m => m.role === 'user');
+    
+    try {
+      await this.sessionService.appendMessages(sessionId, [
+        { role: 'user', content: userMessage ? userMessage.content : '' },
+        assistantMessage
+      ]);
+    } catch (error) {
+      // The reply is still returned; only the stored copy is missing this turn
+      console.error(`[CHAT] Error persisting session ${sessionId}:`, error);
+    }
+  }
+  
+  // Add the user message to the session history, syncing with the frontend history if provided
+  syncHistory(message, sessionId, messageHistory = null) {
+    // Initialize chat history for this session if it doesn't exist
+    if (!this.chatHistory[sessionId]) {
+      this.chatHistory[sessionId] = [];
+      console.log(`[CHAT] Initialized new chat history for session ${sessionId}`);
+    }
+    
+    // If message history is provided from the frontend, use it to sync the server-side history
+    if (messageHistory && Array.isArray(messageHistory)) {
+      console.log(`[CHAT] Received message history from frontend with ${messageHistory.length} messages`);
+      
+      // Only update the chat history if the incoming history is longer
+      // This prevents losing context if multiple clients are active
+      // Turns already folded into the summary still count towards the server history
+      const foldedCount = this.summaries[sessionId] ? this.summaries[sessionId].messageCount : 0;
+      const serverLength = this.chatHistory[sessionId].length + foldedCount;
+      if (messageHistory.length > serverLength) {
+        console.log(`[CHAT] Using frontend message history (${messageHistory.length} messages) instead of server history (${serverLength} messages)`);
+        this.chatHistory[sessionId] = messageHistory.slice(foldedCount);
+      } else {
+        console.log(`[CHAT] Keeping server message history (${serverLength} messages) as it's longer than frontend history (${messageHistory.length} messages)`);
+        
+        // Add the latest user message if it's not already in the history
+        const latestUserMessage = messageHistory[messageHistory.length - 1];
+        if (latestUserMessage && latestUserMessage.role === 'user') {
+          const existingMessage = this.chatHistory[sessionId].find(
+            m => m.role === 'user' && m.content === latestUserMessage.content
+          );
+          
+          if (!existingMessage) {
+            this.chatHistory[sessionId].push(latestUserMessage);
+            console.log(`[CHAT] Added latest user message to existing server history`);
+          }
+        }
+      }
+    } else {
+      // If no message history is provided, add the user message to the existing history
       this.chatHistory[sessionId].push({
-        role: 'assistant',
-        content: llmResponse
+        role: 'user',
+        content: message
       });
-      console.log(`[CHAT] Added assistant response to history. History length: ${this.chatHistory[sessionId].length}`);
+      console.log(`[CHAT] Added user message to history. History length: ${this.chatHistory[sessionId].length}`);
+    }
+  }
+  
+  // Add the assistant response to the session history
+  recordResponse(sessionId, llmResponse, sources = [], citations = []) {
+    this.chatHistory[sessionId].push({
+      role: 'assistant',
+      content: llmResponse,
+      sources,
+      citations
+    });
+    console.log(`[CHAT] Added assistant response to history. History length: ${this.chatHistory[sessionId].length}`);
+  }
+  
+  // Name the provider that answered; a fallback chain reports which of its providers it was
+  getAnsweringProvider() {
+    if (!global.llmProvider) {
+      return null;
+    }
+    return global.llmProvider.lastProvider || global.llmProvider.constructor.name;
+  }
+  
+  // Get the number of tokens available for the prompt once the reply is reserved
+  getTokenBudget() {
+    const model = global.llmProvider ? global.llmProvider.model : null;
+    const contextWindow = this.contextWindow || getContextWindow(model);
+    return contextWindow - Math.min(this.maxResponseTokens, Math.floor(contextWindow / 4));
+  }
+  
+  // Fit the system prompt (compressed context, summary and sources) and the history into the token budget.
+  // Lowest-ranked sources are dropped if the latest message would not fit, then the oldest turns are
+  // folded into the running summary, with signal cancelling the summary request. Returns the sources that fit.
+  async fitToContextWindow(sessionId, compressedContext, sipData, sources = [], signal) {
+    const budget = this.getTokenBudget();
+    const history = this.chatHistory[sessionId];
+    const latestMessage = history.slice(-1);
+    let keptSources = sources;
+    
+    const systemPromptTokens = () => estimateTokens(
+      this.generateSystemPrompt(compressedContext, sipData, keptSources, this.getSummary(sessionId))
+    );
+    
+    while (keptSources.length > 0 && systemPromptTokens() + estimateMessageTokens(latestMessage) > budget) {
+      keptSources = keptSources.slice(0, -1);
+    }
+    if (keptSources.length < sources.length) {
+      console.log(`[CHAT] Dropped ${sources.length - keptSources.length} forum chunks to fit the token budget`);
+    }
+    
+    const available = budget - systemPromptTokens();
+    if (history.length > 1 && estimateMessageTokens(history) > available) {
+      // Fold past the point of fitting so the summary isn't rewritten on every turn
+      const target = Math.floor(available * this.summaryTargetRatio);
+      let foldCount = 0;
+      while (foldCount < history.length - 1 && estimateMessageTokens(history.slice(foldCount)) > target) {
+        foldCount++;
+      }
+      await this.foldIntoSummary(sessionId, foldCount, signal);
+    }
+    
+    return keptSources;
+  }
+  
+  // Replace the oldest messages of a session's history with an updated running summary.
+  // If signal aborts, the history is left as it was for the next message to fold.
+  async foldIntoSummary(sessionId, count, signal) {
+    const history = this.chatHistory[sessionId];
+    const folded = history.slice(0, count);
+    const previous = this.summaries[sessionId] || { content: null, messageCount: 0 };
+    let content = previous.content;
+    
+    console.log(`[CHAT] Folding ${count} messages into the summary for session ${sessionId}`);
+    
+    try {
+      content = await this.summarizeMessages(previous.content, folded, sessionId, signal);
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      // Keep the previous summary; the folded turns are dropped as the budget requires
+      console.error('[CHAT] Error summarizing conversation:', error);
+    }
+    
+    this.summaries[sessionId] = {
+      content,
+      messageCount: previous.messageCount + count
+    };
+    this.chatHistory[sessionId] = history.slice(count);
+  }
+  
+  // Summarize messages into the running summary, in batches that fit the token budget
+  async summarizeMessages(previousSummary, messages, sessionId = null, signal) {
+    const batchTokens = Math.floor(this.getTokenBudget() * SUMMARY_BATCH_RATIO);
+    let summary = previousSummary;
+    let batch = [];
+    let tokens = 0;
+    
+    const flush = async () => {
+      summary = await this.requestSummary(summary, batch, sessionId, signal);
+      batch = [];
+      tokens = 0;
+    };
+    
+    for (const message of messages) {
+      const content = message.content.length > MAX_SUMMARY_MESSAGE_CHARS
+        ? message.content.substring(0, MAX_SUMMARY_MESSAGE_CHARS) + '...'
+        : message.content;
+      const messageTokens = estimateTokens(content);
       
-      // Trim history if it gets too long
-      this.trimChatHistory(sessionId);
+      if (batch.length > 0 && tokens + messageTokens > batchTokens) {
+        await flush();
+      }
+      batch.push({ role: message.role, content });
+      tokens += messageTokens;
+    }
+    
+    if (batch.length > 0) {
+      await flush();
+    }
+    
+    return summary;
+  }
+  
+  // Ask the LLM to merge a batch of messages into the running summary
+  async requestSummary(previousSummary, messages, sessionId = null, signal) {
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+      .join('\n\n');
+    
+    const prompt = `Update the running summary of a conversation about drafting SuperRare Improvement Proposals (SIPs).
+Keep every decision, requirement, figure, SIP number and open question; drop pleasantries and repetition.
+Reply with the updated summary only, in at most 300 words.
+
+Current summary:
+${previousSummary || 'None yet.'}
+
+New messages:
+${transcript}`;
+    
+    const summary = await global.llmProvider.chat([
+      { role: 'system', content: 'You summarize conversations accurately and concisely.' },
+      { role: 'user', content: prompt }
+    ], { usage: { sessionId, agent: 'summary' }, signal });
+    
+    return summary.trim();
+  }
+  
+  // Get the running summary of the turns folded out of a session's history
+  getSummary(sessionId) {
+    return this.summaries[sessionId] ? this.summaries[sessionId].content : null;
+  }
+  
+  // Find the forum chunks most relevant to a user message, numbered for citation; signal cancels the search
+  async retrieveSources(message, signal) {
+    if (!this.vectorService || this.vectorService.getVectorCount() === 0) {
+      return [];
+    }
+    
+    try {
+      const results = await this.vectorService.search(message, {
+        limit: this.retrievalLimit,
+        threshold: this.retrievalThreshold,
+        signal
+      });
+      console.log(`[CHAT] Retrieved ${results.length} forum chunks for message`);
       
-      return llmResponse;
+      return results.map((result, index) => this.toSource(result, index + 1));
     } catch (error) {
-      console.error('[CHAT] Error processing message:', error);
-      throw error;
+      if (isAbortError(error)) {
+        throw error;
+      }
+      // Answer without forum context rather than failing the whole message
+      console.error('[CHAT] Error retrieving forum context:', error);
+      return [];
+    }
+  }
+  
+  // Turn a vector search result into a source cited with the given marker
+  toSource(result, marker) {
+    return {
+      marker,
+      id: result.id,
+      chunkId: result.metadata.chunkId || result.id,
+      title: result.metadata.title || 'Untitled',
+      url: result.metadata.url || null,
+      date: result.metadata.date || null,
+      score: result.score,
+      text: result.text,
+      citation: documentService.formatCitation(result.metadata)
+    };
+  }
+  
+  // Build structured citations for the sources the response actually cites with [n] markers
+  buildCitations(llmResponse, sources = []) {
+    const cited = new Set();
+    for (const match of llmResponse.matchAll(/\[(\d+)\]/g)) {
+      cited.add(parseInt(match[1], 10));
     }
+    
+    return sources
+      .filter(source => cited.has(source.marker))
+      .map(source => ({
+        marker: source.marker,
+        title: source.title,
+        url: source.url,
+        date: source.date,
+        chunkId: source.chunkId,
+        score: source.score,
+        excerpt: source.text.length > 300 ? source.text.substring(0, 300) + '...' : source.text,
+        citation: source.citation
+      }));
   }
   
   // Prepare messages array for the LLM, including system context
-  prepareMessagesForLLM(sessionId, compressedContext, sipData) {
-    const systemPrompt = this.generateSystemPrompt(compressedContext, sipData);
+  prepareMessagesForLLM(sessionId, compressedContext, sipData, sources = []) {
+    const systemPrompt = this.generateSystemPrompt(compressedContext, sipData, sources, this.getSummary(sessionId));
     
     return [
       { role: 'system', content: systemPrompt },
-      ...this.chatHistory[sessionId]
+      ...this.chatHistory[sessionId].map(m => ({ role: m.role, content: m.content }))
     ];
   }
   
   // Generate the system prompt with context
-  generateSystemPrompt(compressedContext, sipData) {
+  generateSystemPrompt(compressedContext, sipData, sources = [], summary = null) {
     let prompt = `You are SIP-Assistant, an AI designed to help with SuperRare Improvement Proposals (SIPs).
 Your goal is to assist users in drafting, understanding, and improving governance proposals.
 Be helpful, informative, and concise. If you don't know something, say so rather than making up information.
@@ -110,18 +570,21 @@ Today's date is ${new Date().toISOString().split('T')[0]}.
       prompt += `\n## Available SIPs\nThere are ${sipData.length} SIPs available for reference.\n`;
     }
     
-    return prompt;
-  }
-  
-  // Trim chat history to prevent it from getting too long
-  trimChatHistory(sessionId) {
-    const maxHistoryLength = 20; // Keep last 10 exchanges (20 messages)
-    if (this.chatHistory[sessionId].length > maxHistoryLength) {
-      // Keep the first system message and the last maxHistoryLength messages
-      const systemMessages = this.chatHistory[sessionId].filter(msg => msg.role === 'system');
-      const recentMessages = this.chatHistory[sessionId].slice(-maxHistoryLength);
-      this.chatHistory[sessionId] = [...systemMessages, ...recentMessages];
+    if (summary) {
+      prompt += `\n## Earlier Conversation Summary\nOlder messages in this conversation have been condensed into this summary. Treat the decisions in it as still standing.\n${summary}\n`;
     }
+    
+    if (sources.length > 0) {
+      prompt += `\n## Relevant Forum Excerpts\nThese excerpts from the governance forum were retrieved for the user's latest message. When you rely on one, cite it inline with its number, e.g. [1]. Do not cite sources that are not listed here.\n`;
+      
+      for (const source of sources) {
+        const excerpt = source.text.length > 1500 ? source.text.substring(0, 1500) + '...' : source.text;
+        const details = [source.date, source.url].filter(Boolean).join(' - ');
+        prompt += `\n[${source.marker}] ${source.title}${details ? ` (${details})` : ''}\n${excerpt}\n`;
+      }
+    }
+    
+    return prompt;
   }
   
   // Get chat history for a session
@@ -132,6 +595,7 @@ Today's date is ${new Date().toISOString().split('T')[0]}.
   // Clear chat history for a session
   clearChatHistory(sessionId) {
     this.chatHistory[sessionId] = [];
+    delete this.summaries[sessionId];
     return { success: true, message: 'Chat history cleared' };
   }
   
@@ -227,7 +691,7 @@ Create a compressed context (max 2000 words) that the AI can use to understand S
           { role: 'user', content: prompt }
         ];
         
-        const compressedContext = await global.llmProvider.chat(messages);
+        const compressedContext = await global.llmProvider.chat(messages, { usage: { agent: 'compression' } });
         
         if (compressedContext && compressedContext.length > 200) {
           debug('Successfully compressed SIP context');
@@ -0,0 +1,454 @@
+/**
+ * Embedding backends
+ * Turn text into vectors for the vector store. The backend is chosen by
+ * EMBEDDING_BACKEND: 'hashing' runs entirely in-process with no model or API
+ * key, 'openai' calls any OpenAI-compatible /embeddings endpoint (OpenAI,
+ * Ollama, LM Studio, llama.cpp server).
+ */
+
+const axios = require('axios');
+const debug = require('debug')('chatbot:embeddings');
+
+// Dimensions of the hosted models, so a store can be checked before the first call
+const KNOWN_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+
+// HTTP statuses worth retrying an embedding request on: rate limits and server errors
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Roughly four characters per token, for keeping a batch under the request token limit
+const CHARS_PER_TOKEN = 4;
+
+// Common words that carry no topic, left out of hashed features
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'if', 'in',
+  'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'there', 'these', 'this',
+  'to', 'was', 'we', 'were', 'will', 'with', 'would', 'you', 'your', 'our', 'can', 'should', 'which'
+]);
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - The string
+ * @returns {number} - The unsigned hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into lowercase word tokens, dropping markup and stopwords
+ * @param {string} text - The text
+ * @returns {Array<string>} - The tokens
+ */
+function tokenize(text) {
+  const words = String(text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .toLowerCase()
+    .normalize('NFKD')
+    .match(/[a-z0-9]+/g) || [];
+  return words.filter(word => !STOPWORDS.has(word) && (word.length > 1 || /\d/.test(word)));
+}
+
+/**
+ * Wait for a time, giving up early if the signal is aborted
+ * @param {number} ms - The time to wait in ms
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Spaces out the requests to an endpoint. Each request waits for the next free
+ * slot, so concurrent batches share one budget, and a rate-limit response holds
+ * back every request until it has passed.
+ */
+class RequestRateLimiter {
+  /**
+   * @param {number} requestsPerMinute - Requests allowed per minute; unlimited when unset
+   */
+  constructor(requestsPerMinute) {
+    this.interval = requestsPerMinute ? 60000 / requestsPerMinute : 0;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Wait for this request's slot
+   * @param {AbortSignal} signal - Cancels the wait
+   * @returns {Promise<void>}
+   */
+  async acquire(signal) {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.interval;
+    if (slot > now) {
+      await sleep(slot - now, signal);
+    }
+  }
+
+  /**
+   * Hold back all requests for a time
+   * @param {number} ms - How long to hold them back
+   */
+  pause(ms) {
+    this.nextSlot = Math.max(this.nextSlot, Date.now() + ms);
+  }
+}
+
+/**
+ * Local embedder using the hashing trick: word unigrams and bigrams are hashed
+ * into a fixed number of buckets with a hashed sign, weighted by sublinear term
+ * frequency and L2-normalised. Needs no model download or API key; it matches
+ * shared vocabulary rather than meaning, so its similarity scores run lower.
+ */
+class HashingEmbedder {
+  /**
+   * @param {Object} config - Configuration
+   * @param {number} config.dimension - Number of hash buckets (default 1024)
+   * @param {number} config.threshold - Default similarity threshold for searches
+   */
+  constructor(config = {}) {
+    this.name = 'hashing';
+    this.model = 'feature-hashing-v1';
+    this.dimension = config.dimension || 1024;
+    this.defaultThreshold = config.threshold !== undefined ? config.threshold : 0.1;
+    // Embedding is local and synchronous, so large batches one at a time
+    this.batchSize = config.batchSize || 256;
+    this.concurrency = 1;
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - The texts
+   * @returns {Promise<Array<Array<number>>>} - One vector per text
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  /**
+   * Embed a single text
+   * @param {string} text - The text
+   * @returns {Array<number>} - The normalised vector
+   */
+  embedText(text) {
+    const tokens = this.tokenize(text);
+    const counts = new Map();
+    const count = feature => counts.set(feature, (counts.get(feature) || 0) + 1);
+    for (let i = 0; i < tokens.length; i++) {
+      count(tokens[i]);
+      if (i > 0) count(`${tokens[i - 1]} ${tokens[i]}`);
+    }
+
+    const vector = new Array(this.dimension).fill(0);
+    for (const [feature, frequency] of counts) {
+      const hash = fnv1a(feature);
+      // The sign comes from the top bit so colliding features tend to cancel rather than add up
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimension] += sign * (1 + Math.log(frequency));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  /**
+   * Split text into lowercase word tokens, dropping markup and stopwords
+   * @param {string} text - The text
+   * @returns {Array<string>} - The tokens
+   */
+  tokenize(text) {
+    return tokenize(text);
+  }
+}
+
+/**
+ * Embedder calling an OpenAI-compatible /embeddings endpoint
+ */
+class OpenAICompatibleEmbedder {
+  /**
+   * @param {Object} config - Configuration
+   * @param {string} config.baseUrl - API URL (default https://api.openai.com/v1)
+   * @param {string} config.apiKey - API key; required for the OpenAI API
+   * @param {string} config.model - Embedding model (default text-embedding-3-small)
+   * @param {number} config.dimension - Vector size; learned from the first response when unknown
+   * @param {number} config.threshold - Default similarity threshold for searches
+   * @param {number} config.timeout - Request timeout in ms
+   * @param {number} config.batchSize - Most texts sent in one request (default 100)
+   * @param {number} config.maxBatchTokens - Most estimated tokens sent in one request (default 200000)
+   * @param {number} config.concurrency - Most requests in flight at once (default 4)
+   * @param {number} config.requestsPerMinute - Request rate limit; unlimited when unset
+   * @param {number} config.maxRetries - Retries of a rate-limited or failed request (default 4)
+   * @param {number} config.retryDelay - Delay before the first retry in ms when the server gives none, doubled on each retry
+   */
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.model = config.model || 'text-embedding-3-small';
+    this.requestedDimension = config.dimension || null;
+    this.dimension = config.dimension || KNOWN_DIMENSIONS[this.model] || null;
+    this.defaultThreshold = config.threshold !== undefined ? config.threshold : 0.7;
+    this.batchSize = config.batchSize || 100;
+    this.maxBatchTokens = config.maxBatchTokens || 200000;
+    this.concurrency = config.concurrency || 4;
+    this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : 4;
+    this.retryDelay = config.retryDelay !== undefined ? config.retryDelay : 1000;
+    this.rateLimiter = new RequestRateLimiter(config.requestsPerMinute);
+
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      timeout: config.timeout || 60000,
+      adapter: 'http',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      }
+    });
+  }
+
+  /**
+   * Embed texts in one request, retrying when rate limited
+   * @param {Array<string>} texts - The texts
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {Promise<Array<Array<number>>>} - One vector per text, in order
+   */
+  async embed(texts, options = {}) {
+    if (!this.apiKey && this.baseUrl.includes('api.openai.com')) {
+      throw new Error('apiKey is required for the openai embedding backend (set EMBEDDING_API_KEY or OPENAI_API_KEY)');
+    }
+
+    const body = {
+      model: this.model,
+      input: texts,
+      // Only the text-embedding-3 models can shorten their vectors
+      ...(this.requestedDimension && this.model.startsWith('text-embedding-3') ? { dimensions: this.requestedDimension } : {})
+    };
+
+    let response;
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.acquire(options.signal);
+      try {
+        response = await this.client.post('/embeddings', body, options.signal ? { signal: options.signal } : undefined);
+        break;
+      } catch (error) {
+        const status = error.response && error.response.status;
+        if (attempt >= this.maxRetries || !RETRYABLE_STATUSES.includes(status)) {
+          throw error;
+        }
+        const delay = this._retryDelay(error, attempt);
+        console.log(`[EMBEDDINGS] ${this.model} request failed with ${status}; retrying in ${delay}ms`);
+        // A rate limit applies to every request, not just this one
+        this.rateLimiter.pause(delay);
+      }
+    }
+
+    const embeddings = [...response.data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+    if (!this.dimension && embeddings.length > 0) {
+      this.dimension = embeddings[0].length;
+      debug(`Learned embedding dimension ${this.dimension} for ${this.model}`);
+    }
+    return embeddings;
+  }
+
+  /**
+   * How long to wait before retrying a request: the server's Retry-After when it
+   * gives one, otherwise an exponential backoff
+   * @param {Error} error - The failed request's error
+   * @param {number} attempt - The zero-based attempt that failed
+   * @returns {number} - The delay in ms
+   * @private
+   */
+  _retryDelay(error, attempt) {
+    const headers = (error.response && error.response.headers) || {};
+    const retryAfterMs = Number(headers['retry-after-ms']);
+    if (retryAfterMs > 0) {
+      return retryAfterMs;
+    }
+    const retryAfter = Number(headers['retry-after']);
+    if (retryAfter > 0) {
+      return retryAfter * 1000;
+    }
+    return this.retryDelay * Math.pow(2, attempt);
+  }
+}
+
+/**
+ * Split texts into the batches an embedder takes per request, by count and estimated tokens
+ * @param {Object} embedder - The embedder
+ * @param {Array<string>} texts - The texts
+ * @returns {Array<{start: number, texts: Array<string>}>} - The batches, with the index of their first text
+ */
+function splitIntoBatches(embedder, texts) {
+  const maxCount = embedder.batchSize || 1;
+  const maxChars = embedder.maxBatchTokens ? embedder.maxBatchTokens * CHARS_PER_TOKEN : Infinity;
+  const batches = [];
+  let current = null;
+  let chars = 0;
+
+  texts.forEach((text, index) => {
+    if (!current || current.texts.length >= maxCount || (current.texts.length > 0 && chars + text.length > maxChars)) {
+      current = { start: index, texts: [] };
+      batches.push(current);
+      chars = 0;
+    }
+    current.texts.push(text);
+    chars += text.length;
+  });
+
+  return batches;
+}
+
+/**
+ * Embed many texts, several per request and a bounded number of requests at a time
+ * @param {Object} embedder - The embedder
+ * @param {Array<string>} texts - The texts
+ * @param {Object} options - Options
+ * @param {Function} options.onBatch - Awaited with ({ start, texts, embeddings }) as each batch finishes, in any order
+ * @param {AbortSignal} options.signal - Stops sending batches and cancels those in flight
+ * @returns {Promise<Array<Array<number>>>} - One vector per text, in order
+ */
+async function embedInBatches(embedder, texts, options = {}) {
+  const batches = splitIntoBatches(embedder, texts);
+  const results = new Array(texts.length);
+  const workers = Math.min(embedder.concurrency || 1, batches.length);
+  let next = 0;
+  let failed = false;
+
+  const work = async () => {
+    while (next < batches.length && !failed) {
+      const batch = batches[next++];
+      if (options.signal) options.signal.throwIfAborted();
+      try {
+        const embeddings = await embedder.embed(batch.texts, { signal: options.signal });
+        embeddings.forEach((embedding, i) => {
+          results[batch.start + i] = embedding;
+        });
+        if (options.onBatch) {
+          await options.onBatch({ start: batch.start, texts: batch.texts, embeddings });
+        }
+      } catch (error) {
+        // Let the other workers finish the batch they are on, then stop
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  debug(`Embedding ${texts.length} texts in ${batches.length} batches, ${workers} at a time`);
+  const settled = await Promise.allSettled(Array.from({ length: workers }, work));
+  const rejected = settled.find(result => result.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
+  }
+  return results;
+}
+
+// Backend name to factory; more can be added with registerEmbeddingBackend
+const EMBEDDING_BACKENDS = {
+  hashing: config => new HashingEmbedder(config),
+  openai: config => new OpenAICompatibleEmbedder(config)
+};
+
+/**
+ * Register an embedding backend
+ * @param {string} name - The name EMBEDDING_BACKEND selects it by
+ * @param {Function} create - (config) => embedder with name, model, dimension, defaultThreshold and embed(texts)
+ */
+function registerEmbeddingBackend(name, create) {
+  EMBEDDING_BACKENDS[name.toLowerCase()] = create;
+}
+
+/**
+ * Read a number from an environment variable
+ * @param {string} value - The variable's value
+ * @returns {number|undefined} - The number, or undefined if unset or not a number
+ */
+function envNumber(value) {
+  return value !== undefined && value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : undefined;
+}
+
+/**
+ * Fill in an embedding config from the environment. Without EMBEDDING_BACKEND the
+ * OpenAI backend is used when it has a key or a custom endpoint, and the local
+ * hashing backend otherwise (and always in tests), so nothing needs a key to start.
+ * @param {Object} config - The config given
+ * @returns {Object} - The resolved config, with backend set
+ */
+function resolveEmbeddingConfig(config = {}) {
+  const baseUrl = config.baseUrl || process.env.EMBEDDING_BASE_URL;
+  // The OpenAI key is only sent to OpenAI, not to a custom endpoint
+  const apiKey = config.apiKey || process.env.EMBEDDING_API_KEY || (baseUrl ? undefined : process.env.OPENAI_API_KEY);
+
+  let backend = config.backend || process.env.EMBEDDING_BACKEND;
+  if (!backend) {
+    backend = process.env.NODE_ENV !== 'test' && (apiKey || baseUrl) ? 'openai' : 'hashing';
+  }
+
+  return {
+    ...config,
+    backend: backend.toLowerCase(),
+    baseUrl,
+    apiKey,
+    model: config.model || process.env.EMBEDDING_MODEL,
+    dimension: config.dimension || envNumber(process.env.EMBEDDING_DIMENSION),
+    threshold: config.threshold !== undefined ? config.threshold : envNumber(process.env.EMBEDDING_THRESHOLD),
+    batchSize: config.batchSize || envNumber(process.env.EMBEDDING_BATCH_SIZE),
+    concurrency: config.concurrency || envNumber(process.env.EMBEDDING_CONCURRENCY),
+    requestsPerMinute: config.requestsPerMinute || envNumber(process.env.EMBEDDING_REQUESTS_PER_MINUTE)
+  };
+}
+
+/**
+ * Create the configured embedding backend
+ * @param {Object} config - Overrides for the environment config (backend, model, dimension, ...)
+ * @returns {Object} - The embedder
+ */
+function createEmbeddingBackend(config = {}) {
+  const resolved = resolveEmbeddingConfig(config);
+  const create = EMBEDDING_BACKENDS[resolved.backend];
+  if (!create) {
+    throw new Error(`Unknown embedding backend: ${resolved.backend}. Available: ${Object.keys(EMBEDDING_BACKENDS).join(', ')}`);
+  }
+
+  const embedder = create(resolved);
+  console.log(`[EMBEDDINGS] Using ${embedder.name} backend with model ${embedder.model}`);
+  return embedder;
+}
+
+module.exports = {
+  HashingEmbedder,
+  OpenAICompatibleEmbedder,
+  RequestRateLimiter,
+  createEmbeddingBackend,
+  embedInBatches,
+  registerEmbeddingBackend,
+  resolveEmbeddingConfig,
+  tokenize
+};
@@ -0,0 +1,152 @@
+/**
+ * Search Filters
+ * Metadata filters for vector store searches. A filter is an object whose
+ * fields must all match; a field given as an array matches any of its values:
+ *
+ *   { dateFrom: '2024-01-01', dateTo: '2024-12-31', status: ['passed', 'treasury'], type: 'forum', sipNumber: 382 }
+ *
+ * Dates are compared by day (YYYY-MM-DD). `status` matches any of a document's
+ * tags, which the scraper stores comma separated, ignoring case.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The fields a filter can have
+const FILTER_FIELDS = ['dateFrom', 'dateTo', 'status', 'type', 'sipNumber'];
+
+/**
+ * Split a stored status into its tags
+ * @param {string} status - The stored status, e.g. "passed, treasury"
+ * @returns {Array<string>} - The individual tags, lower case
+ */
+function splitStatus(status) {
+  return String(status || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Find the SIP number in a title
+ * @param {string} title - The title, e.g. "SIP-382: Renew the grants committee"
+ * @returns {number|null} - The SIP number, if any
+ */
+function sipNumberOf(title) {
+  const match = String(title || '').match(/SIP[-\s]*(\d+)/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Build an error for an invalid filter
+ * @param {string} message - What is wrong
+ * @returns {Error} - The error, with code INVALID_FILTER
+ */
+function invalidFilter(message) {
+  const error = new Error(`Invalid search filter: ${message}`);
+  error.code = 'INVALID_FILTER';
+  return error;
+}
+
+/**
+ * Read a field that takes one value or a list of them
+ * @param {*} value - The field's value
+ * @returns {Array<*>} - The values
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check a filter and put it in the form matchesFilter takes
+ * @param {Object} filter - The filter as given
+ * @returns {Object|null} - The normalised filter, or null if it filters nothing
+ * @throws {Error} - With code INVALID_FILTER if a field is unknown or has a bad value
+ */
+function normalizeFilter(filter) {
+  if (filter === undefined || filter === null) {
+    return null;
+  }
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw invalidFilter('must be an object');
+  }
+
+  const normalized = {};
+  for (const [field, value] of Object.entries(filter)) {
+    if (!FILTER_FIELDS.includes(field)) {
+      throw invalidFilter(`unknown field ${field}. Available: ${FILTER_FIELDS.join(', ')}`);
+    }
+    // Empty form fields leave the filter off
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      continue;
+    }
+
+    if (field === 'dateFrom' || field === 'dateTo') {
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        throw invalidFilter(`${field} must be a date (YYYY-MM-DD)`);
+      }
+      normalized[field] = value;
+    } else if (field === 'sipNumber') {
+      const numbers = toList(value).map(number => Number(String(number).replace(/^SIP[-\s]*/i, '')));
+      if (numbers.some(number => !Number.isInteger(number) || number < 0)) {
+        throw invalidFilter('sipNumber must be a SIP number or a list of them');
+      }
+      normalized.sipNumber = numbers;
+    } else {
+      const values = toList(value);
+      if (values.some(item => typeof item !== 'string')) {
+        throw invalidFilter(`${field} must be a string or a list of strings`);
+      }
+      const items = values.map(item => item.trim().toLowerCase()).filter(Boolean);
+      if (items.length > 0) {
+        normalized[field] = items;
+      }
+    }
+  }
+
+  if (normalized.dateFrom && normalized.dateTo && normalized.dateFrom > normalized.dateTo) {
+    throw invalidFilter('dateFrom is after dateTo');
+  }
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Check a document's metadata against a normalised filter
+ * @param {Object} metadata - The document's metadata ({ date, status, type, sipNumber, title })
+ * @param {Object} filter - A filter from normalizeFilter
+ * @returns {boolean} - Whether the document matches
+ */
+function matchesFilter(metadata, filter) {
+  if (!filter) {
+    return true;
+  }
+
+  const day = metadata.date ? String(metadata.date).substring(0, 10) : null;
+  if (filter.dateFrom && (!day || day < filter.dateFrom)) {
+    return false;
+  }
+  if (filter.dateTo && (!day || day > filter.dateTo)) {
+    return false;
+  }
+  if (filter.status) {
+    const tags = splitStatus(metadata.status);
+    if (!filter.status.some(status => tags.includes(status))) {
+      return false;
+    }
+  }
+  if (filter.type && !filter.type.includes(String(metadata.type || '').toLowerCase())) {
+    return false;
+  }
+  if (filter.sipNumber) {
+    // Documents indexed before the SIP number was stored still have it in their title
+    const sipNumber = metadata.sipNumber !== undefined ? metadata.sipNumber : sipNumberOf(metadata.title);
+    if (!filter.sipNumber.includes(sipNumber)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  matchesFilter,
+  normalizeFilter,
+  sipNumberOf,
+  splitStatus
+};
@@ -0,0 +1,346 @@
+/**
+ * Vector Segment Store
+ * Append-only on-disk format for the vector store. Embeddings go to a binary
+ * segment of Float32 records and their metadata to a JSONL log, so adding a
+ * document writes only that document. Deletions are logged and the space they
+ * leave is reclaimed by compaction, which rewrites the live records into a new
+ * generation of files and switches to it with an atomic manifest rename.
+ *
+ * A crash mid-write loses at most the record being written: a vector is synced
+ * before the log line that commits it, and on load a torn log line or partial
+ * vector record is cut off and anything after the last committed record ignored.
+ *
+ * Layout of the store directory:
+ *   manifest.json          { version, generation, embedding: { backend, model, dimension } }
+ *   vectors-<gen>.f32      one record of `dimension` floats per vector, in platform byte order
+ *   metadata-<gen>.jsonl   { op: 'add', id, offset, metadata } and { op: 'delete', ids } entries
+ */
+
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('chatbot:segments');
+
+const FORMAT_VERSION = 1;
+const BYTES_PER_FLOAT = Float32Array.BYTES_PER_ELEMENT;
+
+// Compact once this many records are dead (deleted or orphaned) and they make up this share of the segment
+const MIN_COMPACT_RECORDS = 50;
+const COMPACT_RATIO = 0.3;
+
+// Open stores by directory, so every VectorService using a directory appends through the same instance
+const openStores = new Map();
+
+class VectorSegmentStore {
+  /**
+   * @param {string} dir - Directory the store's files live in
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.manifest = { version: FORMAT_VERSION, generation: 0, embedding: null };
+    this.loaded = false;
+    this.exists = false;
+    // Records in the current vector segment, including dead ones; the next vector's offset
+    this.recordCount = 0;
+    this.liveCount = 0;
+    // Writes run one at a time so offsets and log lines stay in step
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Get the shared store for a directory
+   * @param {string} dir - The store directory
+   * @returns {VectorSegmentStore} - The store
+   */
+  static open(dir) {
+    const resolved = path.resolve(dir);
+    if (!openStores.has(resolved)) {
+      openStores.set(resolved, new VectorSegmentStore(resolved));
+    }
+    return openStores.get(resolved);
+  }
+
+  /**
+   * Load the live records, repairing a torn tail left by a crash
+   * @returns {Promise<{entries: Array<{id: string, embedding: Float32Array, metadata: Object}>, embedding: Object|null}>} -
+   *   The records in the order they were added, and the embedding model they were made with
+   */
+  load() {
+    return this._enqueue(() => this._load());
+  }
+
+  /**
+   * Append records, committing each vector with its log line
+   * @param {Array<{id: string, embedding: Array<number>, metadata: Object}>} entries - The records
+   * @param {Object} embedding - The { backend, model, dimension } the store holds; recorded when it changes
+   * @returns {Promise<void>}
+   */
+  append(entries, embedding) {
+    return this._enqueue(async () => {
+      if (entries.length === 0) {
+        return;
+      }
+      if (!this.manifest.embedding || this.manifest.embedding.model !== embedding.model ||
+          this.manifest.embedding.dimension !== embedding.dimension) {
+        if (this.recordCount > 0) {
+          throw new Error(`Cannot append ${embedding.model} vectors to a segment of ${this.manifest.embedding.model} vectors`);
+        }
+        this.manifest.embedding = embedding;
+        await this._writeManifest();
+      }
+
+      const dimension = embedding.dimension;
+      const vectors = Buffer.alloc(entries.length * dimension * BYTES_PER_FLOAT);
+      const lines = entries.map((entry, index) => {
+        if (entry.embedding.length !== dimension) {
+          throw new Error(`Expected a ${dimension}-dimension vector for ${entry.id}, got ${entry.embedding.length}`);
+        }
+        const floats = Float32Array.from(entry.embedding);
+        Buffer.from(floats.buffer).copy(vectors, index * dimension * BYTES_PER_FLOAT);
+        return JSON.stringify({ op: 'add', id: entry.id, offset: this.recordCount + index, metadata: entry.metadata });
+      });
+
+      // The vectors must be on disk before the log lines that point at them
+      await this._appendFile(this._vectorPath(), vectors, true);
+      await this._appendFile(this._metadataPath(), lines.map(line => line + '\n').join(''), false);
+      this.recordCount += entries.length;
+      this.liveCount += entries.length;
+    });
+  }
+
+  /**
+   * Log the removal of records
+   * @param {Array<string>} ids - IDs of the records to remove
+   * @param {number} liveCount - Live records left afterwards, which decides whether to compact
+   * @returns {Promise<void>}
+   */
+  remove(ids, liveCount) {
+    return this._enqueue(async () => {
+      if (ids.length === 0) {
+        return;
+      }
+      await this._appendFile(this._metadataPath(), JSON.stringify({ op: 'delete', ids }) + '\n', false);
+      this.liveCount = liveCount;
+    });
+  }
+
+  /**
+   * Check whether enough of the segment is dead to be worth compacting
+   * @returns {boolean} - Whether compact() would reclaim a useful amount of space
+   */
+  needsCompaction() {
+    const dead = this.recordCount - this.liveCount;
+    return dead >= MIN_COMPACT_RECORDS && dead / this.recordCount >= COMPACT_RATIO;
+  }
+
+  /**
+   * Rewrite the live records into a new generation and switch to it
+   * @param {Array<{id: string, embedding: Array<number>, metadata: Object}>} entries - The live records
+   * @param {Object|null} embedding - The { backend, model, dimension } they were made with; null when empty
+   * @returns {Promise<void>}
+   */
+  compact(entries, embedding) {
+    return this._enqueue(async () => {
+      const previous = this.manifest.generation;
+      const manifest = { version: FORMAT_VERSION, generation: previous + 1, embedding: entries.length > 0 ? embedding : null };
+      const dimension = manifest.embedding ? manifest.embedding.dimension : 0;
+
+      const vectors = Buffer.alloc(entries.length * dimension * BYTES_PER_FLOAT);
+      const lines = entries.map((entry, offset) => {
+        Buffer.from(Float32Array.from(entry.embedding).buffer).copy(vectors, offset * dimension * BYTES_PER_FLOAT);
+        return JSON.stringify({ op: 'add', id: entry.id, offset, metadata: entry.metadata }) + '\n';
+      });
+
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await this._writeFileSynced(this._vectorPath(manifest.generation), vectors);
+      await this._writeFileSynced(this._metadataPath(manifest.generation), lines.join(''));
+
+      // The switch to the new generation is the manifest rename; until then the old files are current
+      this.manifest = manifest;
+      await this._writeManifest();
+      this.recordCount = entries.length;
+      this.liveCount = entries.length;
+      this.exists = true;
+
+      await this._removeGeneration(previous);
+      console.log(`[VectorStore] Compacted vector store to ${entries.length} records (generation ${manifest.generation})`);
+    });
+  }
+
+  /**
+   * Run a store operation after the ones already queued
+   * @param {Function} operation - Async function doing the work
+   * @returns {Promise<any>} - Its result
+   * @private
+   */
+  _enqueue(operation) {
+    const result = this.queue.then(operation);
+    // A failed write must not block the ones after it
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read the manifest and the current generation's files
+   * @returns {Promise<Object>} - The live entries and embedding record
+   * @private
+   */
+  async _load() {
+    this.loaded = true;
+    try {
+      this.manifest = JSON.parse(await fs.promises.readFile(this._manifestPath(), 'utf8'));
+      this.exists = true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.exists = false;
+      this.recordCount = 0;
+      this.liveCount = 0;
+      return { entries: [], embedding: null };
+    }
+
+    const dimension = this.manifest.embedding ? this.manifest.embedding.dimension : 0;
+    const recordBytes = dimension * BYTES_PER_FLOAT;
+    const vectorBuffer = await this._readOrEmpty(this._vectorPath());
+    const metadataBuffer = await this._readOrEmpty(this._metadataPath());
+
+    // A partial record at the end of the segment is a vector whose write was cut short
+    this.recordCount = recordBytes > 0 ? Math.floor(vectorBuffer.length / recordBytes) : 0;
+    if (recordBytes > 0 && vectorBuffer.length % recordBytes !== 0) {
+      console.warn(`[VectorStore] Cutting a partial vector record off ${this._vectorPath()}`);
+      await fs.promises.truncate(this._vectorPath(), this.recordCount * recordBytes);
+    }
+
+    // Likewise a log line without its newline was never committed
+    const committedLength = metadataBuffer.lastIndexOf('\n') + 1;
+    if (committedLength < metadataBuffer.length) {
+      console.warn(`[VectorStore] Cutting a partial log line off ${this._metadataPath()}`);
+      await fs.promises.truncate(this._metadataPath(), committedLength);
+    }
+
+    // One copy into an aligned buffer; each record is then a view on it
+    const floats = new Float32Array(
+      vectorBuffer.buffer.slice(vectorBuffer.byteOffset, vectorBuffer.byteOffset + this.recordCount * recordBytes)
+    );
+
+    let entries = [];
+    let skipped = 0;
+    for (const line of metadataBuffer.toString('utf8', 0, committedLength).split('\n')) {
+      if (!line) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        skipped++;
+        continue;
+      }
+      if (record.op === 'add') {
+        if (record.offset >= this.recordCount) {
+          // Logged but its vector never reached the disk
+          skipped++;
+          continue;
+        }
+        entries.push({
+          id: record.id,
+          embedding: floats.subarray(record.offset * dimension, (record.offset + 1) * dimension),
+          metadata: record.metadata
+        });
+      } else if (record.op === 'delete') {
+        const removed = new Set(record.ids);
+        entries = entries.filter(entry => !removed.has(entry.id));
+      }
+    }
+    if (skipped > 0) {
+      console.warn(`[VectorStore] Skipped ${skipped} unreadable or incomplete records in ${this._metadataPath()}`);
+    }
+
+    this.liveCount = entries.length;
+    debug(`Loaded ${entries.length} of ${this.recordCount} records from generation ${this.manifest.generation}`);
+    return { entries, embedding: this.manifest.embedding };
+  }
+
+  /**
+   * Append to a file, optionally syncing it to disk before returning
+   * @private
+   */
+  async _appendFile(filePath, data, sync) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    if (!this.exists) {
+      await this._writeManifest();
+    }
+    const handle = await fs.promises.open(filePath, 'a');
+    try {
+      await handle.write(data);
+      if (sync) {
+        await handle.datasync();
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Write a file and sync it, so it is complete on disk before anything refers to it
+   * @private
+   */
+  async _writeFileSynced(filePath, data) {
+    const handle = await fs.promises.open(filePath, 'w');
+    try {
+      await handle.write(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Replace the manifest atomically
+   * @private
+   */
+  async _writeManifest() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const tempPath = `${this._manifestPath()}.tmp`;
+    await this._writeFileSynced(tempPath, JSON.stringify(this.manifest, null, 2));
+    await fs.promises.rename(tempPath, this._manifestPath());
+    this.exists = true;
+  }
+
+  /**
+   * Delete a superseded generation's files
+   * @private
+   */
+  async _removeGeneration(generation) {
+    for (const filePath of [this._vectorPath(generation), this._metadataPath(generation)]) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+
+  /**
+   * Read a file, treating a missing one as empty
+   * @private
+   */
+  async _readOrEmpty(filePath) {
+    try {
+      return await fs.promises.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return Buffer.alloc(0);
+      }
+      throw error;
+    }
+  }
+
+  _manifestPath() {
+    return path.join(this.dir, 'manifest.json');
+  }
+
+  _vectorPath(generation = this.manifest.generation) {
+    return path.join(this.dir, `vectors-${generation}.f32`);
+  }
+
+  _metadataPath(generation = this.manifest.generation) {
+    return path.join(this.dir, `metadata-${generation}.jsonl`);
+  }
+}
+
+module.exports = { VectorSegmentStore };
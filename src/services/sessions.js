@@ -0,0 +1,231 @@
+/**
+ * Session Service
+ * Persists chat conversations so they survive restarts and can be listed,
+ * renamed, searched and resumed
+ */
+
+const debug = require('debug')('chatbot:sessions');
+const { storage: defaultStorage } = require('./storage');
+
+const STORAGE_PREFIX = 'chat_session_';
+
+// Length of generated titles and search snippets
+const MAX_TITLE_LENGTH = 60;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Session service for storing chat conversations
+ */
+class SessionService {
+  /**
+   * @param {Object} storage - Storage used to persist sessions (defaults to the shared storage)
+   */
+  constructor(storage = defaultStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Load a chat session
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<Object|null>} - The session, or null if it doesn't exist
+   */
+  async getSession(sessionId) {
+    const data = await this.storage.getItem(this._storageKey(sessionId));
+    if (!data) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      console.error(`[Sessions] Error parsing session ${sessionId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a chat session
+   * @param {Object} session - The session to save
+   * @returns {Promise<boolean>} - Whether the operation was successful
+   */
+  async saveSession(session) {
+    session.updatedAt = new Date().toISOString();
+    return this.storage.setItem(this._storageKey(session.id), JSON.stringify(session));
+  }
+
+  /**
+   * Append messages to a session, creating it if it doesn't exist yet.
+   * The first user message becomes the title until the session is renamed.
+   * @param {string} sessionId - The session ID
+   * @param {Array<Object>} messages - Messages to append ({ role, content, ... })
+   * @returns {Promise<Object>} - The updated session
+   */
+  async appendMessages(sessionId, messages) {
+    let session = await this.getSession(sessionId);
+
+    if (!session) {
+      const now = new Date().toISOString();
+      session = {
+        id: sessionId,
+        title: null,
+        messages: [],
+        createdAt: now,
+        updatedAt: now
+      };
+      debug(`Created chat session ${sessionId}`);
+    }
+
+    session.messages.push(...messages);
+
+    if (!session.title) {
+      const firstUserMessage = session.messages.find(m => m.role === 'user');
+      session.title = firstUserMessage ? this._createTitle(firstUserMessage.content) : null;
+    }
+
+    await this.saveSession(session);
+    return session;
+  }
+
+  /**
+   * List all chat sessions, most recently updated first
+   * @returns {Promise<Array<Object>>} - Session summaries
+   */
+  async listSessions() {
+    const sessions = await this._loadAllSessions();
+    return sessions.map(session => this._summarize(session));
+  }
+
+  /**
+   * Find sessions whose title or messages contain the query (case-insensitive)
+   * @param {string} query - The text to search for
+   * @returns {Promise<Array<Object>>} - Summaries of matching sessions with a snippet around the first match
+   */
+  async searchSessions(query) {
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) {
+      return this.listSessions();
+    }
+
+    const sessions = await this._loadAllSessions();
+    const results = [];
+
+    for (const session of sessions) {
+      const title = session.title || '';
+      const match = session.messages.find(m =>
+        typeof m.content === 'string' && m.content.toLowerCase().includes(needle)
+      );
+
+      if (match) {
+        results.push({ ...this._summarize(session), snippet: this._createSnippet(match.content, needle) });
+      } else if (title.toLowerCase().includes(needle)) {
+        results.push({ ...this._summarize(session), snippet: null });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Rename a chat session
+   * @param {string} sessionId - The session ID
+   * @param {string} title - The new title
+   * @returns {Promise<Object|null>} - The updated session, or null if it doesn't exist
+   */
+  async renameSession(sessionId, title) {
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    session.title = title.trim();
+    await this.saveSession(session);
+    return session;
+  }
+
+  /**
+   * Delete a chat session
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<boolean>} - Whether the operation was successful
+   */
+  async deleteSession(sessionId) {
+    return this.storage.removeItem(this._storageKey(sessionId));
+  }
+
+  /**
+   * Load every stored session, most recently updated first
+   * @returns {Promise<Array<Object>>} - The sessions
+   * @private
+   */
+  async _loadAllSessions() {
+    const keys = await this.storage.keys();
+    const sessions = [];
+
+    for (const key of keys.filter(k => k.startsWith(STORAGE_PREFIX))) {
+      const session = await this.getSession(key.substring(STORAGE_PREFIX.length));
+      if (session) {
+        sessions.push(session);
+      }
+    }
+
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Summarize a session for listings
+   * @param {Object} session - The session
+   * @returns {Object} - The session without its messages
+   * @private
+   */
+  _summarize(session) {
+    return {
+      id: session.id,
+      title: session.title || 'Untitled conversation',
+      messageCount: session.messages.length,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+  }
+
+  /**
+   * Create a title from the first user message
+   * @param {string} content - The message content
+   * @returns {string} - The title
+   * @private
+   */
+  _createTitle(content) {
+    const text = String(content).replace(/\s+/g, ' ').trim();
+    return text.length > MAX_TITLE_LENGTH ? text.substring(0, MAX_TITLE_LENGTH).trim() + '...' : text;
+  }
+
+  /**
+   * Extract the text around the first occurrence of a search term
+   * @param {string} content - The message content
+   * @param {string} needle - The lowercased search term
+   * @returns {string} - The snippet
+   * @private
+   */
+  _createSnippet(content, needle) {
+    const text = content.replace(/\s+/g, ' ');
+    const index = text.toLowerCase().indexOf(needle);
+    const start = Math.max(0, index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, index + needle.length + SNIPPET_RADIUS);
+
+    return `${start > 0 ? '...' : ''}${text.substring(start, end).trim()}${end < text.length ? '...' : ''}`;
+  }
+
+  /**
+   * Get the storage key for a session
+   * @param {string} sessionId - The session ID
+   * @returns {string} - The storage key
+   * @private
+   */
+  _storageKey(sessionId) {
+    // Session IDs come from the client; reject anything that could escape the data directory
+    if (typeof sessionId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(sessionId)) {
+      throw new Error(`Invalid chat session ID: ${sessionId}`);
+    }
+    return `${STORAGE_PREFIX}${sessionId}`;
+  }
+}
+
+module.exports = { SessionService };
@@ -0,0 +1,254 @@
+/**
+ * Tool Service
+ * Tools the chat model can call to look up SIPs itself: semantic search over
+ * the vector store and lookups in the loaded forum data
+ */
+
+const debug = require('debug')('chatbot:tools');
+const { validateSchema } = require('../utils/schema');
+const { matchesFilter, normalizeFilter, sipNumberOf, splitStatus } = require('./filters');
+
+// Results a search returns unless the model asks for fewer
+const DEFAULT_SEARCH_LIMIT = 5;
+const MAX_SEARCH_LIMIT = 10;
+
+// Longest text returned per search result and per SIP
+const MAX_EXCERPT_CHARS = 800;
+const MAX_SIP_CHARS = 6000;
+
+// Most SIPs one status listing returns
+const MAX_LISTED_SIPS = 25;
+
+/**
+ * Tool service backing the chat model's tool calls
+ */
+class ToolService {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.vectorService - Vector store searched by search_sips
+   * @param {Function} options.getSipData - Returns the loaded forum posts ({ id, t, d, c, url, status })
+   * @param {number} options.searchThreshold - Similarity threshold for search_sips; defaults to the embedding backend's
+   */
+  constructor(options = {}) {
+    this.vectorService = options.vectorService || null;
+    this.getSipData = options.getSipData || (() => []);
+    this.searchThreshold = options.searchThreshold || null;
+
+    this.handlers = {
+      search_sips: (args, context) => this.searchSips(args, context),
+      get_sip: args => this.getSip(args),
+      list_sips_by_status: args => this.listSipsByStatus(args)
+    };
+  }
+
+  /**
+   * Get the tool definitions offered to the model
+   * @returns {Array<{name: string, description: string, parameters: Object}>} - The tools
+   */
+  getDefinitions() {
+    const statuses = this.getStatuses();
+    const statusHint = statuses.length > 0 ? ` Known statuses: ${statuses.join(', ')}.` : '';
+
+    return [
+      {
+        name: 'search_sips',
+        description: 'Search the governance forum for SIP discussion relevant to a query. ' +
+          'Each result has a marker; cite results you rely on inline with it, e.g. [3].',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', minLength: 1, description: 'What to search for' },
+            filters: {
+              type: 'object',
+              description: 'Optional filters on the SIPs searched',
+              properties: {
+                status: { type: 'string', description: `Only SIPs with this status.${statusHint}` },
+                dateFrom: { type: 'string', description: 'Only SIPs posted on or after this date (YYYY-MM-DD)' },
+                dateTo: { type: 'string', description: 'Only SIPs posted on or before this date (YYYY-MM-DD)' }
+              }
+            },
+            limit: { type: 'integer', description: `Most results to return (1-${MAX_SEARCH_LIMIT})` }
+          },
+          required: ['query']
+        }
+      },
+      {
+        name: 'get_sip',
+        description: 'Get the full text of one SIP by its forum topic ID or SIP number (e.g. "SIP-20").',
+        parameters: {
+          type: 'object',
+          properties: {
+            id: { type: ['string', 'integer'], description: 'Forum topic ID or SIP number' }
+          },
+          required: ['id']
+        }
+      },
+      {
+        name: 'list_sips_by_status',
+        description: `List the SIPs with a status.${statusHint}`,
+        parameters: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', minLength: 1, description: 'The status' }
+          },
+          required: ['status']
+        }
+      }
+    ];
+  }
+
+  /**
+   * Run a tool call
+   * @param {string} name - The tool name
+   * @param {Object} args - The arguments the model passed
+   * @param {Object} context - Call context
+   * @param {Function} context.addSource - Registers a search result as a citable source and returns its marker
+   * @returns {Promise<Object>} - The result, or { error } for the model to read if the call failed
+   */
+  async execute(name, args = {}, context = {}) {
+    const handler = this.handlers[name];
+    if (!handler) {
+      return { error: `Unknown tool: ${name}` };
+    }
+
+    const definition = this.getDefinitions().find(tool => tool.name === name);
+    const errors = validateSchema(args, definition.parameters);
+    if (errors.length > 0) {
+      return { error: `Invalid arguments: ${errors.join('; ')}` };
+    }
+
+    try {
+      debug(`Running ${name} with`, args);
+      return await handler(args, context);
+    } catch (error) {
+      console.error(`[TOOLS] Error running ${name}:`, error);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Search the vector store, scoring only the SIPs that match the filters
+   * @param {Object} args - { query, filters: { status, dateFrom, dateTo }, limit }
+   * @param {Object} context - { addSource }
+   * @returns {Promise<Object>} - { results }
+   */
+  async searchSips({ query, filters = {}, limit }, context = {}) {
+    if (!this.vectorService || this.vectorService.getVectorCount() === 0) {
+      return { results: [], message: 'The forum has not been indexed yet' };
+    }
+
+    const results = await this.vectorService.search(query, {
+      limit: Math.min(Math.max(limit || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT),
+      threshold: this.searchThreshold,
+      filter: { status: filters.status, dateFrom: filters.dateFrom, dateTo: filters.dateTo }
+    });
+
+    const sipsById = new Map(this.getSipData().map(post => [String(post.id), post]));
+    return {
+      results: results.map(result => {
+        const sip = sipsById.get(String(result.metadata.id));
+        return {
+          marker: context.addSource ? context.addSource(result) : undefined,
+          id: result.metadata.id,
+          title: result.metadata.title,
+          date: result.metadata.date,
+          status: (sip && sip.status) || result.metadata.status || null,
+          url: result.metadata.url,
+          score: Number(result.score.toFixed(3)),
+          excerpt: this._truncate(result.text, MAX_EXCERPT_CHARS)
+        };
+      })
+    };
+  }
+
+  /**
+   * Look up one SIP in the loaded forum data
+   * @param {Object} args - { id } as a topic ID or SIP number
+   * @returns {Object} - { sip } or { error }
+   */
+  getSip({ id }) {
+    const sipData = this.getSipData();
+    const wanted = String(id).trim();
+    const sipNumber = (wanted.match(/^(?:SIP[-\s]*)?(\d+)$/i) || [])[1];
+
+    const sip = sipData.find(post => String(post.id) === wanted) ||
+      (sipNumber && sipData.find(post => sipNumberOf(post.t || post.title) === Number(sipNumber)));
+
+    if (!sip) {
+      return { error: `No SIP found with ID or number ${wanted}` };
+    }
+
+    return {
+      sip: {
+        ...this._summarize(sip),
+        content: this._truncate(this._toText(sip.c || sip.content), MAX_SIP_CHARS)
+      }
+    };
+  }
+
+  /**
+   * List the SIPs with a status, newest first
+   * @param {Object} args - { status }
+   * @returns {Object} - { status, total, sips }
+   */
+  listSipsByStatus({ status }) {
+    const filter = normalizeFilter({ status });
+    const sips = this.getSipData()
+      .filter(post => matchesFilter({ status: post.status }, filter))
+      .sort((a, b) => String(b.d || b.date || '').localeCompare(String(a.d || a.date || '')));
+
+    return {
+      status,
+      total: sips.length,
+      sips: sips.slice(0, MAX_LISTED_SIPS).map(post => this._summarize(post))
+    };
+  }
+
+  /**
+   * Get every status used in the loaded forum data
+   * @returns {Array<string>} - The statuses, sorted
+   */
+  getStatuses() {
+    const statuses = new Set();
+    for (const post of this.getSipData()) {
+      splitStatus(post.status).forEach(status => statuses.add(status));
+    }
+    return [...statuses].sort();
+  }
+
+  /**
+   * @param {Object} post - A forum post
+   * @returns {Object} - Its ID, title, date, status and URL
+   * @private
+   */
+  _summarize(post) {
+    return {
+      id: post.id,
+      title: post.t || post.title,
+      date: post.d || post.date,
+      status: post.status || null,
+      url: post.url
+    };
+  }
+
+  /**
+   * @param {string} html - Post HTML
+   * @returns {string} - The plain text
+   * @private
+   */
+  _toText(html) {
+    return String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * @param {string} text - The text
+   * @param {number} maxChars - Longest length kept
+   * @returns {string} - The text, cut with an ellipsis if it was longer
+   * @private
+   */
+  _truncate(text, maxChars) {
+    return text.length > maxChars ? text.substring(0, maxChars) + '...' : text;
+  }
+}
+
+module.exports = { ToolService };
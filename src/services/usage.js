@@ -0,0 +1,226 @@
+/**
+ * Usage Service
+ * Accounts for the tokens each LLM call uses and what it costs, totalled per
+ * session, per agent, per model and per day
+ */
+
+const fs = require('fs');
+const debug = require('debug')('chatbot:usage');
+const { storage: defaultStorage } = require('./storage');
+
+const STORAGE_KEY = 'usage';
+
+// USD per million tokens by model name prefix; the longest matching prefix wins
+const DEFAULT_PRICES = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'o1': { input: 15, output: 60 },
+  'o1-mini': { input: 1.1, output: 4.4 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 }
+};
+
+/**
+ * Load price overrides from the JSON file named by LLM_PRICE_TABLE
+ * @returns {Object} - Prices by model prefix, empty if none are configured
+ */
+function loadConfiguredPrices() {
+  const filePath = process.env.LLM_PRICE_TABLE;
+  if (!filePath) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`[Usage] Error loading price table ${filePath}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Usage service for token and cost accounting
+ */
+class UsageService {
+  /**
+   * @param {Object} storage - Storage used to persist the totals (defaults to the shared storage)
+   * @param {Object} options - Options
+   * @param {Object} options.prices - USD per million tokens by model prefix, merged over the defaults
+   */
+  constructor(storage = defaultStorage, options = {}) {
+    this.storage = storage;
+    this.prices = { ...DEFAULT_PRICES, ...loadConfiguredPrices(), ...(options.prices || {}) };
+    this.usage = null;
+
+    // Writes are chained so concurrent calls can't overwrite each other's totals
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Record the tokens used by one LLM call
+   * @param {Object} entry - The call
+   * @param {string} entry.provider - The provider that answered
+   * @param {string} entry.model - The model used
+   * @param {number} entry.inputTokens - Prompt tokens
+   * @param {number} entry.outputTokens - Completion tokens
+   * @param {string} entry.sessionId - The chat or workflow session, if any
+   * @param {string} entry.agent - What made the call ('chat', 'retrieval', 'compression', ...)
+   * @returns {Promise<Object|null>} - The recorded entry with its cost, or null if recording failed
+   */
+  record(entry) {
+    const task = this.pending.then(async () => {
+      const usage = await this._load();
+      const record = {
+        provider: entry.provider || 'unknown',
+        model: entry.model || 'unknown',
+        inputTokens: entry.inputTokens || 0,
+        outputTokens: entry.outputTokens || 0,
+        cost: this.getCost(entry.model, entry.inputTokens, entry.outputTokens),
+        timestamp: new Date().toISOString()
+      };
+
+      this._add(usage.totals, record);
+      this._add(this._bucket(usage.byDay, record.timestamp.substring(0, 10)), record);
+      this._add(this._bucket(usage.byAgent, entry.agent || 'other'), record);
+      this._add(this._bucket(usage.byModel, record.model), record);
+      if (entry.sessionId) {
+        this._add(this._bucket(usage.bySession, entry.sessionId), record);
+      }
+
+      await this.storage.setItem(STORAGE_KEY, JSON.stringify(usage));
+      debug(`Recorded ${record.inputTokens}+${record.outputTokens} tokens for ${record.model} ($${record.cost.toFixed(6)})`);
+      return record;
+    }).catch(error => {
+      console.error('[Usage] Error recording usage:', error);
+      return null;
+    });
+
+    this.pending = task;
+    return task;
+  }
+
+  /**
+   * Get the usage totals
+   * @returns {Promise<Object>} - Totals overall and per day, session, agent and model, plus the price table
+   */
+  async getUsage() {
+    await this.pending;
+    const usage = await this._load();
+
+    const toList = (buckets, keyName) => Object.entries(buckets)
+      .map(([key, totals]) => ({ [keyName]: key, ...totals }));
+
+    return {
+      totals: usage.totals,
+      byDay: toList(usage.byDay, 'day').sort((a, b) => b.day.localeCompare(a.day)),
+      bySession: toList(usage.bySession, 'sessionId').sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt)),
+      byAgent: toList(usage.byAgent, 'agent').sort((a, b) => b.cost - a.cost),
+      byModel: toList(usage.byModel, 'model').sort((a, b) => b.cost - a.cost),
+      prices: this.prices
+    };
+  }
+
+  /**
+   * Get the price of a model
+   * @param {string} model - The model name
+   * @returns {{input: number, output: number}|null} - USD per million tokens, or null if the model isn't priced
+   */
+  getPrice(model) {
+    if (!model) return null;
+
+    const prefix = Object.keys(this.prices)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * Calculate the cost of a call
+   * @param {string} model - The model name
+   * @param {number} inputTokens - Prompt tokens
+   * @param {number} outputTokens - Completion tokens
+   * @returns {number} - The cost in USD (0 for unpriced models such as local ones)
+   */
+  getCost(model, inputTokens = 0, outputTokens = 0) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return 0;
+    }
+    return ((inputTokens || 0) * price.input + (outputTokens || 0) * price.output) / 1e6;
+  }
+
+  /**
+   * Load the stored totals, once
+   * @returns {Promise<Object>} - The totals
+   * @private
+   */
+  async _load() {
+    if (this.usage) {
+      return this.usage;
+    }
+
+    const empty = { totals: this._emptyTotals(), byDay: {}, bySession: {}, byAgent: {}, byModel: {} };
+    const data = await this.storage.getItem(STORAGE_KEY);
+
+    try {
+      this.usage = data ? { ...empty, ...JSON.parse(data) } : empty;
+    } catch (error) {
+      console.error('[Usage] Error parsing stored usage:', error);
+      this.usage = empty;
+    }
+
+    return this.usage;
+  }
+
+  /**
+   * Get or create the totals for a key
+   * @param {Object} buckets - Totals by key
+   * @param {string} key - The key
+   * @returns {Object} - The totals
+   * @private
+   */
+  _bucket(buckets, key) {
+    if (!buckets[key]) {
+      buckets[key] = this._emptyTotals();
+    }
+    return buckets[key];
+  }
+
+  /**
+   * Add a call to a set of totals
+   * @param {Object} totals - The totals
+   * @param {Object} record - The call
+   * @private
+   */
+  _add(totals, record) {
+    totals.calls += 1;
+    totals.inputTokens += record.inputTokens;
+    totals.outputTokens += record.outputTokens;
+    totals.cost += record.cost;
+    totals.lastUsedAt = record.timestamp;
+  }
+
+  /**
+   * @returns {Object} - Zeroed totals
+   * @private
+   */
+  _emptyTotals() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, lastUsedAt: null };
+  }
+}
+
+// Shared instance the providers report to
+const usageService = new UsageService();
+
+module.exports = { UsageService, usageService, DEFAULT_PRICES };
@@ -3,38 +3,58 @@
  * Handles vector embeddings and similarity search for the retrieval agent
  */
 
-const { OpenAI } = require('openai');
+const path = require('path');
 const Storage = require('./storage');
+const { createEmbeddingBackend, embedInBatches } = require('./embeddings');
+const { VectorSegmentStore } = require('./segments');
+const { BM25Index } = require('./bm25');
+const { matchesFilter, normalizeFilter, sipNumberOf, splitStatus } = require('./filters');
+const { isAbortError } = require('../providers/base');
 
-// Initialize OpenAI client for embeddings
-const openai = process.env.NODE_ENV === 'test' ? 
-  {
-    // Mock OpenAI client for testing
-    embeddings: {
-      create: async () => ({
-        data: [{ embedding: Array(1536).fill(0.1) }]
-      })
-    }
-  } : 
-  new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
+// Stores saved before the embedding model was recorded were all built with this model
+const LEGACY_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// Where the vectors are persisted: an append-only segment and metadata log (see segments.js)
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', '..', 'data', 'vectors');
+
+// The load of each segment store, so services sharing one read it only once
+const storeLoads = new WeakMap();
+
+// How search can rank documents: by embedding similarity, by BM25 keyword score, or both fused
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+// Reciprocal rank fusion constant; larger values flatten the advantage of the top ranks
+const RRF_K = 60;
 
 // In-memory vector store for development
 // In production, this would be replaced with a proper vector database like Pinecone or Weaviate
+// `embedding` records the { backend, model, dimension } every stored vector was made with
 let vectorStore = {
   vectors: [],
-  metadata: []
+  metadata: [],
+  embedding: null
 };
 
+// BM25 index over the same documents' text, kept in step with vectorStore
+const keywordIndex = new BM25Index();
+
 /**
  * Vector Service for handling embeddings and similarity search
  */
 class VectorService {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.embedder - Embedding backend; defaults to the one configured by EMBEDDING_BACKEND
+   * @param {VectorSegmentStore} options.store - Segment store the vectors are persisted to
+   * @param {Object} options.storage - Storage holding a vectorStore.json from before the segment store, to import
+   * @param {string} options.searchMode - Default search mode: 'vector', 'keyword' or 'hybrid' (default)
+   */
+  constructor(options = {}) {
     this.initialized = false;
-    this.embeddingModel = 'text-embedding-3-small';
-    this.vectorDimension = 1536; // Dimension of the embedding vectors
+    this.embedder = options.embedder || createEmbeddingBackend();
+    this.store = options.store || VectorSegmentStore.open(DEFAULT_STORE_DIR);
+    this.storage = options.storage || new Storage();
+    this.searchMode = options.searchMode || 'hybrid';
     
     // Load vectors from storage if available
     this._loadVectors();
@@ -77,22 +97,21 @@ class VectorService {
   /**
    * Generate embeddings for a text
    * @param {string} text - The text to embed
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Cancels the embedding request
    * @returns {Promise<Array<number>>} - The embedding vector
    */
-  async generateEmbedding(text) {
+  async generateEmbedding(text, options = {}) {
     try {
       console.log(`[VectorService] Generating embedding for text (length: ${text.length} chars)`);
-      console.log(`[VectorService] Using model: ${this.embeddingModel}`);
+      console.log(`[VectorService] Using ${this.embedder.name} backend, model: ${this.embedder.model}`);
       
       const startTime = Date.now();
-      const response = await openai.embeddings.create({
-        model: this.embeddingModel,
-        input: text
-      });
+      const [embedding] = await this.embedder.embed([text], { signal: options.signal });
       const duration = Date.now() - startTime;
       
       console.log(`[VectorService] Embedding generated successfully in ${duration}ms`);
-      return response.data[0].embedding;
+      return embedding;
     } catch (error) {
       console.error('[VectorService] Error generating embedding:', error);
       console.error('[VectorService] Error details:', {
@@ -111,27 +130,8 @@ class VectorService {
    * @returns {Promise<string>} - The document ID
    */
   async addDocument(text, metadata = {}) {
-    try {
-      const embedding = await this.generateEmbedding(text);
-      const id = metadata.id || `doc_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-      
-      vectorStore.vectors.push({
-        id,
-        embedding
-      });
-      
-      vectorStore.metadata.push({
-        id,
-        text,
-        ...metadata
-      });
-      
-      await this._saveVectors();
-      return id;
-    } catch (error) {
-      console.error('Error adding document:', error);
-      throw error;
-    }
+    const [id] = await this.addDocuments([{ text, metadata }]);
+    return id;
   }
 
   /**
@@ -149,6 +149,17 @@ class VectorService {
       throw new Error('Post must have title and content');
     }
     
+    const { text, metadata } = this._forumDocument(post);
+    return this.addDocument(text, metadata);
+  }
+
+  /**
+   * Build the document for a forum post
+   * @param {Object} post - The forum post object
+   * @returns {{text: string, metadata: Object}} - The document
+   * @private
+   */
+  _forumDocument(post) {
     // Combine title and content for better search results
     const text = `Title: ${post.title}\n\nContent: ${post.content}`;
     
@@ -157,27 +168,70 @@ class VectorService {
       title: post.title,
       url: post.url,
       date: post.date,
+      status: post.status || '',
+      sipNumber: sipNumberOf(post.title),
       source: 'Forum Post',
       type: 'forum'
     };
     
-    return this.addDocument(text, metadata);
+    return { text, metadata };
   }
 
   /**
-   * Add multiple documents to the vector store
+   * Add multiple documents to the vector store. The texts are embedded in batches,
+   * several at a time, and each batch is saved as soon as it is embedded
    * @param {Array<{text: string, metadata: Object}>} documents - The documents to add
+   * @param {Object} options - Options
+   * @param {Function} options.onProgress - Called with ({ processed, total }) after each saved batch
+   * @param {AbortSignal} options.signal - Stops the indexing; batches already saved are kept
    * @returns {Promise<Array<string>>} - The document IDs
    */
-  async addDocuments(documents) {
-    const ids = [];
-    
-    for (const doc of documents) {
-      const id = await this.addDocument(doc.text, doc.metadata);
-      ids.push(id);
+  async addDocuments(documents, options = {}) {
+    try {
+      this._assertCompatible();
+      const ids = documents.map(doc =>
+        (doc.metadata && doc.metadata.id) || `doc_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`
+      );
+      const startTime = Date.now();
+      let processed = 0;
+      
+      await embedInBatches(this.embedder, documents.map(doc => doc.text), {
+        signal: options.signal,
+        onBatch: async ({ start, embeddings }) => {
+          this._assertCompatible(embeddings[0].length);
+          if (vectorStore.vectors.length === 0) {
+            vectorStore.embedding = this._describeEmbedding(embeddings[0].length);
+          }
+          
+          const entries = embeddings.map((embedding, i) => {
+            const doc = documents[start + i];
+            const id = ids[start + i];
+            return { id, embedding, metadata: { id, text: doc.text, ...doc.metadata } };
+          });
+          
+          // Only these documents are written; the store is added to once they are on disk
+          await this.store.append(entries, vectorStore.embedding);
+          for (const entry of entries) {
+            vectorStore.vectors.push({ id: entry.id, embedding: entry.embedding });
+            vectorStore.metadata.push(entry.metadata);
+            keywordIndex.add(entry.id, entry.metadata.text);
+          }
+          
+          processed += entries.length;
+          if (options.onProgress) {
+            options.onProgress({ processed, total: documents.length });
+          }
+        }
+      });
+      
+      if (documents.length > 1) {
+        console.log(`[VectorService] Embedded ${documents.length} documents in ${Date.now() - startTime}ms`);
+      }
+      return ids;
+    } catch (error) {
+      console.error('Error adding documents:', error);
+      throw error;
     }
-    
-    return ids;
   }
 
   /**
@@ -185,45 +239,60 @@ class VectorService {
    * @param {string} query - The query text
    * @param {Object} options - Search options
    * @param {number} options.limit - Maximum number of results
-   * @param {number} options.threshold - Similarity threshold (0-1)
-   * @returns {Promise<Array<{id: string, text: string, metadata: Object, score: number}>>} - The search results
+   * @param {number} options.threshold - Similarity threshold (0-1) for vector matches; defaults to the embedding backend's
+   * @param {string} options.mode - 'vector', 'keyword' or 'hybrid'; defaults to the service's search mode
+   * @param {Object} options.filter - Metadata filter (see filters.js); only matching documents are scored
+   * @param {AbortSignal} options.signal - Cancels the query's embedding request
+   * @returns {Promise<Array<{id: string, text: string, metadata: Object, score: number}>>} - The search results, with
+   *   scores from 0 to 1. Hybrid results also carry the vectorScore and keywordScore they were fused from, and fall
+   *   back to the keyword ranking alone when the query can't be embedded
    */
   async search(query, options = {}) {
     const limit = options.limit || 5;
-    const threshold = options.threshold || 0.7;
+    const mode = options.mode || this.searchMode;
+    const threshold = options.threshold !== undefined && options.threshold !== null
+      ? options.threshold
+      : this.embedder.defaultThreshold;
+    
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode: ${mode}. Available: ${SEARCH_MODES.join(', ')}`);
+    }
     
-    console.log(`[VectorService] Starting search for query: "${query}" (limit: ${limit}, threshold: ${threshold})`);
+    console.log(`[VectorService] Starting ${mode} search for query: "${query}" (limit: ${limit}, threshold: ${threshold})`);
     console.log(`[VectorService] Vector store has ${vectorStore.vectors.length} documents`);
     
     try {
-      console.log(`[VectorService] Generating embedding for query...`);
-      const queryEmbedding = await this.generateEmbedding(query);
-      console.log(`[VectorService] Embedding generated successfully`);
-      
-      const results = [];
-      
-      // Calculate similarity scores
-      console.log(`[VectorService] Calculating similarity scores for ${vectorStore.vectors.length} documents...`);
-      for (let i = 0; i < vectorStore.vectors.length; i++) {
-        const docVector = vectorStore.vectors[i];
-        const docMetadata = vectorStore.metadata[i];
-        
-        const similarity = this._cosineSimilarity(queryEmbedding, docVector.embedding);
-        
-        if (similarity >= threshold) {
-          results.push({
-            id: docVector.id,
-            text: docMetadata.text,
-            metadata: docMetadata,
-            score: similarity
-          });
+      // Filtering comes first, so only the documents that can be returned are scored
+      const filter = normalizeFilter(options.filter);
+      let allowed = null;
+      if (filter) {
+        allowed = new Set(vectorStore.metadata.filter(metadata => matchesFilter(metadata, filter)).map(metadata => metadata.id));
+        console.log(`[VectorService] ${allowed.size} documents match the filter ${JSON.stringify(options.filter)}`);
+        if (allowed.size === 0) {
+          return [];
         }
       }
       
-      console.log(`[VectorService] Found ${results.length} documents above threshold ${threshold}`);
-      
-      // Sort by similarity score (descending)
-      results.sort((a, b) => b.score - a.score);
+      let results;
+      if (mode === 'vector') {
+        results = await this._vectorSearch(query, threshold, allowed, options.signal);
+      } else if (mode === 'keyword') {
+        results = this._keywordSearch(query, allowed);
+      } else {
+        let vectorResults;
+        try {
+          vectorResults = await this._vectorSearch(query, threshold, allowed, options.signal);
+        } catch (error) {
+          // A cancelled search or a store built with another model isn't something to paper over
+          if (isAbortError(error) || error.code === 'EMBEDDING_MISMATCH') {
+            throw error;
+          }
+          // Keyword matches need no embedding, so they're still worth returning
+          console.error('[VectorService] Vector search failed, using keyword results only:', error.message);
+          vectorResults = [];
+        }
+        results = this._fuse(vectorResults, this._keywordSearch(query, allowed));
+      }
       
       // Return top results
       const topResults = results.slice(0, limit);
@@ -236,6 +305,154 @@ class VectorService {
     }
   }
 
+  /**
+   * Rank documents by cosine similarity to the query's embedding
+   * @param {string} query - The query text
+   * @param {number} threshold - Lowest similarity to keep
+   * @param {Set<string>} allowed - IDs of the documents that may be scored; all when null
+   * @param {AbortSignal} signal - Cancels the query's embedding request
+   * @returns {Promise<Array<Object>>} - The results above the threshold, best first
+   * @private
+   */
+  async _vectorSearch(query, threshold, allowed = null, signal = null) {
+    // Scores against vectors from another model would be meaningless
+    this._assertCompatible();
+    console.log(`[VectorService] Generating embedding for query...`);
+    const queryEmbedding = await this.generateEmbedding(query, { signal });
+    this._assertCompatible(queryEmbedding.length);
+    console.log(`[VectorService] Embedding generated successfully`);
+    
+    const results = [];
+    
+    // Calculate similarity scores
+    console.log(`[VectorService] Calculating similarity scores for ${vectorStore.vectors.length} documents...`);
+    for (let i = 0; i < vectorStore.vectors.length; i++) {
+      const docVector = vectorStore.vectors[i];
+      const docMetadata = vectorStore.metadata[i];
+      if (allowed && !allowed.has(docVector.id)) {
+        continue;
+      }
+      
+      const similarity = this._cosineSimilarity(queryEmbedding, docVector.embedding);
+      
+      if (similarity >= threshold) {
+        results.push({
+          id: docVector.id,
+          text: docMetadata.text,
+          metadata: docMetadata,
+          score: similarity
+        });
+      }
+    }
+    
+    console.log(`[VectorService] Found ${results.length} documents above threshold ${threshold}`);
+    
+    // Sort by similarity score (descending)
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Rank documents by BM25 score for the query's terms
+   * @param {string} query - The query text
+   * @param {Set<string>} allowed - IDs of the documents that may be scored; all when null
+   * @returns {Array<Object>} - The documents sharing a term with the query, best first, scored relative to the best
+   * @private
+   */
+  _keywordSearch(query, allowed = null) {
+    const matches = keywordIndex.search(query, allowed ? { filter: id => allowed.has(id) } : {});
+    const metadataById = new Map(vectorStore.metadata.map(metadata => [metadata.id, metadata]));
+    const topScore = matches.length > 0 ? matches[0].score : 1;
+    
+    console.log(`[VectorService] Found ${matches.length} documents matching the query's keywords`);
+    return matches
+      .filter(match => metadataById.has(match.id))
+      .map(match => {
+        const metadata = metadataById.get(match.id);
+        return { id: match.id, text: metadata.text, metadata, score: match.score / topScore };
+      });
+  }
+
+  /**
+   * Combine vector and keyword rankings with reciprocal rank fusion. Each document
+   * scores 1 / (RRF_K + rank) in each ranking it appears in, scaled so a document
+   * ranked first by both scores 1
+   * @param {Array<Object>} vectorResults - Results ranked by similarity
+   * @param {Array<Object>} keywordResults - Results ranked by BM25
+   * @returns {Array<Object>} - The fused results, best first
+   * @private
+   */
+  _fuse(vectorResults, keywordResults) {
+    const fused = new Map();
+    const maxScore = 2 / (RRF_K + 1);
+    
+    const addRanking = (results, scoreField) => {
+      results.forEach((result, rank) => {
+        if (!fused.has(result.id)) {
+          fused.set(result.id, { ...result, score: 0, vectorScore: null, keywordScore: null });
+        }
+        const entry = fused.get(result.id);
+        entry.score += 1 / (RRF_K + rank + 1) / maxScore;
+        entry[scoreField] = result.score;
+      });
+    };
+    addRanking(vectorResults, 'vectorScore');
+    addRanking(keywordResults, 'keywordScore');
+    
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Describe the embeddings the configured backend makes
+   * @param {number} dimension - The vector size, if known from an embedding
+   * @returns {{backend: string, model: string, dimension: number|null}} - The embedding record
+   * @private
+   */
+  _describeEmbedding(dimension = null) {
+    return {
+      backend: this.embedder.name,
+      model: this.embedder.model,
+      dimension: dimension || this.embedder.dimension || null
+    };
+  }
+
+  /**
+   * Refuse to mix vectors from different embedding models in one store
+   * @param {number} dimension - The size of a vector just made, to check as well as the model
+   * @throws {Error} - With code EMBEDDING_MISMATCH if the store was built with another model or size
+   * @private
+   */
+  _assertCompatible(dimension = null) {
+    const stored = vectorStore.embedding;
+    if (!stored || vectorStore.vectors.length === 0) {
+      return;
+    }
+
+    const current = this._describeEmbedding(dimension);
+    if (stored.model !== current.model || (current.dimension && stored.dimension !== current.dimension)) {
+      const error = new Error(
+        `The vector store holds ${stored.model} embeddings (${stored.dimension} dimensions) but the ${current.backend} ` +
+        `backend makes ${current.model} embeddings (${current.dimension || 'unknown'} dimensions). ` +
+        'Clear the vector store and reindex, or switch EMBEDDING_BACKEND back.'
+      );
+      error.code = 'EMBEDDING_MISMATCH';
+      throw error;
+    }
+  }
+
+  /**
+   * Get the embedding model of the store and of the configured backend
+   * @returns {{store: Object|null, backend: Object, compatible: boolean}} - Both records and whether they match
+   */
+  getEmbeddingInfo() {
+    let compatible = true;
+    try {
+      this._assertCompatible();
+    } catch (error) {
+      compatible = false;
+    }
+    return { store: vectorStore.embedding, backend: this._describeEmbedding(), compatible };
+  }
+
   /**
    * Calculate cosine similarity between two vectors
    * @param {Array<number>} vec1 - First vector
@@ -262,32 +479,75 @@ class VectorService {
   }
 
   /**
-   * Save vectors to storage
+   * The live records in the form the segment store writes them
+   * @returns {Array<{id: string, embedding: Array<number>, metadata: Object}>} - The records
    * @private
    */
-  async _saveVectors() {
-    try {
-      const storage = new Storage();
-      await storage.setItem('vectorStore', JSON.stringify(vectorStore));
-    } catch (error) {
-      console.error('Error saving vectors:', error);
-    }
+  _storeEntries() {
+    return vectorStore.vectors.map((vector, i) => ({
+      id: vector.id,
+      embedding: vector.embedding,
+      metadata: vectorStore.metadata[i]
+    }));
   }
 
   /**
-   * Load vectors from storage
+   * Load vectors from storage, once per segment store
    * @private
    */
   async _loadVectors() {
+    if (!storeLoads.has(this.store)) {
+      storeLoads.set(this.store, this._readStore());
+    }
+    await storeLoads.get(this.store);
+  }
+
+  /**
+   * Read the segment store into memory, importing a vectorStore.json saved before it existed
+   * @private
+   */
+  async _readStore() {
     try {
       console.log('[VectorService] Loading vectors from storage...');
-      const storage = new Storage();
-      const storedVectors = await storage.getItem('vectorStore');
+      const { entries, embedding } = await this.store.load();
+      
+      if (this.store.exists) {
+        vectorStore = {
+          vectors: entries.map(entry => ({ id: entry.id, embedding: entry.embedding })),
+          metadata: entries.map(entry => entry.metadata),
+          embedding
+        };
+        if (this.store.needsCompaction()) {
+          await this.store.compact(this._storeEntries(), vectorStore.embedding);
+        }
+      } else {
+        const legacyVectors = await this.storage.getItem('vectorStore');
+        if (legacyVectors) {
+          vectorStore = JSON.parse(legacyVectors);
+          if (!vectorStore.embedding && vectorStore.vectors.length > 0) {
+            vectorStore.embedding = {
+              backend: 'openai',
+              model: LEGACY_EMBEDDING_MODEL,
+              dimension: vectorStore.vectors[0].embedding.length
+            };
+          }
+          await this.store.compact(this._storeEntries(), vectorStore.embedding);
+          console.log(`[VectorService] Imported ${vectorStore.vectors.length} vectors from vectorStore.json into ${this.store.dir}; the old file can be deleted`);
+        }
+      }
       
-      if (storedVectors) {
-        vectorStore = JSON.parse(storedVectors);
+      keywordIndex.clear();
+      for (const metadata of vectorStore.metadata) {
+        keywordIndex.add(metadata.id, metadata.text);
+      }
+      
+      if (vectorStore.vectors.length > 0 || vectorStore.embedding) {
         console.log(`[VectorService] Loaded ${vectorStore.vectors.length} vectors from storage`);
         
+        if (vectorStore.embedding) {
+          console.log(`[VectorService] Store embeddings: ${vectorStore.embedding.model} (${vectorStore.embedding.dimension} dimensions)`);
+        }
+        
         // Log some basic stats about the vectors
         if (vectorStore.vectors.length > 0) {
           console.log(`[VectorService] First vector ID: ${vectorStore.vectors[0].id}`);
@@ -316,10 +576,13 @@ class VectorService {
   async clearVectors() {
     vectorStore = {
       vectors: [],
-      metadata: []
+      metadata: [],
+      embedding: null
     };
+    keywordIndex.clear();
     
-    await this._saveVectors();
+    // Compacting to nothing starts a fresh segment, which can take vectors from any model
+    await this.store.compact([], null);
     console.log('Vector store cleared');
   }
   
@@ -337,59 +600,104 @@ class VectorService {
     );
     
     const oldCount = vectorStore.vectors.length;
+    const removedIds = vectorStore.metadata.filter(m => m.type === 'forum').map(m => m.id);
     
     vectorStore = {
       vectors: nonForumVectors,
-      metadata: nonForumMetadata
+      metadata: nonForumMetadata,
+      // An emptied store can take vectors from any model
+      embedding: nonForumVectors.length > 0 ? vectorStore.embedding : null
     };
+    keywordIndex.remove(removedIds);
     
-    await this._saveVectors();
+    if (nonForumVectors.length === 0) {
+      await this.store.compact([], null);
+    } else {
+      await this.store.remove(removedIds, nonForumVectors.length);
+      if (this.store.needsCompaction()) {
+        await this.store.compact(this._storeEntries(), vectorStore.embedding);
+      }
+    }
     console.log(`Cleared forum data from vector store. Removed ${oldCount - nonForumVectors.length} entries.`);
   }
 
   /**
    * Reindex forum data after a scrape
    * @param {Array} posts - Array of forum posts to index
+   * @param {Object} options - Options
+   * @param {Function} options.onProgress - Called with ({ processed, total }) after each saved batch
+   * @param {Function} options.onSkip - Called with each post left out for having no title or content
+   * @param {AbortSignal} options.signal - Stops the indexing
    * @returns {Promise<{indexed: number, skipped: number}>} - Indexing results
    */
-  async reindexForumData(posts) {
+  async reindexForumData(posts, options = {}) {
     console.log(`[VectorService] Reindexing ${posts.length} forum posts`);
     
     // First clear existing forum data
     await this.clearForumData();
     
-    // Then add all posts
-    let indexed = 0;
+    const documents = [];
     let skipped = 0;
     
     for (const post of posts) {
-      try {
-        // Map the short field names to the expected names
-        const processedPost = {
-          title: post.title || post.t,
-          content: post.content || post.c,
-          url: post.url,
-          id: post.id,
-          date: post.date || post.d
-        };
-        
-        if (!processedPost.title || !processedPost.content || processedPost.content.trim() === '') {
-          skipped++;
-          continue;
-        }
-        
-        await this.addForumPost(processedPost);
-        indexed++;
-      } catch (error) {
-        console.error(`[VectorService] Error indexing post:`, error);
+      // Map the short field names to the expected names
+      const processedPost = {
+        title: post.title || post.t,
+        content: post.content || post.c,
+        url: post.url,
+        id: post.id,
+        date: post.date || post.d,
+        status: post.status
+      };
+      
+      if (!processedPost.title || !processedPost.content || processedPost.content.trim() === '') {
         skipped++;
+        if (options.onSkip) {
+          options.onSkip(processedPost);
+        }
+        continue;
       }
+      
+      documents.push(this._forumDocument(processedPost));
     }
     
+    // Then add all posts in batches
+    const ids = await this.addDocuments(documents, options);
+    const indexed = ids.length;
+    
     console.log(`[VectorService] Reindexing complete: ${indexed} indexed, ${skipped} skipped`);
     return { indexed, skipped };
   }
 
+  /**
+   * Get the values the indexed documents have for the filterable fields
+   * @returns {{statuses: Array<string>, types: Array<string>, dateRange: {from: string, to: string}|null}} - The values, sorted
+   */
+  getFilterOptions() {
+    const statuses = new Set();
+    const types = new Set();
+    let from = null;
+    let to = null;
+    
+    for (const metadata of vectorStore.metadata) {
+      splitStatus(metadata.status).forEach(status => statuses.add(status));
+      if (metadata.type) {
+        types.add(metadata.type);
+      }
+      const day = metadata.date ? String(metadata.date).substring(0, 10) : null;
+      if (day) {
+        from = !from || day < from ? day : from;
+        to = !to || day > to ? day : to;
+      }
+    }
+    
+    return {
+      statuses: [...statuses].sort(),
+      types: [...types].sort(),
+      dateRange: from ? { from, to } : null
+    };
+  }
+
   /**
    * Get debug information about the vector store
    * @returns {Object} Debug information about the vector store
@@ -429,7 +737,8 @@ class VectorService {
       return {
         vectors: safeVectors,
         metadata: metadata,
-        stats: stats
+        stats: stats,
+        embedding: this.getEmbeddingInfo()
       };
     } catch (error) {
       console.error('[VectorService] Error getting debug info:', error);
@@ -444,4 +753,5 @@ class VectorService {
 }
 
 // Export the class for instantiation by consumers
-module.exports = VectorService; 
\ No newline at end of file
+module.exports = VectorService;
+module.exports.SEARCH_MODES = SEARCH_MODES; 
\ No newline at end of file
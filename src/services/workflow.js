@@ -0,0 +1,324 @@
+/**
+ * Workflow Service
+ * Chains the retrieval, interview and drafting agents into a resumable
+ * proposal-building session
+ */
+
+const debug = require('debug')('chatbot:workflow');
+const { LLMProviderFactory } = require('../providers/factory');
+const { pickGenerationOptions } = require('../providers/base');
+const { storage: defaultStorage } = require('./storage');
+
+// Steps in the order they run. Re-running a step marks every later step as stale.
+const WORKFLOW_STEPS = ['retrieve', 'interview', 'draft'];
+
+const STORAGE_PREFIX = 'workflow_';
+
+/**
+ * Workflow service for running proposal-building sessions
+ */
+class WorkflowService {
+  /**
+   * @param {Object} storage - Storage used to persist sessions (defaults to the shared storage)
+   */
+  constructor(storage = defaultStorage) {
+    this.storage = storage;
+    // The last queued step of each session, so steps on one session run one at a time
+    this.pendingSteps = new Map();
+  }
+
+  /**
+   * Create an agent provider backed by the active LLM provider
+   * @param {string} type - The agent type ('retrieval', 'interview' or 'drafting')
+   * @param {Object} config - Configuration for the agent
+   * @returns {Object} - The agent provider
+   */
+  createAgent(type, config = {}) {
+    if (!global.llmProvider) {
+      throw new Error('LLM provider is not initialized');
+    }
+    return LLMProviderFactory.createAgentProvider(type, global.llmProvider, config);
+  }
+
+  /**
+   * Start a new workflow session
+   * @param {Object} params - Session parameters
+   * @param {string} params.topic - What the proposal is about
+   * @param {string} params.focusArea - Initial focus area for the interview
+   * @returns {Promise<Object>} - The new session
+   */
+  async createSession({ topic, focusArea } = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      id: `${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      topic: topic || '',
+      focusArea: focusArea || null,
+      conversation: [],
+      steps: WORKFLOW_STEPS.reduce((steps, step) => {
+        steps[step] = { status: 'pending', input: null, output: null, runs: 0, updatedAt: null };
+        return steps;
+      }, {}),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.saveSession(session);
+    debug(`Created workflow session ${session.id}`);
+    return session;
+  }
+
+  /**
+   * Load a workflow session
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<Object|null>} - The session, or null if it doesn't exist
+   */
+  async getSession(sessionId) {
+    const data = await this.storage.getItem(this._storageKey(sessionId));
+    if (!data) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      console.error(`[Workflow] Error parsing session ${sessionId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a workflow session
+   * @param {Object} session - The session to save
+   * @returns {Promise<boolean>} - Whether the operation was successful
+   */
+  async saveSession(session) {
+    session.updatedAt = new Date().toISOString();
+    return this.storage.setItem(this._storageKey(session.id), JSON.stringify(session));
+  }
+
+  /**
+   * List all workflow sessions, most recently updated first
+   * @returns {Promise<Array<Object>>} - Session summaries
+   */
+  async listSessions() {
+    const keys = await this.storage.keys();
+    const sessions = [];
+
+    for (const key of keys.filter(k => k.startsWith(STORAGE_PREFIX))) {
+      const session = await this.getSession(key.substring(STORAGE_PREFIX.length));
+      if (session) {
+        sessions.push({
+          id: session.id,
+          topic: session.topic,
+          steps: WORKFLOW_STEPS.reduce((statuses, step) => {
+            statuses[step] = session.steps[step].status;
+            return statuses;
+          }, {}),
+          createdAt: session.createdAt,
+          updatedAt: session.updatedAt
+        });
+      }
+    }
+
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Delete a workflow session
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<boolean>} - Whether the operation was successful
+   */
+  async deleteSession(sessionId) {
+    return this.storage.removeItem(this._storageKey(sessionId));
+  }
+
+  /**
+   * Run (or re-run) a workflow step and store its output
+   * @param {string} sessionId - The session ID
+   * @param {string} step - The step to run ('retrieve', 'interview' or 'draft')
+   * @param {Object} input - Input for the step
+   * @returns {Promise<Object>} - The updated session
+   */
+  async runStep(sessionId, step, input = {}) {
+    // Each step loads the session the previous one saved, so concurrent steps can't overwrite each other
+    const previous = this.pendingSteps.get(sessionId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this._runStep(sessionId, step, input));
+    this.pendingSteps.set(sessionId, run);
+
+    try {
+      return await run;
+    } finally {
+      if (this.pendingSteps.get(sessionId) === run) {
+        this.pendingSteps.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Run a workflow step once the session's earlier steps have finished
+   * @param {string} sessionId - The session ID
+   * @param {string} step - The step to run
+   * @param {Object} input - Input for the step
+   * @returns {Promise<Object>} - The updated session
+   * @private
+   */
+  async _runStep(sessionId, step, input) {
+    if (!WORKFLOW_STEPS.includes(step)) {
+      throw new Error(`Unknown workflow step: ${step}`);
+    }
+
+    const session = await this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Workflow session not found: ${sessionId}`);
+    }
+
+    debug(`Running step ${step} for session ${sessionId}`);
+    const stepState = session.steps[step];
+    stepState.status = 'running';
+
+    try {
+      let output;
+      switch (step) {
+        case 'retrieve':
+          output = await this._runRetrieve(session, input);
+          break;
+        case 'interview':
+          output = await this._runInterview(session, input);
+          break;
+        case 'draft':
+          output = await this._runDraft(session, input);
+          break;
+      }
+
+      stepState.status = 'complete';
+      stepState.input = input;
+      stepState.output = output;
+      stepState.error = null;
+      stepState.runs += 1;
+      stepState.updatedAt = new Date().toISOString();
+
+      // Later steps were built on the previous output of this step
+      for (const laterStep of WORKFLOW_STEPS.slice(WORKFLOW_STEPS.indexOf(step) + 1)) {
+        if (session.steps[laterStep].status === 'complete') {
+          session.steps[laterStep].status = 'stale';
+        }
+      }
+    } catch (error) {
+      console.error(`[Workflow] Error running step ${step}:`, error);
+      stepState.status = 'error';
+      stepState.error = error.message;
+      await this.saveSession(session);
+      throw error;
+    }
+
+    await this.saveSession(session);
+    return session;
+  }
+
+  /**
+   * Retrieve precedents for the session topic
+   * @param {Object} session - The session
+   * @param {Object} input - Retrieval input ({ query, limit, threshold, enhanceQuery, options })
+   * @returns {Promise<Object>} - The query and retrieved documents
+   * @private
+   */
+  async _runRetrieve(session, input) {
+    const query = input.query || session.topic;
+    if (!query) {
+      throw new Error('A query or session topic is required for retrieval');
+    }
+
+    const agent = this.createAgent('retrieval', {
+      ...pickGenerationOptions(input.options),
+      sessionId: session.id,
+      limit: input.limit || 5,
+      threshold: input.threshold
+    });
+
+    const documents = await agent.retrieve(query, { enhanceQuery: input.enhanceQuery || false });
+    return { query, documents };
+  }
+
+  /**
+   * Ask the next interview question, recording the user's answer along with it if given.
+   * The conversation is only updated once the question arrives, so a failed step can be retried.
+   * @param {Object} session - The session
+   * @param {Object} input - Interview input ({ message, focusArea, options })
+   * @returns {Promise<Object>} - The next question and the insights so far
+   * @private
+   */
+  async _runInterview(session, input) {
+    const conversation = [...session.conversation];
+    if (input.message) {
+      conversation.push({ role: 'user', content: input.message });
+    } else if (conversation.length > 0 && conversation[conversation.length - 1].role === 'assistant') {
+      // Re-running without an answer replaces the last unanswered question
+      conversation.pop();
+    }
+
+    const focusArea = input.focusArea || session.focusArea;
+    const retrieval = session.steps.retrieve.output;
+    const previous = session.steps.interview.output;
+    const agent = this.createAgent('interview', { ...pickGenerationOptions(input.options), sessionId: session.id });
+
+    const result = await agent.interview(conversation, {
+      topic: session.topic,
+      precedents: retrieval ? retrieval.documents : [],
+      insights: previous ? previous.insights : null
+    }, {
+      focusArea: focusArea || undefined
+    });
+
+    if (result.question) {
+      conversation.push({ role: 'assistant', content: result.question });
+    }
+    session.conversation = conversation;
+    session.focusArea = focusArea;
+
+    return result;
+  }
+
+  /**
+   * Draft the proposal from the retrieved precedents and interview insights
+   * @param {Object} session - The session
+   * @param {Object} input - Drafting input ({ template, iterative, maxRounds, personas, includeCitations, options })
+   * @returns {Promise<Object>} - The draft, plus the critique and revision log when iterative
+   * @private
+   */
+  async _runDraft(session, input) {
+    const retrieval = session.steps.retrieve.output;
+    const interview = session.steps.interview.output;
+    const research = retrieval ? retrieval.documents : [];
+    const insights = interview ? interview.insights : [];
+    const agent = this.createAgent('drafting', { ...pickGenerationOptions(input.options), sessionId: session.id });
+
+    if (input.iterative) {
+      return agent.draftIteratively(research, insights, input.template, {
+        maxRounds: input.maxRounds,
+        personas: input.personas,
+        includeCitations: input.includeCitations
+      });
+    }
+
+    const draft = await agent.draft(research, insights, input.template, {
+      includeCitations: input.includeCitations
+    });
+    return { draft };
+  }
+
+  /**
+   * Get the storage key for a session
+   * @param {string} sessionId - The session ID
+   * @returns {string} - The storage key
+   * @private
+   */
+  _storageKey(sessionId) {
+    // Session IDs are generated by createSession; reject anything that could escape the data directory
+    if (!/^[A-Za-z0-9_-]+$/.test(sessionId)) {
+      throw new Error(`Invalid workflow session ID: ${sessionId}`);
+    }
+    return `${STORAGE_PREFIX}${sessionId}`;
+  }
+}
+
+module.exports = { WorkflowService, WORKFLOW_STEPS };
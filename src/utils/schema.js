@@ -0,0 +1,92 @@
+/**
+ * JSON schema validation
+ * Covers the subset of JSON Schema the agents use to describe structured LLM
+ * output: type, properties, required, additionalProperties, items, enum,
+ * minItems, maxItems and minLength
+ */
+
+/**
+ * Get the JSON type name of a value
+ * @param {any} value - The value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value has one of the allowed types
+ * @param {any} value - The value
+ * @param {string|Array<string>} allowed - The allowed type or types
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesType(value, allowed) {
+  const actual = typeOf(value);
+  return [].concat(allowed).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - The value to validate
+ * @param {Object} schema - The JSON schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} - Validation errors, empty if the value is valid
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema) {
+    return [];
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must be at least ${schema.minLength} character(s)`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name}: is required`);
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateSchema(propertyValue, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, `${path}.${name}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,72 @@
+/**
+ * Token estimation helpers
+ * Used to keep prompts inside the model's context window without pulling in
+ * a vendor-specific tokenizer
+ */
+
+// Context window sizes by model name prefix; the longest matching prefix wins
+const MODEL_CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4-32k': 32768,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'o1': 200000,
+  'o3': 200000,
+  'claude-2': 100000,
+  'claude-3': 200000,
+  'claude-sonnet': 200000,
+  'claude-opus': 200000,
+  'claude-haiku': 200000
+};
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Roughly four characters per token for English text with both vendors' tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// Role markers and separators each message adds on top of its content
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - The text
+ * @returns {number} - The estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of tokens a list of chat messages will use
+ * @param {Array<{role: string, content: string}>} messages - The messages
+ * @returns {number} - The estimated token count
+ */
+function estimateMessageTokens(messages) {
+  return messages.reduce((total, message) => total + TOKENS_PER_MESSAGE + estimateTokens(message.content), 0);
+}
+
+/**
+ * Get the context window for a model
+ * @param {string} model - The model name
+ * @returns {number} - The context window in tokens
+ */
+function getContextWindow(model) {
+  if (!model) return DEFAULT_CONTEXT_WINDOW;
+
+  const prefix = Object.keys(MODEL_CONTEXT_WINDOWS)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? MODEL_CONTEXT_WINDOWS[prefix] : DEFAULT_CONTEXT_WINDOW;
+}
+
+module.exports = {
+  MODEL_CONTEXT_WINDOWS,
+  DEFAULT_CONTEXT_WINDOW,
+  estimateTokens,
+  estimateMessageTokens,
+  getContextWindow
+};
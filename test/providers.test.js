@@ -95,6 +95,25 @@ describe('LLM Providers', () => {
       expect(typeof response).toBe('string');
       expect(response).toBe('Test chat response');
     })
+
+    it('should stream chat deltas from server-sent events', async () => {
+      const nock = require('nock');
+      nock('http://localhost:3000/v1')
+        .post('/chat/completions', body => body.stream === true)
+        .reply(200, [
+          'data: {"choices":[{"delta":{"role":"assistant"}}]}',
+          'data: {"choices":[{"delta":{"content":"Test "}}]}',
+          'data: {"choices":[{"delta":{"content":"stream"}}]}',
+          'data: [DONE]',
+          ''
+        ].join('\n\n'), { 'Content-Type': 'text/event-stream' });
+
+      const deltas = [];
+      for await (const delta of provider.chatStream([{ role: 'user', content: 'Test message' }])) {
+        deltas.push(delta);
+      }
+      expect(deltas).toEqual(['Test ', 'stream']);
+    })
   })
 
   describe('OpenAI Provider', () => {
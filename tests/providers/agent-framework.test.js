@@ -37,6 +37,20 @@ describe('Agent Provider Framework', () => {
       
       const result = agent.formatPrompt(template, variables);
       expect(result).toBe('Hello John, welcome to SIP-Assistant!');
+
+      expect(agent.formatPrompt('Post: {{post}}', { post: "Costs $& and $' and $` stay" }))
+        .toBe("Post: Costs $& and $' and $` stay");
+    });
+
+    test('should keep only the most recent operations', () => {
+      const agent = new BaseAgentProvider(new BaseLLMProvider(), {});
+
+      for (let i = 0; i < 150; i++) {
+        agent._logOperation('retrieve', { query: `query ${i}` });
+      }
+
+      expect(agent.operationHistory).toHaveLength(100);
+      expect(agent.getOperationHistory(1)[0].details.query).toBe('query 149');
     });
 
     test('should parse JSON responses correctly', () => {
@@ -68,4 +82,322 @@ describe('Agent Provider Framework', () => {
       expect(draftingAgent.supportsCapability('interview')).toBe(false);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('InterviewAgentProvider', () => {
+    class ScriptedProvider extends BaseLLMProvider {
+      constructor(responses) {
+        super();
+        this.responses = responses;
+        this.calls = [];
+      }
+
+      async chat(messages) {
+        this.calls.push(messages);
+        return this.responses.shift();
+      }
+    }
+
+    const conversation = [
+      { role: 'assistant', content: 'What would you like to propose?' },
+      { role: 'user', content: 'A grant programme for artists, funded from the treasury.' }
+    ];
+
+    test('should return the next question and extracted insights', async () => {
+      const llm = new ScriptedProvider([
+        '```json\n' + JSON.stringify({
+          insights: {
+            goals: ['Fund artists'],
+            constraints: ['Treasury budget'],
+            stakeholders: ['Artists'],
+            openQuestions: ['How large is the budget?']
+          },
+          questionPlan: ['How large is the budget?', 'Who reviews applications?'],
+          nextQuestion: 'How large is the budget?'
+        }) + '\n```'
+      ]);
+      const agent = new InterviewAgentProvider(llm, {});
+
+      const result = await agent.interview(conversation, {
+        precedents: [{ text: 'Previous grants SIP', citation: '"SIP-10" from Forum Post' }]
+      }, { focusArea: 'funding' });
+
+      expect(result.question).toBe('How large is the budget?');
+      expect(result.questionPlan).toHaveLength(2);
+      expect(result.focusArea).toBe('funding');
+      expect(result.insights.goals).toEqual(['Fund artists']);
+      expect(result.insights.stakeholders).toEqual(['Artists']);
+
+      const prompt = llm.calls[0][1].content;
+      expect(llm.calls[0][0].role).toBe('system');
+      expect(prompt).toContain('funding');
+      expect(prompt).toContain('"SIP-10" from Forum Post');
+    });
+
+    test('should accumulate insights across turns and replace open questions', async () => {
+      const llm = new ScriptedProvider([
+        JSON.stringify({
+          insights: { goals: ['Fund artists'], openQuestions: ['Budget size?'] },
+          nextQuestion: 'Budget size?'
+        }),
+        JSON.stringify({
+          insights: { goals: ['fund artists', 'Grow the collector base'], openQuestions: [] },
+          nextQuestion: 'Who should review applications?'
+        })
+      ]);
+      const agent = new InterviewAgentProvider(llm, {});
+
+      await agent.interview(conversation);
+      const result = await agent.interview(conversation);
+
+      expect(result.question).toBe('Who should review applications?');
+      expect(result.insights.goals).toEqual(['Fund artists', 'Grow the collector base']);
+      expect(result.insights.openQuestions).toEqual([]);
+    });
+
+    test('should fall back to the raw response when it is not JSON', async () => {
+      const question = 'What problem does this proposal solve?';
+      const llm = new ScriptedProvider([question, question, question]);
+      const agent = new InterviewAgentProvider(llm, {});
+
+      const result = await agent.interview(conversation, {
+        insights: { constraints: ['No new token issuance'] }
+      });
+
+      // The first answer and two repair attempts were all prose
+      expect(llm.calls).toHaveLength(3);
+      expect(llm.calls[1][llm.calls[1].length - 1].content).toContain('did not match the required JSON schema');
+      expect(result.question).toBe(question);
+      expect(result.insights.constraints).toEqual(['No new token issuance']);
+    });
+  });
+
+  describe('DraftingAgentProvider', () => {
+    class ScriptedProvider extends BaseLLMProvider {
+      constructor(response) {
+        super();
+        this.response = response;
+        this.calls = [];
+      }
+
+      async chat(messages) {
+        this.calls.push(messages);
+        return this.response;
+      }
+    }
+
+    const research = [
+      {
+        id: 'forum_1',
+        text: 'SIP-12 created the artist grants programme.',
+        metadata: { title: 'SIP-12: Artist Grants', url: 'https://forum.superrare.com/t/12', date: '2023-01-10' },
+        citation: '"SIP-12: Artist Grants" from Forum Post (2023-01-10) - https://forum.superrare.com/t/12'
+      },
+      {
+        id: 'forum_2',
+        text: 'SIP-20 capped treasury spend per quarter.',
+        metadata: { title: 'SIP-20: Spending Cap', url: 'https://forum.superrare.com/t/20', date: '2023-06-01' },
+        citation: '"SIP-20: Spending Cap" from Forum Post (2023-06-01) - https://forum.superrare.com/t/20'
+      }
+    ];
+
+    test('should produce a template-conformant draft with citations', async () => {
+      const llm = new ScriptedProvider(JSON.stringify({
+        sections: {
+          Title: 'Artist Grants Round 2',
+          Summary: 'Renew the grants programme [1].',
+          Motivation: 'The first round was a success [1].',
+          Specification: 'Fund 20 artists.',
+          Benefits: 'More artists on the platform.',
+          Drawbacks: 'Uses treasury funds within the existing cap [2][7].',
+          Implementation: 'Transfer funds to the grants multisig.'
+        }
+      }));
+      const agent = new DraftingAgentProvider(llm, {});
+
+      const draft = await agent.draft(research, { goals: ['Fund artists'] });
+
+      expect(draft.title).toBe('Artist Grants Round 2');
+      expect(draft.sections.map(section => section.name)).toEqual([
+        'Title', 'Summary', 'Motivation', 'Specification', 'Benefits', 'Drawbacks', 'Implementation'
+      ]);
+      expect(draft.missingSections).toEqual([]);
+      expect(draft.sections[1].citations).toEqual([1]);
+      expect(draft.sections[5].citations).toEqual([2]);
+      expect(draft.citations.map(citation => citation.url)).toEqual([
+        'https://forum.superrare.com/t/12',
+        'https://forum.superrare.com/t/20'
+      ]);
+      expect(draft.markdown).toContain('# Artist Grants Round 2');
+      expect(draft.markdown).toContain('## Motivation\n\nThe first round was a success [1].');
+      expect(draft.markdown).toContain('## References');
+
+      const prompt = llm.calls[0][1].content;
+      expect(prompt).toContain('[2] "SIP-20: Spending Cap"');
+      expect(prompt).toContain('- Fund artists');
+    });
+
+    test('should fall back to markdown headings and custom templates', async () => {
+      const llm = new ScriptedProvider('## Summary\nShort summary.\n\n## Budget\n10,000 RARE [1]');
+      const agent = new DraftingAgentProvider(llm, {});
+
+      const draft = await agent.draft(research, ['Keep it small'], {
+        name: 'FundingRequest',
+        sections: ['Summary', 'Budget', 'Timeline']
+      }, { includeCitations: false });
+
+      expect(draft.template).toBe('FundingRequest');
+      expect(draft.sections[0].content).toBe('Short summary.');
+      expect(draft.sections[1].content).toBe('10,000 RARE');
+      expect(draft.citations).toEqual([]);
+      expect(draft.missingSections).toEqual(['Timeline']);
+    });
+
+    test('should collect section-level objections from each persona', async () => {
+      class PersonaProvider extends BaseLLMProvider {
+        async chat(messages) {
+          if (messages[0].content.includes('Treasury Hawk')) {
+            return JSON.stringify({
+              objections: [{
+                section: 'specification',
+                objection: 'No budget cap is given.',
+                severity: 'HIGH',
+                suggestedRewrite: 'Cap the programme at 10,000 RARE.'
+              }]
+            });
+          }
+          if (messages[0].content.includes('Protocol Engineer')) {
+            return 'not json';
+          }
+          return JSON.stringify({
+            objections: [{ section: 'Roadmap', objection: 'Unclear timing.', severity: 'urgent' }]
+          });
+        }
+      }
+      const agent = new DraftingAgentProvider(new PersonaProvider(), {});
+      const draft = {
+        markdown: '# Grants\n\n## Specification\n\nFund artists.',
+        sections: [{ name: 'Title' }, { name: 'Specification' }]
+      };
+
+      const critique = await agent.simulateCritique(draft, {
+        personas: ['Treasury Hawk', 'Artist', { name: 'Protocol Engineer', perspective: 'Technical review.' }]
+      });
+
+      expect(critique.critiques.map(c => c.persona.id)).toEqual(['treasury-hawk', 'artist', 'protocol-engineer']);
+      expect(critique.objections[0]).toEqual({
+        persona: 'treasury-hawk',
+        section: 'Specification',
+        objection: 'No budget cap is given.',
+        severity: 'high',
+        suggestedRewrite: 'Cap the programme at 10,000 RARE.'
+      });
+      expect(critique.objections[1].section).toBe('Roadmap');
+      expect(critique.objections[1].severity).toBe('medium');
+      expect(critique.critiques[2].objections).toEqual([]);
+      expect(critique.severityCounts).toEqual({ high: 1, medium: 1, low: 0 });
+      expect(critique.hasHighSeverity).toBe(true);
+      expect(critique.failedPersonas).toEqual([
+        { id: 'protocol-engineer', name: 'Protocol Engineer', error: critique.critiques[2].error }
+      ]);
+      expect(critique.failedCount).toBe(1);
+    });
+
+    test('should revise until no high-severity objections remain and log each round', async () => {
+      const sections = {
+        Title: 'Grants', Summary: 'Fund artists [1].', Motivation: 'Growth.', Specification: 'Fund 20 artists.',
+        Benefits: 'More art.', Drawbacks: 'Cost.', Implementation: 'Transfer funds.'
+      };
+      let critiqueCount = 0;
+      class LoopProvider extends BaseLLMProvider {
+        async chat(messages) {
+          const prompt = messages[messages.length - 1].content;
+          if (prompt.includes('Revise the governance proposal')) {
+            return JSON.stringify({
+              sections: { Specification: 'Fund 20 artists, capped at 10,000 RARE.' },
+              changes: [{ section: 'Specification', summary: 'Added a budget cap', reason: 'Treasury Hawk objection' }]
+            });
+          }
+          if (prompt.includes('Draft a governance proposal')) {
+            return JSON.stringify({ sections });
+          }
+          critiqueCount++;
+          const severity = critiqueCount === 1 ? 'high' : 'low';
+          return JSON.stringify({
+            objections: [{ section: 'Specification', objection: 'Budget?', severity }]
+          });
+        }
+      }
+      const agent = new DraftingAgentProvider(new LoopProvider(), {});
+
+      const result = await agent.draftIteratively(research, [], null, { personas: ['Treasury Hawk'], maxRounds: 3 });
+
+      expect(result.rounds).toBe(1);
+      expect(result.stoppedReason).toBe('no-high-severity');
+      expect(result.draft.sections[3].content).toBe('Fund 20 artists, capped at 10,000 RARE.');
+      expect(result.draft.sections[1].citations).toEqual([1]);
+      expect(result.revisionLog).toEqual([{
+        round: 1,
+        severityBefore: { high: 1, medium: 0, low: 0 },
+        severityAfter: { high: 0, medium: 0, low: 1 },
+        changedSections: ['Specification'],
+        changes: [{ section: 'Specification', summary: 'Added a budget cap', reason: 'Treasury Hawk objection' }]
+      }]);
+    });
+
+    test('should stop after the maximum number of rounds', async () => {
+      class StubbornProvider extends BaseLLMProvider {
+        async chat(messages) {
+          const prompt = messages[messages.length - 1].content;
+          if (prompt.includes('Revise the governance proposal') || prompt.includes('Draft a governance proposal')) {
+            return JSON.stringify({ sections: { Title: 'Grants', Summary: `Revision ${Math.random()}` } });
+          }
+          return JSON.stringify({ objections: [{ section: 'Summary', objection: 'Too vague', severity: 'high' }] });
+        }
+      }
+      const agent = new DraftingAgentProvider(new StubbornProvider(), { maxRevisionRounds: 2 });
+
+      const result = await agent.draftIteratively(research, [], null, { personas: ['Collector'] });
+
+      expect(result.rounds).toBe(2);
+      expect(result.stoppedReason).toBe('max-rounds');
+      expect(result.revisionLog).toHaveLength(2);
+      expect(result.critique.hasHighSeverity).toBe(true);
+
+      expect(new DraftingAgentProvider(new StubbornProvider(), { maxRevisionRounds: 0 }).maxRevisionRounds).toBe(0);
+    });
+
+    test('should report a failed critique rather than a clean draft when every persona errors', async () => {
+      class OutageProvider extends BaseLLMProvider {
+        async chat(messages) {
+          const prompt = messages[messages.length - 1].content;
+          if (prompt.includes('Draft a governance proposal')) {
+            return JSON.stringify({ sections: { Title: 'Grants', Summary: 'Fund artists.' } });
+          }
+          throw Object.assign(new Error('Service unavailable'), { status: 503 });
+        }
+      }
+      const agent = new DraftingAgentProvider(new OutageProvider(), {});
+
+      const result = await agent.draftIteratively(research, [], null, { personas: ['Treasury Hawk', 'Collector'], maxRounds: 3 });
+
+      expect(result.stoppedReason).toBe('critique-failed');
+      expect(result.rounds).toBe(0);
+      expect(result.critique.failedCount).toBe(2);
+      expect(result.critique.failedPersonas.map(persona => persona.id)).toEqual(['treasury-hawk', 'collector']);
+    });
+
+    test('should use the default personas', async () => {
+      const llm = new ScriptedProvider(JSON.stringify({ objections: [] }));
+      const agent = new DraftingAgentProvider(llm, {});
+
+      const critique = await agent.simulateCritique('# Grants\n\nFund artists.');
+
+      expect(critique.critiques.map(c => c.persona.name)).toEqual([
+        'Treasury Hawk', 'RareDAO Council Member', 'Artist', 'Collector'
+      ]);
+      expect(critique.hasHighSeverity).toBe(false);
+      expect(critique.failedPersonas).toEqual([]);
+      expect(critique.failedCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+// @vitest-environment node
+/**
+ * Tests for cancelling LLM calls with an AbortSignal and per-provider timeouts
+ */
+
+const { BaseLLMProvider, isAbortError } = require('../../src/providers/base');
+const { OpenAIProvider } = require('../../src/providers/openai');
+const { AnthropicProvider } = require('../../src/providers/anthropic');
+const { FallbackChainProvider } = require('../../src/providers/fallback');
+const { providerRegistry } = require('../../src/providers/registry');
+const { ChatService } = require('../../src/services/chat');
+
+// Streams its chunks, aborting the controller after the given number of them
+class StreamingProvider extends BaseLLMProvider {
+  constructor(chunks, controller, abortAfter) {
+    super();
+    this.chunks = chunks;
+    this.controller = controller;
+    this.abortAfter = abortAfter;
+  }
+
+  async *chatStream(messages, options = {}) {
+    for (let i = 0; i < this.chunks.length; i++) {
+      if (i === this.abortAfter) {
+        this.controller.abort();
+      }
+      options.signal.throwIfAborted();
+      yield this.chunks[i];
+    }
+  }
+}
+
+describe('Cancellation and timeouts', () => {
+  afterEach(() => {
+    delete process.env.OPENAI_TIMEOUT_MS;
+  });
+
+  test('passes the signal to the OpenAI and Anthropic SDK requests', async () => {
+    const controller = new AbortController();
+
+    const openai = new OpenAIProvider({ apiKey: 'test-key', model: 'gpt-4o' });
+    const openaiCreate = vi.fn().mockResolvedValue({ choices: [{ message: { content: 'Hi' } }] });
+    openai.client = { chat: { completions: { create: openaiCreate } } };
+    await openai.chat([{ role: 'user', content: 'Hello' }], { signal: controller.signal });
+    expect(openaiCreate.mock.calls[0][1]).toEqual({ signal: controller.signal });
+
+    const anthropic = new AnthropicProvider({ apiKey: 'test-key' });
+    const anthropicCreate = vi.fn().mockResolvedValue({ content: [{ type: 'text', text: 'Hi' }] });
+    anthropic.client = { messages: { create: anthropicCreate } };
+    await anthropic.chat([{ role: 'user', content: 'Hello' }], { signal: controller.signal });
+    expect(anthropicCreate.mock.calls[0][1]).toEqual({ signal: controller.signal });
+  });
+
+  test('reads provider timeouts from the environment as numbers', () => {
+    process.env.OPENAI_TIMEOUT_MS = '45000';
+    expect(providerRegistry.resolveConfig('openai').timeout).toBe(45000);
+
+    process.env.OPENAI_TIMEOUT_MS = 'soon';
+    expect(() => providerRegistry.validateConfig('openai', providerRegistry.resolveConfig('openai', { apiKey: 'test-key' })))
+      .toThrow('Invalid config for openai provider: $.timeout: expected integer, got string');
+  });
+
+  test('the fallback chain neither retries nor falls through on a cancelled call', async () => {
+    const abortError = Object.assign(new Error('Request was aborted.'), { name: 'APIUserAbortError' });
+    const first = { chat: vi.fn().mockRejectedValue(abortError), model: 'a' };
+    const second = { chat: vi.fn().mockResolvedValue('second'), model: 'b' };
+    const chain = new FallbackChainProvider([{ name: 'first', provider: first }, { name: 'second', provider: second }], { baseDelay: 0 });
+
+    await expect(chain.chat([{ role: 'user', content: 'Hello' }])).rejects.toBe(abortError);
+    expect(first.chat).toHaveBeenCalledTimes(1);
+    expect(second.chat).not.toHaveBeenCalled();
+    expect(chain.getCircuitStates().first.failures).toBe(0);
+  });
+
+  test('the fallback chain stops waiting to retry when the call is cancelled', async () => {
+    const controller = new AbortController();
+    const provider = { chat: vi.fn().mockRejectedValue(Object.assign(new Error('Overloaded'), { status: 529 })), model: 'a' };
+    const chain = new FallbackChainProvider([{ name: 'flaky', provider }], { baseDelay: 60000 });
+
+    const call = chain.chat([{ role: 'user', content: 'Hello' }], { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    const error = await call.catch(e => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(provider.chat).toHaveBeenCalledTimes(1);
+  });
+
+  describe('chat service', () => {
+    let originalProvider;
+
+    beforeEach(() => {
+      originalProvider = global.llmProvider;
+    });
+
+    afterEach(() => {
+      global.llmProvider = originalProvider;
+    });
+
+    test('keeps the text streamed before the reply was stopped', async () => {
+      const controller = new AbortController();
+      global.llmProvider = new StreamingProvider(['SIP-20 ', 'adds oSnap ', 'for execution.'], controller, 2);
+      const chatService = new ChatService();
+      const tokens = [];
+
+      const result = await chatService.processMessageStream(
+        'What does SIP-20 do?', 'stop-1', null, [], null, token => tokens.push(token), { signal: controller.signal }
+      );
+
+      expect(result.aborted).toBe(true);
+      expect(result.message).toBe('SIP-20 adds oSnap ');
+      expect(tokens).toEqual(['SIP-20 ', 'adds oSnap ']);
+      expect(chatService.getChatHistory('stop-1').pop()).toMatchObject({ role: 'assistant', content: 'SIP-20 adds oSnap ' });
+    });
+
+    test('rethrows a cancellation that came before any text and records no reply', async () => {
+      const controller = new AbortController();
+      global.llmProvider = new StreamingProvider(['Too late'], controller, 0);
+      const chatService = new ChatService();
+
+      const error = await chatService.processMessageStream(
+        'Hello', 'stop-2', null, [], null, () => {}, { signal: controller.signal }
+      ).catch(e => e);
+
+      expect(isAbortError(error)).toBe(true);
+      expect(chatService.getChatHistory('stop-2').map(m => m.role)).toEqual(['user']);
+    });
+
+    test('passes the signal to the forum search and the summary request', async () => {
+      const controller = new AbortController();
+      const vectorService = { getVectorCount: () => 1, search: vi.fn().mockResolvedValue([]) };
+      const chatService = new ChatService({ contextWindow: 1200, maxResponseTokens: 200, vectorService });
+      const history = [1, 2, 3, 4].flatMap(turn => [
+        { role: 'user', content: `Turn ${turn}: ` + 'We need grants for artists. '.repeat(40) },
+        { role: 'assistant', content: 'Noted.' }
+      ]);
+      global.llmProvider = {
+        model: 'test-model',
+        // The summary request is cancelled, as when the client disconnects
+        chat: vi.fn(async (messages, options) => {
+          controller.abort();
+          options.signal.throwIfAborted();
+        })
+      };
+
+      const error = await chatService.processMessage(
+        'Turn 5', 'stop-4', null, [], [...history, { role: 'user', content: 'Turn 5' }], { signal: controller.signal }
+      ).catch(e => e);
+
+      expect(isAbortError(error)).toBe(true);
+      expect(vectorService.search.mock.calls[0][1].signal).toBe(controller.signal);
+      expect(global.llmProvider.chat).toHaveBeenCalledTimes(1);
+      expect(global.llmProvider.chat.mock.calls[0][1]).toMatchObject({ usage: { agent: 'summary' }, signal: controller.signal });
+      // Nothing was folded, so the next message can still summarize these turns
+      expect(chatService.getChatHistory('stop-4')).toHaveLength(9);
+      expect(chatService.summaries['stop-4']).toBeUndefined();
+    });
+
+    test('makes no LLM call for a request cancelled while it was being prepared', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      global.llmProvider = { chat: vi.fn(), model: 'gpt-4o' };
+
+      const error = await new ChatService().processMessage('Hello', 'stop-3', null, [], null, { signal: controller.signal }).catch(e => e);
+
+      expect(isAbortError(error)).toBe(true);
+      expect(global.llmProvider.chat).not.toHaveBeenCalled();
+    });
+  });
+});
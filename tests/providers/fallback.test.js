@@ -0,0 +1,189 @@
+// @vitest-environment node
+/**
+ * Tests for the fallback chain provider
+ */
+
+const { LLMProviderFactory } = require('../../src/providers/factory');
+const { BaseLLMProvider } = require('../../src/providers/base');
+const { FallbackChainProvider } = require('../../src/providers/fallback');
+
+// Fails with each queued error in turn, then answers
+class FlakyProvider extends BaseLLMProvider {
+  constructor(name, errors = []) {
+    super();
+    this.name = name;
+    this.model = `${name}-model`;
+    this.errors = [...errors];
+    this.calls = 0;
+  }
+
+  async chat() {
+    this.calls++;
+    if (this.errors.length > 0) {
+      throw this.errors.shift();
+    }
+    return `Answer from ${this.name}`;
+  }
+
+  async *chatStream(messages) {
+    yield await this.chat(messages);
+  }
+}
+
+const httpError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+
+const createChain = (providers, config = {}) => new FallbackChainProvider(
+  providers.map(provider => ({ name: provider.name, provider })),
+  { baseDelay: 1, ...config }
+);
+
+describe('FallbackChainProvider', () => {
+  const messages = [{ role: 'user', content: 'Hello' }];
+
+  test('retries transient errors with backoff before answering', async () => {
+    const primary = new FlakyProvider('anthropic', [httpError(429), httpError(503)]);
+    const chain = createChain([primary, new FlakyProvider('openai')]);
+
+    expect(await chain.chat(messages)).toBe('Answer from anthropic');
+    expect(primary.calls).toBe(3);
+    expect(chain.lastProvider).toBe('anthropic');
+    expect(chain.callLog[0]).toMatchObject({ provider: 'anthropic', method: 'chat', attempts: 3, fallbacks: [] });
+  });
+
+  test('falls through to the next provider and records which one answered', async () => {
+    const primary = new FlakyProvider('anthropic', [httpError(500), httpError(500), httpError(500)]);
+    const unauthorized = new FlakyProvider('openai', [httpError(401, 'Invalid API key')]);
+    const local = new FlakyProvider('local');
+    const chain = createChain([primary, unauthorized, local]);
+
+    expect(await chain.chat(messages)).toBe('Answer from local');
+    // 401 is not transient, so it isn't retried
+    expect(unauthorized.calls).toBe(1);
+    expect(chain.lastProvider).toBe('local');
+    expect(chain.callLog[0].fallbacks).toEqual(['anthropic: HTTP 500', 'openai: Invalid API key']);
+  });
+
+  test('opens the circuit after repeated failures and tries again after the reset timeout', async () => {
+    const primary = new FlakyProvider('anthropic', Array(3).fill(httpError(400)));
+    const backup = new FlakyProvider('openai');
+    const chain = createChain([primary, backup], { failureThreshold: 2, resetTimeout: 1000 });
+
+    await chain.chat(messages);
+    await chain.chat(messages);
+    expect(chain.getCircuitStates().anthropic.state).toBe('open');
+
+    await chain.chat(messages);
+    expect(primary.calls).toBe(2);
+
+    // After the timeout one trial call goes through; it fails, so the circuit re-opens
+    chain.circuits.anthropic.openedAt -= 1000;
+    expect(chain.getCircuitStates().anthropic.state).toBe('half-open');
+    await chain.chat(messages);
+    expect(primary.calls).toBe(3);
+    expect(chain.getCircuitStates().anthropic.state).toBe('open');
+
+    // A successful trial closes it again
+    chain.circuits.anthropic.openedAt -= 1000;
+    expect(await chain.chat(messages)).toBe('Answer from anthropic');
+    expect(chain.getCircuitStates().anthropic).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('lets a single trial call through a half-open circuit', async () => {
+    const primary = new FlakyProvider('anthropic', [httpError(400)]);
+    const backup = new FlakyProvider('openai');
+    const chain = createChain([primary, backup], { failureThreshold: 1, resetTimeout: 1000 });
+
+    await chain.chat(messages);
+    chain.circuits.anthropic.openedAt -= 1000;
+
+    // The trial holds the circuit until it settles; the concurrent calls go to the backup
+    let settle;
+    primary.chat = () => { primary.calls++; return new Promise(resolve => { settle = resolve; }); };
+    const trial = chain.chat(messages);
+    expect(await chain.chat(messages)).toBe('Answer from openai');
+    expect(await chain.chat(messages)).toBe('Answer from openai');
+    expect(primary.calls).toBe(2);
+
+    settle('Answer from anthropic');
+    expect(await trial).toBe('Answer from anthropic');
+    expect(chain.getCircuitStates().anthropic).toMatchObject({ state: 'closed', trialInFlight: false });
+  });
+
+  test('frees the trial when it is cancelled', async () => {
+    const abortError = Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+    const primary = new FlakyProvider('anthropic', [httpError(400), abortError]);
+    const chain = createChain([primary, new FlakyProvider('openai')], { failureThreshold: 1, resetTimeout: 1000 });
+
+    await chain.chat(messages);
+    chain.circuits.anthropic.openedAt -= 1000;
+    await expect(chain.chat(messages)).rejects.toThrow('Request was aborted.');
+
+    expect(await chain.chat(messages)).toBe('Answer from anthropic');
+    expect(primary.calls).toBe(3);
+  });
+
+  test('streams from the first provider that starts answering', async () => {
+    const chain = createChain([new FlakyProvider('anthropic', [httpError(400)]), new FlakyProvider('openai')]);
+    const chunks = [];
+
+    for await (const chunk of chain.chatStream(messages)) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual(['Answer from openai']);
+    expect(chain.lastProvider).toBe('openai');
+  });
+
+  test('streams a tool-calling response and passes on its tool calls', async () => {
+    const toolCall = { id: 'call_1', name: 'get_sip', arguments: { id: 101 } };
+    const backup = new FlakyProvider('openai');
+    backup.chatWithTools = async () => ({ content: 'Looking it up.', toolCalls: [toolCall] });
+    const chain = createChain([new FlakyProvider('anthropic', [httpError(400)]), backup]);
+    chain.providers[0].provider.chatWithTools = () => Promise.reject(httpError(400));
+
+    const stream = chain.chatWithToolsStream(messages, []);
+    const chunks = [];
+    let next;
+    while (!(next = await stream.next()).done) {
+      chunks.push(next.value);
+    }
+
+    expect(chunks).toEqual(['Looking it up.']);
+    expect(next.value).toEqual({ content: 'Looking it up.', toolCalls: [toolCall] });
+    expect(chain.callLog[0]).toMatchObject({ provider: 'openai', method: 'chatWithToolsStream' });
+  });
+
+  test('throws with every provider error when the whole chain fails', async () => {
+    const chain = createChain([
+      new FlakyProvider('anthropic', [httpError(400, 'Bad request')]),
+      new FlakyProvider('openai', [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })])
+    ], { maxRetries: 0 });
+
+    await expect(chain.chat(messages)).rejects.toThrow(
+      'All providers in the fallback chain failed: anthropic: Bad request; openai: socket hang up'
+    );
+  });
+
+  test('factory builds the chain in order and skips providers that are not configured', () => {
+    const chain = LLMProviderFactory.createProvider('fallback', {
+      providers: [
+        { type: 'local', config: { baseUrl: 'http://localhost:1234/v1', model: 'phi-4' } },
+        { type: 'unknown' }
+      ]
+    });
+
+    expect(chain.constructor.name).toBe('FallbackChainProvider');
+    expect(chain.providers.map(entry => entry.name)).toEqual(['local']);
+    expect(chain.model).toBe('phi-4');
+    expect(() => LLMProviderFactory.createProvider('fallback', { providers: [{ type: 'unknown' }] }))
+      .toThrow('None of the providers in the fallback chain could be created');
+  });
+
+  test('factory turns off the SDK retries of the providers in the chain', () => {
+    const chain = LLMProviderFactory.createProvider('fallback', {
+      providers: [{ type: 'anthropic', config: { apiKey: 'test-key' } }]
+    });
+
+    expect(chain.providers[0].provider.client.maxRetries).toBe(0);
+  });
+});
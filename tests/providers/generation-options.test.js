@@ -0,0 +1,79 @@
+// @vitest-environment node
+/**
+ * Tests for per-call generation options across providers
+ */
+
+const { OpenAIProvider } = require('../../src/providers/openai');
+const { AnthropicProvider } = require('../../src/providers/anthropic');
+const { LocalLLMProvider } = require('../../src/providers/local');
+const { BaseAgentProvider } = require('../../src/providers/agents/base');
+
+const messages = [
+  { role: 'system', content: 'You are helpful.' },
+  { role: 'user', content: 'Hello' }
+];
+
+describe('Generation options', () => {
+  test('OpenAI maps call options over its configured defaults', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'test-key', model: 'gpt-4o', temperature: 0.2, maxTokens: 100 });
+    const create = vi.fn().mockResolvedValue({ choices: [{ message: { content: 'Hi' } }] });
+    provider.client = { chat: { completions: { create } } };
+
+    await provider.chat(messages, { temperature: 0.9, stop: ['END'], topP: 0.5, seed: 7 });
+
+    expect(create.mock.calls[0][0]).toMatchObject({
+      temperature: 0.9,
+      max_tokens: 100,
+      stop: ['END'],
+      top_p: 0.5,
+      seed: 7
+    });
+  });
+
+  test('OpenAI reasoning models get max_completion_tokens and no sampling parameters', () => {
+    const provider = new OpenAIProvider({ apiKey: 'test-key', model: 'o3-mini' });
+    const params = provider.toRequestParams({ temperature: 0.5, maxTokens: 500 });
+
+    expect(params.max_completion_tokens).toBe(500);
+    expect(params.temperature).toBeUndefined();
+    expect(params.max_tokens).toBeUndefined();
+  });
+
+  test('Anthropic maps options to the Messages API and keeps a max_tokens default', async () => {
+    const provider = new AnthropicProvider({ apiKey: 'test-key' });
+    const create = vi.fn().mockResolvedValue({ content: [{ text: 'Hi' }] });
+    provider.client = { messages: { create } };
+
+    await provider.chat(messages, { temperature: 0.3, stop: 'END', topP: 0.8 });
+    expect(create.mock.calls[0][0]).toMatchObject({
+      max_tokens: 4096,
+      temperature: 0.3,
+      top_p: 0.8,
+      stop_sequences: ['END']
+    });
+
+    await provider.chat(messages, { maxTokens: 256 });
+    expect(create.mock.calls[1][0].max_tokens).toBe(256);
+  });
+
+  test('Local provider sends OpenAI-compatible parameters', async () => {
+    const provider = new LocalLLMProvider({ baseUrl: 'http://localhost:1234/v1' });
+    const post = vi.fn().mockResolvedValue({ data: { choices: [{ message: { content: 'Hi' } }] } });
+    provider.client = { post };
+
+    await provider.chat(messages, { maxTokens: 64, seed: 1, stop: ['\n\n'] });
+
+    expect(post.mock.calls[0][1]).toMatchObject({ max_tokens: 64, seed: 1, stop: ['\n\n'] });
+  });
+
+  test('agents apply their own defaults, overridable per call', async () => {
+    const llmProvider = { chat: vi.fn().mockResolvedValue('ok') };
+    const agent = new BaseAgentProvider(llmProvider, { temperature: 0.2, maxTokens: 300 });
+
+    await agent.chat([{ role: 'user', content: 'Hi' }]);
+    await agent.chat([{ role: 'user', content: 'Hi' }], { temperature: 1, seed: 3 });
+
+    expect(llmProvider.chat.mock.calls[0][1]).toMatchObject({ temperature: 0.2, maxTokens: 300 });
+    expect(llmProvider.chat.mock.calls[1][1]).toMatchObject({ temperature: 1, maxTokens: 300, seed: 3 });
+  });
+});
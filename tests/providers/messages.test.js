@@ -0,0 +1,91 @@
+// @vitest-environment node
+/**
+ * Tests for the shared message normalisation layer
+ */
+
+const {
+  mergeSystemMessages,
+  collapseConsecutiveRoles,
+  toAnthropicMessages,
+  toOpenAIMessages
+} = require('../../src/providers/messages');
+const { OpenAIProvider } = require('../../src/providers/openai');
+const { AnthropicProvider } = require('../../src/providers/anthropic');
+
+// A base prompt, retrieved sources and an agent instruction layered around the conversation
+const layered = [
+  { role: 'system', content: 'You are the SIP assistant.' },
+  { role: 'system', content: '## Sources\n[1] SIP-12' },
+  { role: 'user', content: 'What did SIP-12 do?', sources: [{ id: 1 }] },
+  { role: 'user', content: 'Keep it short.' },
+  { role: 'assistant', content: 'It set up grants.' },
+  { role: 'system', content: 'Answer in English.' },
+  { role: 'user', content: 'And who voted?' }
+];
+
+describe('Message normalisation', () => {
+  test('merges every system segment in order and keeps the other turns', () => {
+    const { system, messages } = mergeSystemMessages(layered);
+
+    expect(system).toBe('You are the SIP assistant.\n\n## Sources\n[1] SIP-12\n\nAnswer in English.');
+    expect(messages.map(m => m.role)).toEqual(['user', 'user', 'assistant', 'user']);
+    expect(messages[0]).toEqual({ role: 'user', content: 'What did SIP-12 do?' });
+  });
+
+  test('collapses consecutive turns from the same role', () => {
+    const collapsed = collapseConsecutiveRoles([
+      { role: 'user', content: 'a' },
+      { role: 'user', content: 'b' },
+      { role: 'assistant', content: 'c' }
+    ]);
+
+    expect(collapsed).toEqual([
+      { role: 'user', content: 'a\n\nb' },
+      { role: 'assistant', content: 'c' }
+    ]);
+  });
+
+  test('shapes alternating turns and a top-level system prompt for Anthropic', () => {
+    const { system, messages } = toAnthropicMessages(layered);
+
+    expect(system).toContain('Answer in English.');
+    expect(messages).toEqual([
+      { role: 'user', content: 'What did SIP-12 do?\n\nKeep it short.' },
+      { role: 'assistant', content: 'It set up grants.' },
+      { role: 'user', content: 'And who voted?' }
+    ]);
+  });
+
+  test('keeps the original roles for OpenAI behind one system message', () => {
+    const messages = toOpenAIMessages(layered);
+
+    expect(messages.map(m => m.role)).toEqual(['system', 'user', 'user', 'assistant', 'user']);
+    expect(messages[0].content).toContain('## Sources');
+  });
+
+  test('drops empty turns', () => {
+    expect(toOpenAIMessages([{ role: 'user', content: '  ' }, { role: 'user', content: 'Hi' }]))
+      .toEqual([{ role: 'user', content: 'Hi' }]);
+  });
+
+  test('providers send the normalised messages', async () => {
+    const anthropic = new AnthropicProvider({ apiKey: 'test-key' });
+    const anthropicCreate = vi.fn().mockResolvedValue({ content: [{ text: 'ok' }] });
+    anthropic.client = { messages: { create: anthropicCreate } };
+    await anthropic.chat(layered);
+    expect(anthropicCreate.mock.calls[0][0].system).toContain('## Sources');
+    expect(anthropicCreate.mock.calls[0][0].messages).toHaveLength(3);
+
+    const openai = new OpenAIProvider({ apiKey: 'test-key', model: 'gpt-4o' });
+    const openaiCreate = vi.fn().mockResolvedValue({ choices: [{ message: { content: 'ok' } }] });
+    openai.client = { chat: { completions: { create: openaiCreate } } };
+    await openai.chat(layered);
+    expect(openaiCreate.mock.calls[0][0].messages[0].role).toBe('system');
+
+    // o1-mini rejects system messages, so the merged prompt opens the first user turn
+    openai.model = 'o1-mini';
+    await openai.chat(layered);
+    expect(openaiCreate.mock.calls[1][0].messages[0].role).toBe('user');
+    expect(openaiCreate.mock.calls[1][0].messages[0].content).toMatch(/^You are the SIP assistant\./);
+  });
+});
@@ -0,0 +1,123 @@
+// @vitest-environment node
+/**
+ * Tests for the provider registry and the factory built on it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProviderRegistry } = require('../../src/providers/registry');
+const { LLMProviderFactory, providerRegistry } = require('../../src/providers/factory');
+const { BaseLLMProvider } = require('../../src/providers/base');
+const { OpenAIProvider } = require('../../src/providers/openai');
+
+// Answers every message with the same text
+class EchoProvider extends BaseLLMProvider {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.model = config.model || 'echo-1';
+  }
+
+  async chat(messages) {
+    return messages[messages.length - 1].content;
+  }
+}
+
+const echoDefinition = {
+  label: 'Echo',
+  capabilities: ['chat'],
+  configSchema: {
+    type: 'object',
+    properties: {
+      model: { type: 'string', env: 'ECHO_MODEL' },
+      delay: { type: 'integer' }
+    }
+  },
+  defaultModels: ['echo-1'],
+  create: config => new EchoProvider(config)
+};
+
+describe('Provider registry', () => {
+  afterEach(() => {
+    delete process.env.ECHO_MODEL;
+  });
+
+  test('registers the built-in providers and agents with their capabilities', () => {
+    expect(providerRegistry.names()).toEqual(expect.arrayContaining(['openai', 'anthropic', 'local', 'replay', 'fallback']));
+    expect(providerRegistry.get('anthropic').capabilities).toContain('tools');
+    expect(providerRegistry.getAgent('draftingAgent').name).toBe('drafting');
+    expect(providerRegistry.findAgentWithCapability('interview').name).toBe('interview');
+  });
+
+  test('creates plugin providers by name with environment defaults and schema checks', async () => {
+    LLMProviderFactory.registerProvider('echo', echoDefinition);
+    process.env.ECHO_MODEL = 'echo-2';
+
+    const provider = LLMProviderFactory.createProvider('Echo');
+    expect(provider).toBeInstanceOf(EchoProvider);
+    expect(provider.model).toBe('echo-2');
+    expect(await provider.chat([{ role: 'user', content: 'ping' }])).toBe('ping');
+
+    expect(() => LLMProviderFactory.createProvider('echo', { delay: 'soon' }))
+      .toThrow('Invalid config for echo provider: $.delay: expected integer, got string');
+  });
+
+  test('creates agents registered at runtime by type or capability', () => {
+    class SummaryAgent extends BaseLLMProvider {
+      constructor(llmProvider, config) {
+        super();
+        this.llmProvider = llmProvider;
+        this.config = config;
+      }
+    }
+    const llmProvider = new EchoProvider({});
+    LLMProviderFactory.registerAgent('summary', {
+      capabilities: ['summarize-thread'],
+      aliases: ['summaryAgent'],
+      create: (provider, config) => new SummaryAgent(provider, config)
+    });
+
+    const agent = LLMProviderFactory.createAgentProvider('summaryAgent', llmProvider, { length: 'short' });
+    expect(agent).toBeInstanceOf(SummaryAgent);
+    expect(agent.config).toEqual({ length: 'short' });
+    expect(LLMProviderFactory.getProviderWithCapability('summarize-thread', llmProvider)).toBeInstanceOf(SummaryAgent);
+    expect(() => LLMProviderFactory.createAgentProvider('unknown', llmProvider)).toThrow('Unknown agent type: unknown');
+  });
+
+  test('caches model lists and falls back to the default models when listing fails', async () => {
+    const registry = new ProviderRegistry();
+    const listModels = vi.fn()
+      .mockResolvedValueOnce(['echo-1', 'echo-2'])
+      .mockRejectedValue(new Error('connect ECONNREFUSED'));
+    registry.register('echo', { ...echoDefinition, listModels });
+    registry.register('flaky', { ...echoDefinition, listModels: vi.fn().mockRejectedValue(new Error('401 Unauthorized')) });
+
+    expect(await registry.listModels('echo')).toEqual({ models: ['echo-1', 'echo-2'], error: null });
+    expect(await registry.listModels('echo')).toEqual({ models: ['echo-1', 'echo-2'], error: null });
+    expect(listModels).toHaveBeenCalledTimes(1);
+    expect(await registry.listModels('flaky')).toEqual({ models: ['echo-1'], error: '401 Unauthorized' });
+  });
+
+  test('loads plugins that register themselves', () => {
+    const registry = new ProviderRegistry();
+    const pluginPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'registry-')), 'plugin.js');
+    fs.writeFileSync(pluginPath, `module.exports = { register(registry) { registry.register('plugin', { create: () => ({}) }); } };`);
+
+    expect(registry.loadPlugins([pluginPath, './does-not-exist.js'])).toEqual([pluginPath]);
+    expect(registry.has('plugin')).toBe(true);
+  });
+
+  test('OpenAI lists only its chat models', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'test-key' });
+    provider.client = {
+      models: {
+        list: vi.fn().mockResolvedValue({
+          data: [{ id: 'gpt-4o' }, { id: 'text-embedding-3-small' }, { id: 'o3-mini' }, { id: 'gpt-4o-realtime-preview' }, { id: 'dall-e-3' }]
+        })
+      }
+    };
+
+    expect(await provider.listModels()).toEqual(['gpt-4o', 'o3-mini']);
+  });
+});
@@ -0,0 +1,123 @@
+// @vitest-environment node
+/**
+ * End-to-end tests of the chat, retrieval and drafting flows against
+ * recorded LLM responses, so they run on CI without API keys.
+ *
+ * The fixtures in tests/fixtures/llm are replayed by default. To re-record
+ * them against a real provider (LLM_RECORD_PROVIDER, default openai), run:
+ *   npm run test:record
+ */
+
+const { LLMProviderFactory } = require('../../src/providers/factory');
+const { ChatService } = require('../../src/services/chat');
+const { RetrievalAgentProvider } = require('../../src/providers/agents/retrieval');
+const { DraftingAgentProvider, DEFAULT_SIP_TEMPLATE } = require('../../src/providers/agents/drafting');
+
+const forumResults = [
+  {
+    id: 'forum_12_0',
+    text: 'Title: SIP-12: Artist Grants Programme\n\nContent: Allocates 250,000 RARE per quarter to grants for emerging artists, reviewed by a five-member committee.',
+    metadata: { title: 'SIP-12: Artist Grants Programme', url: 'https://forum.superrare.com/t/sip-12/812', date: '2023-01-10' },
+    score: 0.91
+  },
+  {
+    id: 'forum_20_0',
+    text: 'Title: SIP-20: Treasury Spending Cap\n\nContent: Caps discretionary treasury spending at 5% of holdings per quarter unless approved by a supermajority.',
+    metadata: { title: 'SIP-20: Treasury Spending Cap', url: 'https://forum.superrare.com/t/sip-20/944', date: '2023-06-02' },
+    score: 0.84
+  }
+];
+
+const createVectorService = () => ({
+  getVectorCount: () => forumResults.length,
+  search: vi.fn(async () => forumResults)
+});
+
+const createProvider = () => {
+  const mode = process.env.LLM_REPLAY_MODE || 'replay';
+  return LLMProviderFactory.createProvider('replay', {
+    mode,
+    llmProvider: mode === 'replay' ? null : (process.env.LLM_RECORD_PROVIDER || 'openai')
+  });
+};
+
+describe('Replayed end-to-end flows', () => {
+  let originalProvider;
+
+  beforeEach(() => {
+    // The chat system prompt includes today's date, which is part of the fixture key
+    vi.useFakeTimers({ toFake: ['Date'], now: new Date('2025-03-01T12:00:00Z') });
+    originalProvider = global.llmProvider;
+    global.llmProvider = createProvider();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    global.llmProvider = originalProvider;
+  });
+
+  test('chat answers from forum excerpts with citations, then streams a follow-up', async () => {
+    const chatService = new ChatService({ vectorService: createVectorService() });
+
+    const first = await chatService.processMessage(
+      'What did SIP-12 set up for artists?', 'replay-chat', null, []
+    );
+
+    expect(first.message.length).toBeGreaterThan(0);
+    expect(first.sources.map(source => source.marker)).toEqual([1, 2]);
+    expect(first.citations.length).toBeGreaterThan(0);
+    for (const citation of first.citations) {
+      expect(first.message).toContain(`[${citation.marker}]`);
+    }
+
+    const tokens = [];
+    const followUp = await chatService.processMessageStream(
+      'Would a larger grants budget run into the spending cap?', 'replay-chat', null, [], null,
+      delta => tokens.push(delta)
+    );
+
+    expect(tokens.length).toBeGreaterThan(0);
+    expect(tokens.join('')).toBe(followUp.message);
+    expect(chatService.getChatHistory('replay-chat')).toHaveLength(4);
+  });
+
+  test('retrieval enhances the query before searching and summarizes the results', async () => {
+    const agent = new RetrievalAgentProvider(global.llmProvider, { limit: 2 });
+    agent.vectorService = createVectorService();
+
+    const results = await agent.retrieve('artist grants', { enhanceQuery: true });
+
+    const [searchedQuery] = agent.vectorService.search.mock.calls[0];
+    expect(typeof searchedQuery).toBe('string');
+    expect(searchedQuery).not.toBe('artist grants');
+    expect(results.map(result => result.id)).toEqual(['forum_12_0', 'forum_20_0']);
+    expect(results[0].citation).toContain('SIP-12: Artist Grants Programme');
+
+    const summary = await agent.summarizeResults(results, 'artist grants');
+    expect(summary.length).toBeGreaterThan(0);
+  });
+
+  test('drafting fills every template section and resolves citations', async () => {
+    const agent = new DraftingAgentProvider(global.llmProvider);
+    const research = forumResults.map(result => ({
+      ...result,
+      citation: `"${result.metadata.title}" (${result.metadata.date}) - ${result.metadata.url}`
+    }));
+    const insights = {
+      goals: ['Double the artist grants budget'],
+      constraints: ['Stay within the SIP-20 spending cap'],
+      stakeholders: ['Emerging artists', 'Grants committee'],
+      openQuestions: []
+    };
+
+    const draft = await agent.draft(research, insights);
+
+    expect(draft.sections.map(section => section.name)).toEqual(DEFAULT_SIP_TEMPLATE.sections);
+    expect(draft.missingSections).toEqual([]);
+    expect(draft.title.length).toBeGreaterThan(0);
+    expect(draft.markdown).toContain('## Motivation');
+    for (const citation of draft.citations) {
+      expect([1, 2]).toContain(citation.marker);
+    }
+  });
+});
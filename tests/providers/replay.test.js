@@ -0,0 +1,114 @@
+/**
+ * Tests for the record/replay provider
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LLMProviderFactory } = require('../../src/providers/factory');
+const { BaseLLMProvider } = require('../../src/providers/base');
+const { RecordReplayProvider } = require('../../src/providers/replay');
+
+class CountingProvider extends BaseLLMProvider {
+  constructor() {
+    super();
+    this.model = 'counting-model';
+    this.calls = 0;
+  }
+
+  async complete(prompt) {
+    this.calls++;
+    return `Completed: ${prompt}`;
+  }
+
+  async chat(messages) {
+    this.calls++;
+    return `Reply ${this.calls} to ${messages[messages.length - 1].content}`;
+  }
+
+  async *chatStream(messages) {
+    this.calls++;
+    yield 'Streamed ';
+    yield 'reply';
+  }
+}
+
+describe('RecordReplayProvider', () => {
+  let fixturesDir;
+
+  beforeEach(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('replays recorded responses without calling a provider', async () => {
+    const recorded = new CountingProvider();
+    const recorder = new RecordReplayProvider(recorded, { mode: 'record', fixturesDir });
+    const messages = [{ role: 'user', content: 'Hello' }];
+
+    expect(await recorder.chat(messages)).toBe('Reply 1 to Hello');
+    expect(await recorder.complete('Write a haiku')).toBe('Completed: Write a haiku');
+    expect(fs.readdirSync(fixturesDir)).toHaveLength(2);
+
+    const player = new RecordReplayProvider(null, { mode: 'replay', fixturesDir });
+    // Extra fields such as sources are not sent to the model, so they don't change the key
+    expect(await player.chat([{ role: 'user', content: 'Hello', sources: [{ marker: 1 }] }])).toBe('Reply 1 to Hello');
+    expect(await player.complete('Write a haiku')).toBe('Completed: Write a haiku');
+    expect(recorded.calls).toBe(2);
+
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, `${player.getFixtureKey('chat', { messages })}.json`), 'utf8'));
+    expect(fixture).toMatchObject({ method: 'chat', model: 'counting-model', request: { messages }, response: 'Reply 1 to Hello' });
+  });
+
+  test('replays streamed responses chunk by chunk', async () => {
+    const recorder = new RecordReplayProvider(new CountingProvider(), { mode: 'record', fixturesDir });
+    const messages = [{ role: 'user', content: 'Stream please' }];
+    for await (const chunk of recorder.chatStream(messages)) {
+      // Drain the stream so it is recorded
+    }
+
+    const player = new RecordReplayProvider(null, { mode: 'replay', fixturesDir });
+    const chunks = [];
+    for await (const chunk of player.chatStream(messages)) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual(['Streamed ', 'reply']);
+    expect(await player.chat(messages)).toBe('Streamed reply');
+  });
+
+  test('fails with the fixture key when a request was never recorded', async () => {
+    const player = new RecordReplayProvider(null, { mode: 'replay', fixturesDir });
+
+    await expect(player.chat([{ role: 'user', content: 'Unseen' }])).rejects.toThrow(/No recorded chat fixture [0-9a-f]{16}/);
+
+    const stream = player.chatStream([{ role: 'user', content: 'Unseen stream' }]);
+    await expect(stream.next()).rejects.toThrow(/No recorded chat fixture [0-9a-f]{16}/);
+  });
+
+  test('auto mode records only requests without a fixture', async () => {
+    const recorded = new CountingProvider();
+    const provider = new RecordReplayProvider(recorded, { mode: 'auto', fixturesDir });
+
+    await provider.chat([{ role: 'user', content: 'Once' }]);
+    const replayed = await provider.chat([{ role: 'user', content: 'Once' }]);
+
+    expect(replayed).toBe('Reply 1 to Once');
+    expect(recorded.calls).toBe(1);
+  });
+
+  test('factory creates the provider and requires a provider to record', () => {
+    const player = LLMProviderFactory.createProvider('replay', { mode: 'replay', fixturesDir });
+    expect(player.constructor.name).toBe('RecordReplayProvider');
+    expect(player.fixturesDir).toBe(fixturesDir);
+
+    const recorder = LLMProviderFactory.createProvider('replay', { mode: 'record', fixturesDir, llmProvider: new CountingProvider() });
+    expect(recorder.model).toBe('counting-model');
+
+    expect(() => LLMProviderFactory.createProvider('replay', { mode: 'record', fixturesDir }))
+      .toThrow('llmProvider is required to record fixtures with the replay provider');
+  });
+});
@@ -0,0 +1,108 @@
+// @vitest-environment node
+/**
+ * Tests for schema-validated JSON output and the providers' native JSON modes
+ */
+
+const { validateSchema } = require('../../src/utils/schema');
+const { BaseLLMProvider } = require('../../src/providers/base');
+const { BaseAgentProvider } = require('../../src/providers/agents/base');
+const { OpenAIProvider } = require('../../src/providers/openai');
+const { AnthropicProvider } = require('../../src/providers/anthropic');
+
+const schema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    tags: { type: 'array', items: { type: 'string' } },
+    severity: { type: 'string', enum: ['high', 'low'] }
+  },
+  required: ['title']
+};
+
+// Answers with each queued response in turn, recording the requests
+class QueueProvider extends BaseLLMProvider {
+  constructor(responses) {
+    super();
+    this.responses = responses;
+    this.calls = [];
+  }
+
+  async chat(messages, options) {
+    this.calls.push({ messages, options });
+    return this.responses.shift();
+  }
+}
+
+describe('Structured output', () => {
+  test('validateSchema reports each violation with its path', () => {
+    expect(validateSchema({ title: 'Grants', tags: ['a'] }, schema)).toEqual([]);
+    expect(validateSchema({ tags: ['a', 2], severity: 'urgent' }, schema)).toEqual([
+      '$.title: is required',
+      '$.tags[1]: expected string, got integer',
+      '$.severity: must be one of "high", "low"'
+    ]);
+    expect(validateSchema('text', schema)).toEqual(['$: expected object, got string']);
+  });
+
+  test('chatJSON re-prompts with the validation errors until the response is valid', async () => {
+    const llm = new QueueProvider([
+      'Sure! Here you go.',
+      JSON.stringify({ tags: 'grants' }),
+      'Corrected:\n```json\n{"title": "Artist grants", "tags": ["grants"]}\n```'
+    ]);
+    const agent = new BaseAgentProvider(llm, {});
+
+    const result = await agent.chatJSON([{ role: 'user', content: 'Summarize as JSON' }], schema, { schemaName: 'summary' });
+
+    expect(result).toEqual({ title: 'Artist grants', tags: ['grants'] });
+    expect(llm.calls).toHaveLength(3);
+    expect(llm.calls[0].options.responseFormat).toEqual({ type: 'json', name: 'summary', schema });
+
+    const repair = llm.calls[2].messages[llm.calls[2].messages.length - 1].content;
+    expect(repair).toContain('$.title: is required');
+    expect(repair).toContain('$.tags: expected array, got string');
+  });
+
+  test('chatJSON gives up after maxRepairAttempts with the errors and last response', async () => {
+    const llm = new QueueProvider(['{}', '{}']);
+    const agent = new BaseAgentProvider(llm, { maxRepairAttempts: 1 });
+
+    const error = await agent.chatJSON([{ role: 'user', content: 'JSON please' }], schema).catch(e => e);
+
+    expect(error.validationErrors).toEqual(['$.title: is required']);
+    expect(error.raw).toBe('{}');
+    expect(llm.calls).toHaveLength(2);
+  });
+
+  test('OpenAI uses Structured Outputs, JSON mode or nothing depending on the model', () => {
+    const responseFormat = { type: 'json', name: 'summary', schema };
+    const provider = new OpenAIProvider({ apiKey: 'test-key', model: 'gpt-4o' });
+    expect(provider.toRequestParams({ responseFormat }).response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: 'summary', schema, strict: false }
+    });
+
+    provider.model = 'gpt-3.5-turbo';
+    expect(provider.toRequestParams({ responseFormat }).response_format).toEqual({ type: 'json_object' });
+
+    provider.model = 'o1-mini';
+    expect(provider.toRequestParams({ responseFormat }).response_format).toBeUndefined();
+  });
+
+  test('Anthropic forces a tool call and returns its input as JSON', async () => {
+    const provider = new AnthropicProvider({ apiKey: 'test-key' });
+    const create = vi.fn().mockResolvedValue({
+      content: [{ type: 'tool_use', name: 'summary', input: { title: 'Artist grants' } }]
+    });
+    provider.client = { messages: { create } };
+
+    const response = await provider.chat(
+      [{ role: 'user', content: 'Summarize' }],
+      { responseFormat: { type: 'json', name: 'summary', schema } }
+    );
+
+    expect(JSON.parse(response)).toEqual({ title: 'Artist grants' });
+    expect(create.mock.calls[0][0].tools[0]).toMatchObject({ name: 'summary', input_schema: schema });
+    expect(create.mock.calls[0][0].tool_choice).toEqual({ type: 'tool', name: 'summary' });
+  });
+});
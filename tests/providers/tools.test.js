@@ -0,0 +1,296 @@
+// @vitest-environment node
+/**
+ * Tests for tool calling: the message mapping, the providers' tool APIs,
+ * the SIP tools and the chat tool loop
+ */
+
+const { toOpenAIMessages, toAnthropicMessages } = require('../../src/providers/messages');
+const { BaseLLMProvider } = require('../../src/providers/base');
+const { OpenAIProvider } = require('../../src/providers/openai');
+const { AnthropicProvider } = require('../../src/providers/anthropic');
+const { ToolService } = require('../../src/services/tools');
+const { ChatService } = require('../../src/services/chat');
+
+const sipData = [
+  { id: 101, t: '[SIP-20] Add oSnap to RareDAO', d: '2024-02-01T00:00:00Z', c: '<p>Use <b>oSnap</b> for execution.</p>', url: 'https://forum/t/101', status: '' },
+  { id: 102, t: 'SIP | Improve $RARE liquidity', d: '2024-05-01T00:00:00Z', c: '<p>Liquidity</p>', url: 'https://forum/t/102', status: 'treasury-management' },
+  { id: 103, t: 'SIP | Annual budget', d: '2024-08-01T00:00:00Z', c: '<p>Budget</p>', url: 'https://forum/t/103', status: 'treasury-management, meta_governance' }
+];
+
+// A turn where the model called two tools, then their results
+const toolTurns = [
+  { role: 'system', content: 'You are the SIP assistant.' },
+  { role: 'user', content: 'Which treasury SIPs passed?' },
+  {
+    role: 'assistant',
+    content: '',
+    toolCalls: [
+      { id: 'call_1', name: 'list_sips_by_status', arguments: { status: 'treasury-management' } },
+      { id: 'call_2', name: 'get_sip', arguments: { id: 'SIP-20' } }
+    ]
+  },
+  { role: 'tool', toolCallId: 'call_1', name: 'list_sips_by_status', content: '{"total":2}' },
+  { role: 'tool', toolCallId: 'call_2', name: 'get_sip', content: '{"sip":{}}' }
+];
+
+const vectorService = {
+  getVectorCount: () => 3,
+  search: vi.fn().mockResolvedValue([
+    { id: 'c1', text: 'Liquidity plan', score: 0.91, metadata: { id: 102, title: 'SIP | Improve $RARE liquidity', date: '2024-05-01', url: 'https://forum/t/102', type: 'forum' } },
+    { id: 'c2', text: 'oSnap execution', score: 0.88, metadata: { id: 101, title: '[SIP-20] Add oSnap to RareDAO', date: '2024-02-01', url: 'https://forum/t/101', type: 'forum' } }
+  ])
+};
+
+// Answers tool-calling requests with each queued response in turn
+class ToolQueueProvider extends BaseLLMProvider {
+  constructor(responses) {
+    super();
+    this.responses = responses;
+    this.calls = [];
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  async chatWithTools(messages, tools, options) {
+    this.calls.push({ messages, tools, options });
+    return this.responses.shift();
+  }
+}
+
+describe('Tool calling', () => {
+  test('maps tool turns to OpenAI tool_calls and Anthropic tool_use blocks', () => {
+    const openai = toOpenAIMessages(toolTurns);
+    expect(openai[2]).toEqual({
+      role: 'assistant',
+      content: null,
+      tool_calls: [
+        { id: 'call_1', type: 'function', function: { name: 'list_sips_by_status', arguments: '{"status":"treasury-management"}' } },
+        { id: 'call_2', type: 'function', function: { name: 'get_sip', arguments: '{"id":"SIP-20"}' } }
+      ]
+    });
+    expect(openai.slice(3)).toEqual([
+      { role: 'tool', tool_call_id: 'call_1', content: '{"total":2}' },
+      { role: 'tool', tool_call_id: 'call_2', content: '{"sip":{}}' }
+    ]);
+
+    const { system, messages } = toAnthropicMessages(toolTurns);
+    expect(system).toBe('You are the SIP assistant.');
+    expect(messages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(messages[1].content[1]).toEqual({ type: 'tool_use', id: 'call_2', name: 'get_sip', input: { id: 'SIP-20' } });
+    // Parallel results go back together in one user turn
+    expect(messages[2].content).toEqual([
+      { type: 'tool_result', tool_use_id: 'call_1', content: '{"total":2}' },
+      { type: 'tool_result', tool_use_id: 'call_2', content: '{"sip":{}}' }
+    ]);
+  });
+
+  test('OpenAI sends function tools and parses the calls it gets back', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'test-key', model: 'gpt-4o' });
+    const create = vi.fn().mockResolvedValue({
+      choices: [{ message: { content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_sip', arguments: '{"id":101}' } }] } }]
+    });
+    provider.client = { chat: { completions: { create } } };
+    const tools = new ToolService().getDefinitions();
+
+    const response = await provider.chatWithTools([{ role: 'user', content: 'Show SIP 101' }], tools);
+
+    expect(response).toEqual({ content: '', toolCalls: [{ id: 'call_1', name: 'get_sip', arguments: { id: 101 } }] });
+    expect(create.mock.calls[0][0].tools[1]).toEqual({
+      type: 'function',
+      function: { name: 'get_sip', description: tools[1].description, parameters: tools[1].parameters }
+    });
+    expect(create.mock.calls[0][0].tool_choice).toBe('auto');
+
+    provider.model = 'o1-mini';
+    expect(provider.supportsTools()).toBe(false);
+  });
+
+  test('Anthropic sends input schemas and reads tool_use blocks', async () => {
+    const provider = new AnthropicProvider({ apiKey: 'test-key' });
+    const create = vi.fn().mockResolvedValue({
+      content: [
+        { type: 'text', text: 'Let me look that up.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'search_sips', input: { query: 'liquidity' } }
+      ]
+    });
+    provider.client = { messages: { create } };
+    const tools = new ToolService().getDefinitions();
+
+    const response = await provider.chatWithTools([{ role: 'user', content: 'Liquidity SIPs?' }], tools, { toolChoice: 'none' });
+
+    expect(response).toEqual({
+      content: 'Let me look that up.',
+      toolCalls: [{ id: 'toolu_1', name: 'search_sips', arguments: { query: 'liquidity' } }]
+    });
+    expect(create.mock.calls[0][0].tools[0]).toEqual({ name: 'search_sips', description: tools[0].description, input_schema: tools[0].parameters });
+    expect(create.mock.calls[0][0].tool_choice).toEqual({ type: 'none' });
+  });
+
+  test('OpenAI streams text and assembles tool calls from their fragments', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'test-key', model: 'gpt-4o' });
+    const chunks = [
+      { choices: [{ delta: { content: 'Checking. ' } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'get_sip', arguments: '{"id"' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: ':101}' } }] } }] },
+      { choices: [], usage: { prompt_tokens: 10, completion_tokens: 5 } }
+    ];
+    const create = vi.fn().mockResolvedValue((async function* () { yield* chunks; })());
+    provider.client = { chat: { completions: { create } } };
+
+    const stream = provider.chatWithToolsStream([{ role: 'user', content: 'Show SIP 101' }], new ToolService().getDefinitions());
+    const deltas = [];
+    let next;
+    while (!(next = await stream.next()).done) {
+      deltas.push(next.value);
+    }
+
+    expect(deltas).toEqual(['Checking. ']);
+    expect(next.value).toEqual({ content: 'Checking. ', toolCalls: [{ id: 'call_1', name: 'get_sip', arguments: { id: 101 } }] });
+    expect(create.mock.calls[0][0]).toMatchObject({ stream: true, tool_choice: 'auto' });
+  });
+
+  test('Anthropic streams text and assembles tool_use input', async () => {
+    const provider = new AnthropicProvider({ apiKey: 'test-key' });
+    const events = [
+      { type: 'message_start', message: { usage: { input_tokens: 10, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Let me look.' } },
+      { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'search_sips', input: {} } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"query":' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"liquidity"}' } },
+      { type: 'message_delta', usage: { output_tokens: 20 } }
+    ];
+    const create = vi.fn().mockResolvedValue((async function* () { yield* events; })());
+    provider.client = { messages: { create } };
+
+    const stream = provider.chatWithToolsStream([{ role: 'user', content: 'Liquidity SIPs?' }], new ToolService().getDefinitions());
+    const deltas = [];
+    let next;
+    while (!(next = await stream.next()).done) {
+      deltas.push(next.value);
+    }
+
+    expect(deltas).toEqual(['Let me look.']);
+    expect(next.value).toEqual({
+      content: 'Let me look.',
+      toolCalls: [{ id: 'toolu_1', name: 'search_sips', arguments: { query: 'liquidity' } }]
+    });
+  });
+
+  test('the SIP tools look up, list and reject invalid arguments', async () => {
+    const tools = new ToolService({ getSipData: () => sipData });
+
+    const { sip } = await tools.execute('get_sip', { id: 'SIP-20' });
+    expect(sip).toMatchObject({ id: 101, title: '[SIP-20] Add oSnap to RareDAO', content: 'Use oSnap for execution.' });
+
+    const listed = await tools.execute('list_sips_by_status', { status: 'Treasury-Management' });
+    expect(listed.total).toBe(2);
+    expect(listed.sips.map(s => s.id)).toEqual([103, 102]);
+
+    expect(await tools.execute('get_sip', {})).toEqual({ error: 'Invalid arguments: $.id: is required' });
+    expect(await tools.execute('delete_sip', {})).toEqual({ error: 'Unknown tool: delete_sip' });
+    expect(tools.getDefinitions()[2].description).toContain('Known statuses: meta_governance, treasury-management');
+  });
+
+  test('search_sips filters by status and date and registers citable sources', async () => {
+    const tools = new ToolService({ vectorService, getSipData: () => sipData });
+    const added = [];
+    // The vector store applies the filter, returning only the treasury SIP
+    vectorService.search.mockResolvedValueOnce([
+      { id: 'c1', text: 'Liquidity plan', score: 0.91, metadata: { id: 102, title: 'SIP | Improve $RARE liquidity', date: '2024-05-01', url: 'https://forum/t/102', type: 'forum' } }
+    ]);
+
+    const { results } = await tools.execute(
+      'search_sips',
+      { query: 'treasury', filters: { status: 'treasury-management', dateFrom: '2024-03-01' } },
+      { addSource: result => added.push(result) }
+    );
+
+    expect(vectorService.search).toHaveBeenLastCalledWith('treasury', {
+      limit: 5,
+      threshold: null,
+      filter: { status: 'treasury-management', dateFrom: '2024-03-01', dateTo: undefined }
+    });
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ marker: 1, id: 102, status: 'treasury-management', excerpt: 'Liquidity plan' });
+    expect(added.map(result => result.id)).toEqual(['c1']);
+  });
+
+  describe('chat tool loop', () => {
+    let originalProvider;
+
+    beforeEach(() => {
+      originalProvider = global.llmProvider;
+    });
+
+    afterEach(() => {
+      global.llmProvider = originalProvider;
+    });
+
+    test('runs the calls, cites what search_sips found and answers', async () => {
+      global.llmProvider = new ToolQueueProvider([
+        { content: '', toolCalls: [{ id: 'call_1', name: 'search_sips', arguments: { query: 'liquidity' } }] },
+        { content: 'SIP | Improve $RARE liquidity covers it [1].', toolCalls: [] }
+      ]);
+      const chatService = new ChatService({ toolService: new ToolService({ vectorService, getSipData: () => sipData }) });
+
+      const result = await chatService.processMessage('Which SIP was about liquidity?', 'tools-1', null, sipData);
+
+      expect(result.message).toBe('SIP | Improve $RARE liquidity covers it [1].');
+      expect(result.toolCalls).toEqual([{ name: 'search_sips', arguments: { query: 'liquidity' }, error: null }]);
+      expect(result.sources.map(s => [s.marker, s.id])).toEqual([[1, 'c1'], [2, 'c2']]);
+      expect(result.citations.map(c => c.marker)).toEqual([1]);
+
+      const [, second] = global.llmProvider.calls;
+      const toolTurn = second.messages[second.messages.length - 1];
+      expect(toolTurn).toMatchObject({ role: 'tool', toolCallId: 'call_1', name: 'search_sips' });
+      expect(JSON.parse(toolTurn.content).results[0].marker).toBe(1);
+      expect(second.options.usage).toEqual({ sessionId: 'tools-1', agent: 'chat' });
+    });
+
+    test('streams the answer after the tool rounds', async () => {
+      // Streams each queued response in words
+      class StreamingToolProvider extends ToolQueueProvider {
+        async *chatWithToolsStream(messages, tools, options) {
+          const response = await this.chatWithTools(messages, tools, options);
+          for (const word of response.content.match(/\S+\s*/g) || []) {
+            yield word;
+          }
+          return response;
+        }
+      }
+      global.llmProvider = new StreamingToolProvider([
+        { content: 'Searching.', toolCalls: [{ id: 'call_1', name: 'search_sips', arguments: { query: 'liquidity' } }] },
+        { content: 'SIP | Improve $RARE liquidity covers it [1].', toolCalls: [] }
+      ]);
+      const chatService = new ChatService({ toolService: new ToolService({ vectorService, getSipData: () => sipData }) });
+      const deltas = [];
+      const onToolCall = vi.fn();
+
+      const result = await chatService.processMessageStream(
+        'Which SIP was about liquidity?', 'tools-stream', null, sipData, null, delta => deltas.push(delta), { onToolCall }
+      );
+
+      expect(deltas).toEqual(['Searching.', '\n\nSIP ', '| ', 'Improve ', '$RARE ', 'liquidity ', 'covers ', 'it ', '[1].']);
+      expect(result.message).toBe('Searching.\n\nSIP | Improve $RARE liquidity covers it [1].');
+      expect(result.toolCalls).toEqual([{ name: 'search_sips', arguments: { query: 'liquidity' }, error: null }]);
+      expect(result.citations.map(c => c.marker)).toEqual([1]);
+      expect(onToolCall).toHaveBeenCalledWith({ name: 'search_sips', arguments: { query: 'liquidity' } });
+    });
+
+    test('stops offering tools after maxToolSteps rounds', async () => {
+      const lookup = { content: '', toolCalls: [{ id: 'call', name: 'get_sip', arguments: { id: 101 } }] };
+      global.llmProvider = new ToolQueueProvider([lookup, lookup, { content: 'SIP-20 adds oSnap.', toolCalls: [] }]);
+      const chatService = new ChatService({ toolService: new ToolService({ getSipData: () => sipData }), maxToolSteps: 2 });
+
+      const result = await chatService.processMessage('Tell me about SIP-20', 'tools-2', null, sipData);
+
+      expect(result.message).toBe('SIP-20 adds oSnap.');
+      expect(result.toolCalls).toHaveLength(2);
+      expect(global.llmProvider.calls).toHaveLength(3);
+      expect(global.llmProvider.calls[2].options.toolChoice).toBe('none');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { mount } from '@vue/test-utils'
+import { describe, it, expect } from 'vitest'
+import Message from '@/components/chat/Message.vue'
+
+const citations = [
+  {
+    marker: 1,
+    title: 'SIP-12: Artist Grants',
+    url: 'https://forum.superrare.com/t/12',
+    date: '2023-01-10',
+    chunkId: 'forum_12_chunk_0',
+    score: 0.91,
+    excerpt: 'Creates an <artist> grants programme.'
+  },
+  {
+    marker: 2,
+    title: 'SIP-20: Spending Cap',
+    url: 'javascript:alert(1)',
+    excerpt: 'Caps quarterly spend.'
+  }
+]
+
+describe('Message.vue', () => {
+  it('links citation markers to the forum thread with an excerpt on hover', () => {
+    const wrapper = mount(Message, {
+      props: { type: 'bot', content: 'Grants exist [1] and are capped [2]. See [3].', citations }
+    })
+
+    const links = wrapper.findAll('.message-content a.citation')
+    expect(links).toHaveLength(1)
+    expect(links[0].attributes('href')).toBe('https://forum.superrare.com/t/12')
+    expect(links[0].find('.citation__excerpt').text()).toBe('Creates an <artist> grants programme.')
+
+    // Unsafe URLs are not linked, and unknown markers are left as text
+    expect(wrapper.findAll('.message-content span.citation')).toHaveLength(1)
+    expect(wrapper.find('.message-content').text()).toContain('See [3].')
+  })
+
+  it('leaves markers in code and attribute values alone', () => {
+    const wrapper = mount(Message, {
+      props: {
+        type: 'bot',
+        // marked is mocked to pass the content through, so it is given as the HTML marked would render
+        content: '<p>Grants exist [1]. Index with <code>votes[1]</code>, see <abbr title="SIP [1]">SIP</abbr>.</p>' +
+          '<pre><code>const first = votes[1];</code></pre>',
+        citations
+      }
+    })
+
+    expect(wrapper.findAll('.message-content .citation')).toHaveLength(1)
+    expect(wrapper.find('.message-content p code').text()).toBe('votes[1]')
+    expect(wrapper.find('.message-content pre code').text()).toBe('const first = votes[1];')
+    expect(wrapper.find('.message-content abbr').attributes('title')).toBe('SIP [1]')
+  })
+
+  it('lists the cited sources below the message', () => {
+    const wrapper = mount(Message, {
+      props: { type: 'bot', content: 'Grants exist [1].', citations }
+    })
+
+    const items = wrapper.findAll('.message-sources__item')
+    expect(items).toHaveLength(2)
+    expect(items[0].text()).toContain('SIP-12: Artist Grants')
+    expect(items[0].find('a').attributes('href')).toBe('https://forum.superrare.com/t/12')
+    expect(items[1].find('a').exists()).toBe(false)
+  })
+
+  it('renders no sources for messages without citations', () => {
+    const wrapper = mount(Message, { props: { type: 'bot', content: 'Plain [1] answer.' } })
+
+    expect(wrapper.find('.citation').exists()).toBe(false)
+    expect(wrapper.find('.message-sources').exists()).toBe(false)
+  })
+})
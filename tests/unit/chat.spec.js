@@ -0,0 +1,250 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { ChatService } from '../../src/services/chat.js'
+import { BaseLLMProvider } from '../../src/providers/base.js'
+import { SessionService } from '../../src/services/sessions.js'
+
+class StreamingProvider extends BaseLLMProvider {
+  constructor(chunks) {
+    super()
+    this.chunks = chunks
+    this.calls = []
+  }
+
+  async chat(messages) {
+    this.calls.push(messages)
+    return this.chunks.join('')
+  }
+
+  async *chatStream(messages) {
+    this.calls.push(messages)
+    for (const chunk of this.chunks) {
+      yield chunk
+    }
+  }
+}
+
+describe('ChatService', () => {
+  let originalProvider
+
+  beforeEach(() => {
+    originalProvider = global.llmProvider
+  })
+
+  afterEach(() => {
+    global.llmProvider = originalProvider
+  })
+
+  describe('processMessageStream', () => {
+    it('passes each delta to onToken and records the full response', async () => {
+      global.llmProvider = new StreamingProvider(['SIP-12 ', 'created ', 'grants.'])
+      const chatService = new ChatService()
+      const tokens = []
+
+      const response = await chatService.processMessageStream(
+        'What did SIP-12 do?', 'session-1', 'Context', [], null, delta => tokens.push(delta)
+      )
+
+      expect(tokens).toEqual(['SIP-12 ', 'created ', 'grants.'])
+      expect(response.message).toBe('SIP-12 created grants.')
+      expect(chatService.getChatHistory('session-1')).toEqual([
+        { role: 'user', content: 'What did SIP-12 do?' },
+        { role: 'assistant', content: 'SIP-12 created grants.', sources: [], citations: [] }
+      ])
+      expect(global.llmProvider.calls[0][0].role).toBe('system')
+    })
+
+    it('falls back to a single chunk for providers without native streaming', async () => {
+      class PlainProvider extends BaseLLMProvider {
+        async chat() {
+          return 'Full response'
+        }
+      }
+      global.llmProvider = new PlainProvider()
+      const chatService = new ChatService()
+      const tokens = []
+
+      const response = await chatService.processMessageStream(
+        'Hello', 'session-2', null, [], null, delta => tokens.push(delta)
+      )
+
+      expect(tokens).toEqual(['Full response'])
+      expect(response.message).toBe('Full response')
+    })
+  })
+
+  describe('retrieval-augmented chat', () => {
+    const searchResults = [
+      {
+        id: 'forum_12',
+        text: 'Title: SIP-12: Artist Grants\n\nContent: Creates an artist grants programme.',
+        metadata: { title: 'SIP-12: Artist Grants', url: 'https://forum.superrare.com/t/12', date: '2023-01-10' },
+        score: 0.91
+      },
+      {
+        id: 'forum_20',
+        text: 'Title: SIP-20: Spending Cap\n\nContent: Caps quarterly spend.',
+        metadata: { title: 'SIP-20: Spending Cap' },
+        score: 0.82
+      }
+    ]
+
+    const createVectorService = (results = searchResults) => ({
+      getVectorCount: () => results.length,
+      search: vi.fn(async () => results)
+    })
+
+    it('adds numbered forum chunks to the system prompt and returns them as sources', async () => {
+      global.llmProvider = new StreamingProvider(['SIP-12 created grants [1].'])
+      const vectorService = createVectorService()
+      const chatService = new ChatService({ vectorService, retrievalLimit: 3, retrievalThreshold: 0.7 })
+
+      const result = await chatService.processMessage('What did SIP-12 do?', 'session-3', null, [])
+
+      expect(vectorService.search).toHaveBeenCalledWith('What did SIP-12 do?', { limit: 3, threshold: 0.7 })
+      const systemPrompt = global.llmProvider.calls[0][0].content
+      expect(systemPrompt).toContain('## Relevant Forum Excerpts')
+      expect(systemPrompt).toContain('[1] SIP-12: Artist Grants (2023-01-10 - https://forum.superrare.com/t/12)')
+      expect(systemPrompt).toContain('[2] SIP-20: Spending Cap\n')
+      expect(result.message).toBe('SIP-12 created grants [1].')
+      expect(result.sources.map(source => source.marker)).toEqual([1, 2])
+      expect(result.sources[0]).toMatchObject({ id: 'forum_12', url: 'https://forum.superrare.com/t/12', score: 0.91 })
+
+      // Sources are kept on the history entry but never sent back to the LLM
+      expect(chatService.getChatHistory('session-3')[1].sources).toHaveLength(2)
+      await chatService.processMessage('And SIP-20?', 'session-3', null, [])
+      expect(global.llmProvider.calls[1][2]).toEqual({ role: 'assistant', content: 'SIP-12 created grants [1].' })
+    })
+
+    it('returns structured citations for the sources the reply cites', async () => {
+      global.llmProvider = new StreamingProvider(['Grants were created [1], see also [7].'])
+      const chatService = new ChatService({ vectorService: createVectorService() })
+
+      const result = await chatService.processMessage('What did SIP-12 do?', 'session-5', null, [])
+
+      expect(result.citations).toEqual([{
+        marker: 1,
+        title: 'SIP-12: Artist Grants',
+        url: 'https://forum.superrare.com/t/12',
+        date: '2023-01-10',
+        chunkId: 'forum_12',
+        score: 0.91,
+        excerpt: 'Title: SIP-12: Artist Grants\n\nContent: Creates an artist grants programme.',
+        citation: '"SIP-12: Artist Grants" (2023-01-10) - https://forum.superrare.com/t/12'
+      }])
+    })
+
+    it('answers without forum context when the search fails', async () => {
+      global.llmProvider = new StreamingProvider(['No context.'])
+      const vectorService = createVectorService()
+      vectorService.search.mockRejectedValueOnce(new Error('Embedding API unavailable'))
+      const chatService = new ChatService({ vectorService })
+
+      const result = await chatService.processMessage('Hello', 'session-4', null, [])
+
+      expect(result.sources).toEqual([])
+      expect(global.llmProvider.calls[0][0].content).not.toContain('Relevant Forum Excerpts')
+    })
+  })
+
+  describe('token budget', () => {
+    class SummarizingProvider extends BaseLLMProvider {
+      constructor() {
+        super()
+        this.model = 'test-model'
+        this.calls = []
+        this.summaryRequests = []
+      }
+
+      async chat(messages) {
+        if (messages[0].content.startsWith('You summarize')) {
+          this.summaryRequests.push(messages[1].content)
+          return `Summary ${this.summaryRequests.length}: the user wants artist grants.`
+        }
+        this.calls.push(messages)
+        return 'Reply.'
+      }
+    }
+
+    it('folds the oldest turns into a running summary instead of dropping them', async () => {
+      global.llmProvider = new SummarizingProvider()
+      const chatService = new ChatService({ contextWindow: 1200, maxResponseTokens: 200 })
+      const longMessage = turn => `Turn ${turn}: ` + 'We need grants for artists. '.repeat(40)
+
+      for (let turn = 1; turn <= 4; turn++) {
+        await chatService.processMessage(longMessage(turn), 'budget-1', null, [])
+      }
+
+      // Nothing is folded while the history fits
+      expect(global.llmProvider.calls[2][0].content).not.toContain('Earlier Conversation Summary')
+
+      // Folded turns are summarized in batches, each building on the previous summary
+      const requests = global.llmProvider.summaryRequests
+      expect(requests.length).toBeGreaterThan(1)
+      expect(requests[0]).toContain('Turn 1:')
+      expect(requests[1]).toContain('Current summary:\nSummary 1: the user wants artist grants.')
+      expect(chatService.getSummary('budget-1')).toBe(`Summary ${requests.length}: the user wants artist grants.`)
+
+      const lastCall = global.llmProvider.calls[3]
+      expect(lastCall[0].content).toContain('## Earlier Conversation Summary\nOlder messages')
+      expect(lastCall.some(m => m.content.startsWith('Turn 1:'))).toBe(false)
+      expect(lastCall[lastCall.length - 1].content).toContain('Turn 4:')
+      expect(chatService.getChatHistory('budget-1').length + chatService.summaries['budget-1'].messageCount).toBe(8)
+    })
+
+    it('drops the lowest-ranked sources that do not fit alongside the compressed context', async () => {
+      global.llmProvider = new SummarizingProvider()
+      const chunk = id => ({ id, text: 'Forum discussion. '.repeat(80), metadata: { title: id }, score: 0.9 })
+      const vectorService = {
+        getVectorCount: () => 3,
+        search: vi.fn(async () => [chunk('first'), chunk('second'), chunk('third')])
+      }
+      const chatService = new ChatService({ vectorService, contextWindow: 1600, maxResponseTokens: 400 })
+
+      const result = await chatService.processMessage('Tell me about grants', 'budget-2', 'Compressed context. '.repeat(80), [])
+
+      expect(result.sources.map(source => source.id)).toEqual(['first'])
+      expect(global.llmProvider.calls[0][0].content).not.toContain('[2] second')
+    })
+  })
+
+  describe('persistent sessions', () => {
+    const createSessionService = () => {
+      const items = {}
+      return new SessionService({
+        getItem: async key => items[key] || null,
+        setItem: async (key, value) => { items[key] = value; return true },
+        removeItem: async key => { delete items[key]; return true },
+        keys: async () => Object.keys(items)
+      })
+    }
+
+    it('stores each turn and resumes the history in a new ChatService', async () => {
+      global.llmProvider = new StreamingProvider(['Noted.'])
+      const sessionService = createSessionService()
+
+      await new ChatService({ sessionService }).processMessage('We want artist grants', 'saved-1', null, [])
+      const stored = await sessionService.getSession('saved-1')
+      expect(stored.title).toBe('We want artist grants')
+      expect(stored.messages.map(m => m.role)).toEqual(['user', 'assistant'])
+
+      // A fresh service, as after a restart, picks the conversation back up
+      const restarted = new ChatService({ sessionService })
+      await restarted.processMessage('How much per artist?', 'saved-1', null, [])
+
+      expect(global.llmProvider.calls[1].slice(1).map(m => m.content)).toEqual([
+        'We want artist grants', 'Noted.', 'How much per artist?'
+      ])
+      expect((await sessionService.getSession('saved-1')).messages).toHaveLength(4)
+    })
+
+    it('still answers when the session cannot be stored', async () => {
+      global.llmProvider = new StreamingProvider(['Hello.'])
+      const sessionService = createSessionService()
+      sessionService.appendMessages = vi.fn(async () => { throw new Error('Disk full') })
+
+      const result = await new ChatService({ sessionService }).processMessage('Hi', 'saved-2', null, [])
+
+      expect(result.message).toBe('Hello.')
+    })
+  })
+})
@@ -0,0 +1,57 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import express from 'express'
+import request from 'supertest'
+import { ApiService } from '../../src/services/api.js'
+
+describe('POST /api/init-llm', () => {
+  const env = { ...process.env }
+  let originalProvider
+  let app
+  let api
+
+  beforeEach(() => {
+    originalProvider = global.llmProvider
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:1234/v1'
+    process.env.LOCAL_LLM_MODEL = 'phi-4'
+    app = express()
+    api = new ApiService(app)
+  })
+
+  afterEach(() => {
+    process.env = { ...env }
+    global.llmProvider = originalProvider
+  })
+
+  it('keeps the fallback chain the server started with when the app loads', async () => {
+    process.env.LLM_FALLBACK_CHAIN = 'local'
+    api.initializeDefaultProvider()
+    const chain = global.llmProvider
+
+    const response = await request(app).post('/api/init-llm').send({}).expect(200)
+
+    expect(response.body).toMatchObject({ success: true, provider: 'fallback', model: 'phi-4' })
+    expect(global.llmProvider).toBe(chain)
+    expect(chain.constructor.name).toBe('FallbackChainProvider')
+  })
+
+  it('keeps the local provider chosen in the settings, so drafts stay off hosted APIs', async () => {
+    api.llmInitialized = true
+    await request(app).post('/api/init-llm').send({ provider: 'local' }).expect(200)
+    const local = global.llmProvider
+
+    const response = await request(app).post('/api/init-llm').send({}).expect(200)
+
+    expect(response.body.provider).toBe('local')
+    expect(global.llmProvider).toBe(local)
+  })
+
+  it('starts the default provider when none is running', async () => {
+    process.env.LLM_FALLBACK_CHAIN = 'local'
+
+    const response = await request(app).post('/api/init-llm').send({}).expect(200)
+
+    expect(response.body.provider).toBe('fallback')
+    expect(api.llmInitialized).toBe(true)
+  })
+})
@@ -0,0 +1,87 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { VectorSegmentStore } from '../../src/services/segments.js'
+
+const embedding = { backend: 'hashing', model: 'feature-hashing-v1', dimension: 4 }
+
+const entry = (id, value) => ({ id, embedding: [value, value, value, value], metadata: { id, text: `Post ${id}` } })
+
+describe('VectorSegmentStore', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'segments-'))
+  })
+
+  it('appends only the new records and reads them back', async () => {
+    const store = new VectorSegmentStore(dir)
+    await store.append([entry('a', 1), entry('b', 2)], embedding)
+    await store.append([entry('c', 3)], embedding)
+
+    expect(fs.statSync(path.join(dir, 'vectors-0.f32')).size).toBe(3 * 4 * 4)
+    expect(fs.readFileSync(path.join(dir, 'metadata-0.jsonl'), 'utf8').trim().split('\n')).toHaveLength(2 + 1)
+
+    const { entries, embedding: stored } = await new VectorSegmentStore(dir).load()
+    expect(stored).toEqual(embedding)
+    expect(entries.map(e => e.id)).toEqual(['a', 'b', 'c'])
+    expect(Array.from(entries[2].embedding)).toEqual([3, 3, 3, 3])
+    expect(entries[1].metadata).toEqual({ id: 'b', text: 'Post b' })
+  })
+
+  it('cuts off a torn log line and a partial vector left by a crash', async () => {
+    const store = new VectorSegmentStore(dir)
+    await store.append([entry('a', 1), entry('b', 2)], embedding)
+    // A vector written without its log line, half of another, and half a log line
+    fs.appendFileSync(path.join(dir, 'vectors-0.f32'), Buffer.from(new Float32Array([5, 5, 5, 5, 6, 6]).buffer))
+    fs.appendFileSync(path.join(dir, 'metadata-0.jsonl'), '{"op":"add","id":"d","offs')
+
+    const reopened = new VectorSegmentStore(dir)
+    const { entries } = await reopened.load()
+
+    expect(entries.map(e => e.id)).toEqual(['a', 'b'])
+    expect(fs.statSync(path.join(dir, 'vectors-0.f32')).size).toBe(3 * 4 * 4)
+    expect(fs.readFileSync(path.join(dir, 'metadata-0.jsonl'), 'utf8').endsWith('\n')).toBe(true)
+
+    // The next append continues after the whole records
+    await reopened.append([entry('e', 7)], embedding)
+    const reloaded = await new VectorSegmentStore(dir).load()
+    expect(reloaded.entries.map(e => e.id)).toEqual(['a', 'b', 'e'])
+    expect(Array.from(reloaded.entries[2].embedding)).toEqual([7, 7, 7, 7])
+  })
+
+  it('logs deletions and compacts them into a new generation', async () => {
+    const store = new VectorSegmentStore(dir)
+    const entries = Array.from({ length: 100 }, (_, i) => entry(`p${i}`, i))
+    await store.append(entries, embedding)
+
+    const removed = entries.slice(0, 60).map(e => e.id)
+    await store.remove(removed, 40)
+    expect(store.needsCompaction()).toBe(true)
+
+    const { entries: live } = await new VectorSegmentStore(dir).load()
+    expect(live).toHaveLength(40)
+    expect(live[0].id).toBe('p60')
+
+    await store.compact(live, embedding)
+
+    expect(store.needsCompaction()).toBe(false)
+    expect(fs.readdirSync(dir).sort()).toEqual(['manifest.json', 'metadata-1.jsonl', 'vectors-1.f32'])
+    const compacted = await new VectorSegmentStore(dir).load()
+    expect(compacted.entries.map(e => e.id)).toEqual(live.map(e => e.id))
+    expect(Array.from(compacted.entries[39].embedding)).toEqual([99, 99, 99, 99])
+  })
+
+  it('refuses to append vectors from another model to a non-empty segment', async () => {
+    const store = new VectorSegmentStore(dir)
+    await store.append([entry('a', 1)], embedding)
+
+    await expect(store.append([entry('b', 2)], { ...embedding, model: 'other' }))
+      .rejects.toThrow('Cannot append other vectors to a segment of feature-hashing-v1 vectors')
+    // A failed write doesn't hold up the next one
+    await store.append([entry('c', 3)], embedding)
+    expect((await new VectorSegmentStore(dir).load()).entries.map(e => e.id)).toEqual(['a', 'c'])
+  })
+})
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { SessionService } from '../../src/services/sessions.js'
+
+class MemoryStorage {
+  constructor() {
+    this.items = {}
+  }
+
+  async getItem(key) {
+    return this.items[key] || null
+  }
+
+  async setItem(key, value) {
+    this.items[key] = value
+    return true
+  }
+
+  async removeItem(key) {
+    delete this.items[key]
+    return true
+  }
+
+  async keys() {
+    return Object.keys(this.items)
+  }
+}
+
+describe('SessionService', () => {
+  let service
+
+  beforeEach(() => {
+    service = new SessionService(new MemoryStorage())
+  })
+
+  it('creates a session on first append and titles it from the first user message', async () => {
+    await service.appendMessages('abc123', [
+      { role: 'user', content: 'How should we structure a treasury diversification proposal for the DAO next quarter?' },
+      { role: 'assistant', content: 'Start with the motivation.' }
+    ])
+    const session = await service.appendMessages('abc123', [
+      { role: 'user', content: 'What about risks?' },
+      { role: 'assistant', content: 'List them under Drawbacks.' }
+    ])
+
+    expect(session.messages).toHaveLength(4)
+    expect(session.title).toBe('How should we structure a treasury diversification proposal...')
+    expect((await service.getSession('abc123')).messages[3].content).toBe('List them under Drawbacks.')
+  })
+
+  it('lists, renames and deletes sessions', async () => {
+    await service.appendMessages('first', [{ role: 'user', content: 'Artist grants' }])
+    await service.appendMessages('second', [{ role: 'user', content: 'Spending caps' }])
+
+    await service.renameSession('first', '  Grants programme  ')
+    let sessions = await service.listSessions()
+    expect(sessions.map(s => s.id)).toEqual(['first', 'second'])
+    expect(sessions[0]).toMatchObject({ title: 'Grants programme', messageCount: 1 })
+    expect(sessions[0].messages).toBeUndefined()
+
+    await service.deleteSession('first')
+    sessions = await service.listSessions()
+    expect(sessions.map(s => s.id)).toEqual(['second'])
+    expect(await service.renameSession('first', 'Gone')).toBeNull()
+  })
+
+  it('searches titles and message content case-insensitively', async () => {
+    await service.appendMessages('grants', [
+      { role: 'user', content: 'Draft an artist grants SIP' },
+      { role: 'assistant', content: 'The programme would fund twenty Artists each quarter from the treasury.' }
+    ])
+    await service.appendMessages('caps', [{ role: 'user', content: 'Spending caps' }])
+    await service.renameSession('caps', 'Treasury limits')
+
+    const results = await service.searchSessions('TREASURY')
+
+    expect(results.map(r => r.id).sort()).toEqual(['caps', 'grants'])
+    expect(results.find(r => r.id === 'grants').snippet).toContain('from the treasury.')
+    expect(results.find(r => r.id === 'caps').snippet).toBeNull()
+    expect(await service.searchSessions('council')).toEqual([])
+  })
+
+  it('rejects session IDs that could escape the data directory', async () => {
+    await expect(service.getSession('../secrets')).rejects.toThrow('Invalid chat session ID')
+    await expect(service.appendMessages('a/b', [])).rejects.toThrow('Invalid chat session ID')
+  })
+})
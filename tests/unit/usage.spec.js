@@ -0,0 +1,110 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest'
+import { UsageService } from '../../src/services/usage.js'
+import { AnthropicProvider } from '../../src/providers/anthropic.js'
+import { RetrievalAgentProvider } from '../../src/providers/agents/retrieval.js'
+
+class MemoryStorage {
+  constructor() {
+    this.items = {}
+  }
+
+  async getItem(key) {
+    return this.items[key] || null
+  }
+
+  async setItem(key, value) {
+    this.items[key] = value
+    return true
+  }
+}
+
+describe('UsageService', () => {
+  let storage
+  let service
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+    service = new UsageService(storage, { prices: { 'my-model': { input: 1, output: 2 } } })
+  })
+
+  it('prices calls by the longest matching model prefix', () => {
+    expect(service.getPrice('gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 })
+    expect(service.getPrice('gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 })
+    expect(service.getCost('my-model', 1000000, 500000)).toBe(2)
+    expect(service.getCost('phi-4', 1000, 1000)).toBe(0)
+  })
+
+  it('totals usage by session, agent, model and day', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2025-03-01T12:00:00Z'))
+    await service.record({ provider: 'test', model: 'my-model', inputTokens: 100, outputTokens: 50, sessionId: 's1', agent: 'chat' })
+    await service.record({ provider: 'test', model: 'my-model', inputTokens: 200, outputTokens: 10, sessionId: 's1', agent: 'summary' })
+    vi.setSystemTime(new Date('2025-03-02T12:00:00Z'))
+    await service.record({ provider: 'test', model: 'my-model', inputTokens: 300, outputTokens: 40, agent: 'compression' })
+    vi.useRealTimers()
+
+    const usage = await service.getUsage()
+
+    expect(usage.totals).toMatchObject({ calls: 3, inputTokens: 600, outputTokens: 100 })
+    expect(usage.totals.cost).toBeCloseTo((600 + 200) / 1e6)
+    expect(usage.byDay.map(d => [d.day, d.calls])).toEqual([['2025-03-02', 1], ['2025-03-01', 2]])
+    expect(usage.bySession).toHaveLength(1)
+    expect(usage.bySession[0]).toMatchObject({ sessionId: 's1', calls: 2, inputTokens: 300 })
+    expect(usage.byAgent.map(a => a.agent).sort()).toEqual(['chat', 'compression', 'summary'])
+    expect(usage.byModel[0]).toMatchObject({ model: 'my-model', calls: 3 })
+  })
+
+  it('persists totals and reloads them', async () => {
+    await Promise.all([
+      service.record({ model: 'my-model', inputTokens: 10, outputTokens: 5, agent: 'chat' }),
+      service.record({ model: 'my-model', inputTokens: 10, outputTokens: 5, agent: 'chat' })
+    ])
+
+    const reloaded = new UsageService(storage)
+    const usage = await reloaded.getUsage()
+    expect(usage.totals).toMatchObject({ calls: 2, inputTokens: 20, outputTokens: 10 })
+  })
+})
+
+describe('provider usage reporting', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('reports Anthropic streaming usage with the caller\'s session and agent', async () => {
+    const provider = new AnthropicProvider({ apiKey: 'test-key', model: 'claude-3-5-sonnet-latest' })
+    const reportUsage = vi.spyOn(provider, 'reportUsage').mockResolvedValue(null)
+    provider.client = {
+      messages: {
+        create: async () => (async function* () {
+          yield { type: 'message_start', message: { model: 'claude-3-5-sonnet-20241022', usage: { input_tokens: 42, output_tokens: 1 } } }
+          yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hello' } }
+          yield { type: 'message_delta', usage: { output_tokens: 7 } }
+        })()
+      }
+    }
+
+    const chunks = []
+    for await (const chunk of provider.chatStream([{ role: 'user', content: 'Hi' }], { usage: { sessionId: 's1', agent: 'chat' } })) {
+      chunks.push(chunk)
+    }
+
+    expect(chunks).toEqual(['Hello'])
+    expect(reportUsage).toHaveBeenCalledWith({
+      provider: 'anthropic',
+      model: 'claude-3-5-sonnet-20241022',
+      inputTokens: 42,
+      outputTokens: 7
+    }, { usage: { sessionId: 's1', agent: 'chat' } })
+  })
+
+  it('attributes agent calls to the agent', async () => {
+    const llmProvider = { chat: vi.fn().mockResolvedValue('enhanced query') }
+    const agent = new RetrievalAgentProvider(llmProvider, { sessionId: 'wf1' })
+
+    await agent.chat([{ role: 'user', content: 'Find treasury proposals' }])
+
+    expect(llmProvider.chat.mock.calls[0][1].usage).toEqual({ agent: 'retrieval', sessionId: 'wf1' })
+  })
+})
@@ -0,0 +1,284 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import VectorService from '../../src/services/vector.js'
+import { VectorSegmentStore } from '../../src/services/segments.js'
+import {
+  HashingEmbedder,
+  OpenAICompatibleEmbedder,
+  createEmbeddingBackend,
+  embedInBatches
+} from '../../src/services/embeddings.js'
+
+class MemoryStorage {
+  constructor(items = {}) {
+    this.items = items
+  }
+
+  async getItem(key) {
+    return this.items[key] || null
+  }
+
+  async setItem(key, value) {
+    this.items[key] = value
+    return true
+  }
+}
+
+const tempStore = () => VectorSegmentStore.open(fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-')))
+
+const posts = [
+  { id: 'p1', title: 'Improve $RARE liquidity', content: 'Provide liquidity for RARE on decentralised exchanges with treasury funds.' },
+  { id: 'p2', title: 'Artist grants', content: 'Fund grants for emerging artists minting on SuperRare.' },
+  { id: 'p3', title: 'Council elections', content: 'Elect the RareDAO council every six months by token vote.' }
+]
+
+describe('Embedding backends and the vector store', () => {
+  const env = { ...process.env }
+  let store
+  let storage
+
+  beforeEach(async () => {
+    store = tempStore()
+    storage = new MemoryStorage()
+    await new VectorService({ embedder: new HashingEmbedder(), store, storage }).clearVectors()
+  })
+
+  afterEach(() => {
+    process.env = { ...env }
+  })
+
+  it('picks the local hashing backend when there is no API key', () => {
+    delete process.env.EMBEDDING_BACKEND
+    delete process.env.OPENAI_API_KEY
+    delete process.env.EMBEDDING_BASE_URL
+
+    expect(createEmbeddingBackend()).toBeInstanceOf(HashingEmbedder)
+    expect(createEmbeddingBackend({ backend: 'openai', model: 'nomic-embed-text', baseUrl: 'http://localhost:11434/v1' }))
+      .toMatchObject({ name: 'openai', model: 'nomic-embed-text', dimension: null })
+    expect(() => createEmbeddingBackend({ backend: 'onnx' })).toThrow('Unknown embedding backend: onnx')
+  })
+
+  it('ranks posts by shared vocabulary with the local backend', async () => {
+    const vector = new VectorService({ embedder: new HashingEmbedder(), store, storage })
+    for (const post of posts) {
+      await vector.addForumPost(post)
+    }
+
+    const results = await vector.search('RARE liquidity on exchanges', { limit: 2, mode: 'vector' })
+
+    expect(results[0].id).toBe('p1')
+    expect(results.every(result => result.score >= 0.1)).toBe(true)
+    expect(vector.getEmbeddingInfo()).toEqual({
+      store: { backend: 'hashing', model: 'feature-hashing-v1', dimension: 1024 },
+      backend: { backend: 'hashing', model: 'feature-hashing-v1', dimension: 1024 },
+      compatible: true
+    })
+    expect((await new VectorSegmentStore(store.dir).load()).embedding.model).toBe('feature-hashing-v1')
+  })
+
+  it('passes the search signal to the query embedding', async () => {
+    const embedder = new HashingEmbedder()
+    const vector = new VectorService({ embedder, store, storage })
+    await vector.addForumPost(posts[0])
+    const embed = vi.spyOn(embedder, 'embed')
+    const controller = new AbortController()
+
+    await vector.search('RARE liquidity', { mode: 'hybrid', signal: controller.signal })
+
+    expect(embed).toHaveBeenCalledWith(['RARE liquidity'], { signal: controller.signal })
+  })
+
+  it('falls back to keyword results in hybrid mode when the query embedding fails', async () => {
+    const embedder = new HashingEmbedder()
+    const vector = new VectorService({ embedder, store, storage })
+    for (const post of posts) {
+      await vector.addForumPost(post)
+    }
+    vi.spyOn(embedder, 'embed').mockRejectedValue(new Error('Embedding endpoint unavailable'))
+
+    const results = await vector.search('council elections', { mode: 'hybrid' })
+    expect(results[0]).toMatchObject({ id: 'p3', vectorScore: null })
+    await expect(vector.search('council elections', { mode: 'vector' })).rejects.toThrow('Embedding endpoint unavailable')
+
+    const aborted = Object.assign(new Error('Request aborted'), { name: 'AbortError' })
+    embedder.embed.mockRejectedValue(aborted)
+    await expect(vector.search('council elections', { mode: 'hybrid' })).rejects.toBe(aborted)
+  })
+
+  it('refuses to mix vectors from another model or dimension', async () => {
+    await new VectorService({ embedder: new HashingEmbedder(), store, storage }).addForumPost(posts[0])
+
+    const resized = new VectorService({ embedder: new HashingEmbedder({ dimension: 256 }), store, storage })
+    await expect(resized.addForumPost(posts[1])).rejects.toMatchObject({ code: 'EMBEDDING_MISMATCH' })
+
+    const embed = vi.fn()
+    const hosted = new VectorService({ embedder: { name: 'openai', model: 'text-embedding-3-small', dimension: 1536, embed }, store, storage })
+    await expect(hosted.search('liquidity')).rejects.toThrow('The vector store holds feature-hashing-v1 embeddings (1024 dimensions)')
+    expect(embed).not.toHaveBeenCalled()
+    expect(hosted.getVectorCount()).toBe(1)
+
+    // Once cleared, the store takes the new model
+    await resized.clearVectors()
+    await resized.addForumPost(posts[1])
+    expect(resized.getEmbeddingInfo().store.dimension).toBe(256)
+  })
+
+  it('imports a vectorStore.json saved before the model was tracked as text-embedding-3-small', async () => {
+    const legacy = new MemoryStorage({
+      vectorStore: JSON.stringify({ vectors: [{ id: 'old', embedding: Array(1536).fill(0.1) }], metadata: [{ id: 'old', text: 'Old post' }] })
+    })
+    const legacyStore = tempStore()
+    const vector = new VectorService({ embedder: new HashingEmbedder(), store: legacyStore, storage: legacy })
+    await vector.initialize()
+
+    expect(vector.getEmbeddingInfo()).toMatchObject({
+      store: { backend: 'openai', model: 'text-embedding-3-small', dimension: 1536 },
+      compatible: false
+    })
+    const { entries } = await new VectorSegmentStore(legacyStore.dir).load()
+    expect(entries.map(entry => entry.metadata)).toEqual([{ id: 'old', text: 'Old post' }])
+    expect(entries[0].embedding[0]).toBeCloseTo(0.1)
+  })
+
+  it('calls an OpenAI-compatible endpoint and learns the dimension', async () => {
+    const embedder = new OpenAICompatibleEmbedder({ baseUrl: 'http://localhost:11434/v1/', model: 'nomic-embed-text' })
+    embedder.client = {
+      post: vi.fn().mockResolvedValue({
+        data: { data: [{ index: 1, embedding: [0, 1, 0] }, { index: 0, embedding: [1, 0, 0] }] }
+      })
+    }
+
+    expect(await embedder.embed(['first', 'second'])).toEqual([[1, 0, 0], [0, 1, 0]])
+    expect(embedder.client.post).toHaveBeenCalledWith('/embeddings', { model: 'nomic-embed-text', input: ['first', 'second'] }, undefined)
+    expect(embedder.dimension).toBe(3)
+
+    await expect(new OpenAICompatibleEmbedder({}).embed(['text'])).rejects.toThrow('apiKey is required for the openai embedding backend')
+  })
+
+  it('embeds many texts per request with bounded concurrency, in order', async () => {
+    const embedder = new OpenAICompatibleEmbedder({ baseUrl: 'http://localhost:11434/v1', model: 'nomic-embed-text', batchSize: 100, concurrency: 2 })
+    let inFlight = 0
+    let maxInFlight = 0
+    embedder.client = {
+      post: vi.fn(async (url, body) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        inFlight--
+        return { data: { data: body.input.map((text, index) => ({ index, embedding: [Number(text)] })) } }
+      })
+    }
+    const texts = Array.from({ length: 250 }, (_, i) => String(i))
+    const batches = []
+
+    const embeddings = await embedInBatches(embedder, texts, { onBatch: ({ start, texts }) => batches.push([start, texts.length]) })
+
+    expect(embeddings).toEqual(texts.map(text => [Number(text)]))
+    expect(embedder.client.post).toHaveBeenCalledTimes(3)
+    expect(maxInFlight).toBe(2)
+    expect(batches.sort((a, b) => a[0] - b[0])).toEqual([[0, 100], [100, 100], [200, 50]])
+  })
+
+  it('waits out a rate limit before retrying', async () => {
+    const embedder = new OpenAICompatibleEmbedder({ baseUrl: 'http://localhost:11434/v1', model: 'nomic-embed-text' })
+    const rateLimited = Object.assign(new Error('Request failed with status code 429'), {
+      response: { status: 429, headers: { 'retry-after-ms': '30' } }
+    })
+    embedder.client = {
+      post: vi.fn()
+        .mockRejectedValueOnce(rateLimited)
+        .mockResolvedValue({ data: { data: [{ index: 0, embedding: [1, 0] }] } })
+    }
+
+    const started = Date.now()
+    expect(await embedder.embed(['text'])).toEqual([[1, 0]])
+    expect(Date.now() - started).toBeGreaterThanOrEqual(25)
+    expect(embedder.client.post).toHaveBeenCalledTimes(2)
+
+    embedder.maxRetries = 0
+    embedder.client.post.mockRejectedValueOnce(rateLimited)
+    await expect(embedder.embed(['text'])).rejects.toBe(rateLimited)
+  })
+
+  it('reindexes forum posts in batches, saving and reporting each one', async () => {
+    const vector = new VectorService({ embedder: new HashingEmbedder({ batchSize: 2 }), store, storage })
+    const progress = []
+    const skipped = []
+
+    const result = await vector.reindexForumData([...posts, { id: 'p4', t: 'Empty', c: ' ' }], {
+      onProgress: update => progress.push(update),
+      onSkip: post => skipped.push(post.title)
+    })
+
+    expect(result).toEqual({ indexed: 3, skipped: 1 })
+    expect(progress).toEqual([{ processed: 2, total: 3 }, { processed: 3, total: 3 }])
+    expect(skipped).toEqual(['Empty'])
+    const { entries } = await new VectorSegmentStore(store.dir).load()
+    expect(entries.map(entry => entry.id)).toEqual(['p1', 'p2', 'p3'])
+    expect((await vector.search('council elections'))[0].id).toBe('p3')
+  })
+
+  it('finds SIP numbers and names by keyword and fuses both rankings in hybrid mode', async () => {
+    const vector = new VectorService({ embedder: new HashingEmbedder(), store, storage })
+    await vector.addDocuments([
+      ...posts.map(post => ({ text: `${post.title}\n\n${post.content}`, metadata: { id: post.id, title: post.title } })),
+      { text: 'SIP-382: Renew the grants committee, proposed by Jane Okafor.', metadata: { id: 'sip382', title: 'SIP-382' } },
+      { text: 'SIP 38 and SIP 2 both passed before 382 days of treasury history.', metadata: { id: 'sip38', title: 'SIP-38' } }
+    ])
+
+    const keyword = await vector.search('SIP382', { mode: 'keyword' })
+    expect(keyword[0]).toMatchObject({ id: 'sip382', score: 1 })
+    expect((await vector.search('okafor', { mode: 'keyword' })).map(result => result.id)).toEqual(['sip382'])
+    expect(await vector.search('okafor', { mode: 'vector', threshold: 0.3 })).toEqual([])
+
+    const hybrid = await vector.search('okafor grants', { mode: 'hybrid', threshold: 0.3 })
+    expect(hybrid[0]).toMatchObject({ id: 'sip382', vectorScore: null })
+    expect(hybrid[0].keywordScore).toBe(1)
+    expect(hybrid.every(result => result.score > 0 && result.score <= 1)).toBe(true)
+    // A document both rankings put first scores 1
+    const both = await vector.search('Elect the RareDAO council', { mode: 'hybrid' })
+    expect(both[0]).toMatchObject({ id: 'p3', score: 1 })
+
+    await expect(vector.search('okafor', { mode: 'fuzzy' })).rejects.toThrow('Unknown search mode: fuzzy')
+
+    // Cleared documents leave the keyword index too
+    await vector.clearVectors()
+    expect(await vector.search('okafor', { mode: 'keyword' })).toEqual([])
+  })
+
+  it('filters by date, status, type and SIP number before scoring', async () => {
+    const vector = new VectorService({ embedder: new HashingEmbedder(), store, storage })
+    await vector.reindexForumData([
+      { id: 1, t: 'SIP-20: Treasury diversification', c: 'Diversify the treasury into stablecoins.', d: '2023-06-01T00:00:00Z', status: 'treasury-management, passed' },
+      { id: 2, t: 'SIP-382: Treasury runway', c: 'Extend the treasury runway to three years.', d: '2024-03-15T00:00:00Z', status: 'treasury-management' },
+      { id: 3, t: 'SIP-390: Curation council', c: 'Create a curation council for the treasury grants.', d: '2024-09-01T00:00:00Z', status: 'passed' }
+    ])
+    await vector.addDocument('Treasury policy handbook for the DAO.', { id: 'doc1', title: 'Treasury handbook', type: 'document' })
+    const ids = results => results.map(result => result.id).sort()
+    const embed = vi.spyOn(vector.embedder, 'embed')
+
+    expect(ids(await vector.search('treasury', { limit: 10, filter: { dateFrom: '2024-01-01', dateTo: '2024-12-31' } }))).toEqual([2, 3])
+    expect(ids(await vector.search('treasury', { limit: 10, filter: { status: 'Passed' }, mode: 'keyword' }))).toEqual([1, 3])
+    expect(ids(await vector.search('treasury', { limit: 10, filter: { status: ['passed'], dateFrom: '2024-01-01' } }))).toEqual([3])
+    expect(ids(await vector.search('treasury', { limit: 10, filter: { type: 'document' } }))).toEqual(['doc1'])
+    expect(ids(await vector.search('treasury', { limit: 10, filter: { sipNumber: ['SIP-382', 20] } }))).toEqual([1, 2])
+    expect(ids(await vector.search('treasury', { limit: 10, filter: { status: '', sipNumber: null } }))).toHaveLength(4)
+
+    // Nothing matching the filter means nothing to embed or score
+    embed.mockClear()
+    expect(await vector.search('treasury', { filter: { sipNumber: 999 } })).toEqual([])
+    expect(embed).not.toHaveBeenCalled()
+
+    await expect(vector.search('treasury', { filter: { dateFrom: 'last year' } }))
+      .rejects.toMatchObject({ code: 'INVALID_FILTER', message: 'Invalid search filter: dateFrom must be a date (YYYY-MM-DD)' })
+    await expect(vector.search('treasury', { filter: { author: 'jane' } })).rejects.toThrow('unknown field author')
+
+    expect(vector.getFilterOptions()).toEqual({
+      statuses: ['passed', 'treasury-management'],
+      types: ['document', 'forum'],
+      dateRange: { from: '2023-06-01', to: '2024-09-01' }
+    })
+  })
+})
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { WorkflowService } from '../../src/services/workflow.js'
+
+class MemoryStorage {
+  constructor() {
+    this.items = {}
+  }
+
+  async getItem(key) {
+    return this.items[key] || null
+  }
+
+  async setItem(key, value) {
+    this.items[key] = value
+    return true
+  }
+
+  async removeItem(key) {
+    delete this.items[key]
+    return true
+  }
+
+  async keys() {
+    return Object.keys(this.items)
+  }
+}
+
+describe('WorkflowService', () => {
+  let service
+  let agents
+
+  beforeEach(() => {
+    agents = {
+      retrieval: {
+        retrieve: vi.fn(async query => [{ id: 'doc_1', text: `About ${query}`, citation: '"SIP-1"' }])
+      },
+      interview: {
+        interview: vi.fn(async (messages, context) => ({
+          question: `Question ${messages.length}`,
+          questionPlan: [],
+          insights: { goals: ['Fund artists'], constraints: [], stakeholders: [], openQuestions: [] },
+          precedentCount: context.precedents.length
+        }))
+      },
+      drafting: {
+        draft: vi.fn(async () => ({ title: 'Grants', sections: [], markdown: '# Grants' })),
+        draftIteratively: vi.fn(async () => ({ draft: { title: 'Grants v2' }, revisionLog: [], rounds: 0 }))
+      }
+    }
+
+    service = new WorkflowService(new MemoryStorage())
+    service.createAgent = vi.fn(type => agents[type])
+  })
+
+  it('chains retrieve, interview and draft outputs through the session', async () => {
+    const { id } = await service.createSession({ topic: 'artist grants' })
+
+    await service.runStep(id, 'retrieve')
+    expect(agents.retrieval.retrieve).toHaveBeenCalledWith('artist grants', { enhanceQuery: false })
+
+    let session = await service.runStep(id, 'interview')
+    expect(session.conversation).toEqual([{ role: 'assistant', content: 'Question 0' }])
+    expect(session.steps.interview.output.precedentCount).toBe(1)
+
+    session = await service.runStep(id, 'interview', { message: 'We want to fund 20 artists' })
+    expect(session.conversation.map(m => m.role)).toEqual(['assistant', 'user', 'assistant'])
+    expect(agents.interview.interview.mock.calls[1][1].insights.goals).toEqual(['Fund artists'])
+
+    session = await service.runStep(id, 'draft')
+    const [research, insights] = agents.drafting.draft.mock.calls[0]
+    expect(research[0].id).toBe('doc_1')
+    expect(insights.goals).toEqual(['Fund artists'])
+    expect(session.steps.draft.output.draft.title).toBe('Grants')
+    expect(session.steps.draft.status).toBe('complete')
+  })
+
+  it('resumes a stored session and marks later steps stale when a step is re-run', async () => {
+    const { id } = await service.createSession({ topic: 'treasury' })
+    await service.runStep(id, 'retrieve')
+    await service.runStep(id, 'interview')
+    await service.runStep(id, 'draft', { iterative: true, maxRounds: 2 })
+
+    const session = await service.runStep(id, 'retrieve', { query: 'treasury diversification' })
+
+    expect(session.steps.retrieve.runs).toBe(2)
+    expect(session.steps.retrieve.output.query).toBe('treasury diversification')
+    expect(session.steps.interview.status).toBe('stale')
+    expect(session.steps.draft.status).toBe('stale')
+    expect(session.steps.draft.output.draft.title).toBe('Grants v2')
+    expect(agents.drafting.draftIteratively.mock.calls[0][3].maxRounds).toBe(2)
+  })
+
+  it('replaces the unanswered question when the interview is re-run without a message', async () => {
+    const { id } = await service.createSession({ topic: 'grants' })
+    await service.runStep(id, 'interview')
+    const session = await service.runStep(id, 'interview')
+
+    expect(session.conversation).toEqual([{ role: 'assistant', content: 'Question 0' }])
+  })
+
+  it('records the answer once when a failed interview step is retried', async () => {
+    const { id } = await service.createSession({ topic: 'grants' })
+    await service.runStep(id, 'interview')
+    agents.interview.interview.mockRejectedValueOnce(new Error('Rate limited'))
+
+    await expect(service.runStep(id, 'interview', { message: 'Twenty artists' })).rejects.toThrow('Rate limited')
+    expect((await service.getSession(id)).conversation).toEqual([{ role: 'assistant', content: 'Question 0' }])
+
+    const session = await service.runStep(id, 'interview', { message: 'Twenty artists' })
+    expect(session.conversation).toEqual([
+      { role: 'assistant', content: 'Question 0' },
+      { role: 'user', content: 'Twenty artists' },
+      { role: 'assistant', content: 'Question 2' }
+    ])
+  })
+
+  it('runs concurrent steps on one session one at a time', async () => {
+    const { id } = await service.createSession({ topic: 'grants' })
+    let finishRetrieve
+    agents.retrieval.retrieve.mockImplementationOnce(() => new Promise(resolve => {
+      finishRetrieve = () => resolve([{ id: 'doc_1', text: 'About grants' }])
+    }))
+
+    const retrieve = service.runStep(id, 'retrieve')
+    const interview = service.runStep(id, 'interview')
+    await vi.waitFor(() => expect(finishRetrieve).toBeDefined())
+    expect(agents.interview.interview).not.toHaveBeenCalled()
+
+    finishRetrieve()
+    await retrieve
+    const session = await interview
+
+    expect(session.steps.retrieve.status).toBe('complete')
+    expect(session.steps.interview.status).toBe('complete')
+    expect(session.steps.interview.output.precedentCount).toBe(1)
+    expect((await service.getSession(id)).steps.retrieve.output.documents).toHaveLength(1)
+  })
+
+  it('records step errors and lists sessions', async () => {
+    const { id } = await service.createSession({ topic: 'grants' })
+    agents.retrieval.retrieve.mockRejectedValueOnce(new Error('Vector store unavailable'))
+
+    await expect(service.runStep(id, 'retrieve')).rejects.toThrow('Vector store unavailable')
+    const session = await service.getSession(id)
+    expect(session.steps.retrieve.status).toBe('error')
+    expect(session.steps.retrieve.error).toBe('Vector store unavailable')
+
+    const sessions = await service.listSessions()
+    expect(sessions).toHaveLength(1)
+    expect(sessions[0].steps.retrieve).toBe('error')
+
+    await expect(service.runStep(id, 'publish')).rejects.toThrow('Unknown workflow step: publish')
+    await expect(service.getSession('../secrets')).rejects.toThrow('Invalid workflow session ID')
+  })
+})